@@ -8,8 +8,13 @@ const swaggerUi = require('swagger-ui-express');
 const msal = require('@azure/msal-node');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const xml2js = require('xml2js');
 const multer = require('multer');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const JSZip = require('jszip');
+const docx = require('docx');
 
 const app = express();
 
@@ -25,6 +30,18 @@ if (!fs.existsSync(publicDir)) {
   fs.mkdirSync(publicDir);
 }
 
+// Create spec history directory for generated OpenAPI specs if it doesn't exist
+const specHistoryDir = process.env.SPEC_HISTORY_DIR || path.join(__dirname, 'spec-history');
+if (!fs.existsSync(specHistoryDir)) {
+  fs.mkdirSync(specHistoryDir, { recursive: true });
+}
+
+// Create schema library directory for uploaded schema files if it doesn't exist
+const schemaLibraryDir = process.env.SCHEMA_LIBRARY_DIR || path.join(__dirname, 'schema-library');
+if (!fs.existsSync(schemaLibraryDir)) {
+  fs.mkdirSync(schemaLibraryDir, { recursive: true });
+}
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -50,9 +67,39 @@ const upload = multer({
   }
 });
 
+// Configure multer for schema file uploads
+const schemaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Allowed types: JSON'));
+    }
+  }
+});
+
+// Configure multer for bulk import uploads
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Allowed types: CSV, XLSX'));
+    }
+  }
+});
+
 // Middleware
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(session({
   secret: process.env.session_secret || 'default_secret_should_be_changed',
@@ -78,6 +125,14 @@ const azureConfig = {
 // =============================================================================
 const PATH_FILTER = process.env.PATH_FILTER || '';
 
+// =============================================================================
+// GENERATION MODES
+// =============================================================================
+// dataverse-query: EntityDefinitions + Attributes (default)
+// csdl-metadata:   $metadata EDMX/CSDL document
+// schema-file:     JSON schema file (SCHEMA_FILE_PATH)
+const GENERATION_MODES = ['dataverse-query', 'csdl-metadata', 'schema-file'];
+
 // =============================================================================
 // JSON SCHEMA FILE CONFIGURATION (NEW)
 // =============================================================================
@@ -106,38 +161,172 @@ const AGENCY_BRANDING = {
 // JSON SCHEMA TO OPENAPI SPEC GENERATOR (NEW METHOD)
 // =============================================================================
 
+// Published JSON Schema for the schema file format (served at /schema-file.schema.json)
+const SCHEMA_FILE_JSON_SCHEMA = require('./schema-file.schema.json');
+const validateSchemaFileContent = new Ajv({ allErrors: true }).compile(SCHEMA_FILE_JSON_SCHEMA);
+
 /**
- * Load and parse the JSON schema file
- * @param {string} schemaPath - Path to the JSON schema file
- * @returns {Object|null} Parsed schema or null if not found/invalid
+ * Map each JSON pointer in a JSON document to the line it starts on
+ * Only called on text that JSON.parse has accepted.
+ * @param {string} text - JSON text
+ * @returns {Object} Map of JSON pointer (e.g. "/tables/0/attributes/2/type") to 1-based line number
  */
-function loadSchemaFile(schemaPath) {
-  try {
-    const resolvedPath = path.isAbsolute(schemaPath) 
-      ? schemaPath 
-      : path.join(__dirname, schemaPath);
-    
-    console.log(`Loading schema file from: ${resolvedPath}`);
-    
-    if (!fs.existsSync(resolvedPath)) {
-      console.error(`Schema file not found: ${resolvedPath}`);
-      return null;
+function jsonPointerLines(text) {
+  const lines = {};
+  let index = 0;
+  let line = 1;
+  
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') line++;
+      index++;
     }
-    
-    const content = fs.readFileSync(resolvedPath, 'utf8');
-    const schema = JSON.parse(content);
-    
-    if (!schema.tables || !Array.isArray(schema.tables)) {
-      console.error('Invalid schema format: missing "tables" array');
-      return null;
+  };
+  const readString = () => {
+    const start = index++;
+    while (text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+  const readValue = pointer => {
+    skipWhitespace();
+    lines[pointer] = line;
+    const char = text[index];
+    if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      let position = 0;
+      index++;
+      skipWhitespace();
+      while (text[index] !== (isObject ? '}' : ']')) {
+        let key = position++;
+        if (isObject) {
+          key = readString().replace(/~/g, '~0').replace(/\//g, '~1');
+          skipWhitespace();
+          index++; // colon
+        }
+        readValue(`${pointer}/${key}`);
+        skipWhitespace();
+        if (text[index] === ',') { index++; skipWhitespace(); }
+      }
+      index++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
     }
-    
-    console.log(`Successfully loaded schema with ${schema.tables.length} tables`);
-    return schema;
+  };
+  
+  readValue('');
+  return lines;
+}
+
+/**
+ * Convert an Ajv error into a schema file error with table, attribute, field and allowed values
+ * @param {Object} error - Ajv error object
+ * @param {Object} schema - Parsed schema file
+ * @param {Object} lines - Map from jsonPointerLines
+ * @returns {Object} { line, path, tableIndex, table, attribute, field, message, allowedValues }
+ */
+function describeSchemaFileError(error, schema, lines) {
+  let pointer = error.instancePath;
+  let field = pointer.split('/').pop();
+  if (error.keyword === 'required') field = error.params.missingProperty;
+  if (error.keyword === 'additionalProperties') {
+    field = error.params.additionalProperty;
+    pointer = `${pointer}/${field}`;
+  }
+  
+  const match = error.instancePath.match(/^\/tables\/(\d+)(?:\/attributes\/(\d+))?/);
+  const tableIndex = match ? Number(match[1]) : undefined;
+  const table = match ? schema.tables[tableIndex] : undefined;
+  const attribute = match && match[2] !== undefined ? table?.attributes?.[Number(match[2])] : undefined;
+  
+  let message = error.message;
+  if (error.keyword === 'additionalProperties') message = `unknown property "${field}"`;
+  if (error.keyword === 'enum') message = `invalid value ${JSON.stringify(pointer.split('/').reduce((value, key) => key ? value?.[key] : value, schema))}`;
+  
+  // Walk back to the closest pointer with a known line (missing properties point at their parent)
+  let linePointer = pointer;
+  while (lines[linePointer] === undefined && linePointer) linePointer = linePointer.slice(0, linePointer.lastIndexOf('/'));
+  
+  return {
+    line: lines[linePointer],
+    path: pointer || '/',
+    tableIndex,
+    table: table?.logicalName,
+    attribute: attribute?.logicalName,
+    field: /^\d+$/.test(field) ? undefined : field || undefined,
+    message,
+    allowedValues: error.params.allowedValues
+  };
+}
+
+/**
+ * Format a schema file error as a single line for display
+ */
+function formatSchemaFileError(error) {
+  const location = [
+    error.line !== undefined ? `Line ${error.line}` : null,
+    error.tableIndex !== undefined ? `tables[${error.tableIndex}]${error.table ? ` (${error.table})` : ''}` : null,
+    error.attribute ? `attribute "${error.attribute}"` : null,
+    error.field ? `field "${error.field}"` : null
+  ].filter(Boolean).join(', ');
+  const allowed = error.allowedValues ? ` — allowed values: ${error.allowedValues.join(', ')}` : '';
+  return `${location ? `${location}: ` : ''}${error.message}${allowed}`;
+}
+
+/**
+ * Parse and validate schema file text against the published JSON Schema
+ * @param {string} text - Schema file content
+ * @returns {{ schema: Object|null, errors: Array<Object> }} Parsed schema and validation errors
+ */
+function validateSchemaFileText(text) {
+  let schema;
+  try {
+    schema = JSON.parse(text);
   } catch (error) {
-    console.error(`Error loading schema file: ${error.message}`);
-    return null;
+    const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+    const line = Number.isNaN(position) ? undefined : text.slice(0, position).split('\n').length;
+    return { schema: null, errors: [{ line, path: '/', message: `Invalid JSON: ${error.message}` }] };
+  }
+  
+  if (validateSchemaFileContent(schema)) return { schema, errors: [] };
+  
+  const lines = jsonPointerLines(text);
+  const errors = validateSchemaFileContent.errors
+    .map(error => describeSchemaFileError(error, schema, lines))
+    .sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { schema, errors };
+}
+
+/**
+ * Load, parse and validate the JSON schema file
+ * @param {string} schemaPath - Path to the JSON schema file
+ * @returns {Object} Parsed schema
+ * @throws {Error} When the file is missing or invalid; `validationErrors` lists each problem
+ */
+function loadSchemaFile(schemaPath) {
+  const resolvedPath = path.isAbsolute(schemaPath) 
+    ? schemaPath 
+    : path.join(__dirname, schemaPath);
+  
+  console.log(`Loading schema file from: ${resolvedPath}`);
+  
+  if (!fs.existsSync(resolvedPath)) {
+    const error = new Error(`Schema file not found: ${resolvedPath}`);
+    error.validationErrors = [{ path: '/', message: error.message }];
+    throw error;
   }
+  
+  const { schema, errors } = validateSchemaFileText(fs.readFileSync(resolvedPath, 'utf8'));
+  if (errors.length) {
+    const error = new Error(`Schema file ${path.basename(resolvedPath)} is invalid: ${errors.map(formatSchemaFileError).join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  
+  console.log(`Successfully loaded schema with ${schema.tables.length} tables`);
+  return schema;
 }
 
 /**
@@ -193,9 +382,55 @@ function schemaTypeToOpenApiType(attr) {
     if (attr.maxValue !== undefined) baseType.maximum = attr.maxValue;
   }
   
+  if (Array.isArray(attr.options) && attr.options.length) {
+    applyOptionSetEnum(baseType, attr.options, type === 'MultiSelectPicklist');
+  }
+  
   return baseType;
 }
 
+// Required levels that make a column mandatory on create
+const REQUIRED_LEVELS = ['ApplicationRequired', 'SystemRequired'];
+
+/**
+ * Build separate Read, Create and Update schemas from column definitions
+ * Columns not valid for read are left out of the Read schema, columns valid for neither create
+ * nor update are marked readOnly, and `required` is only enforced on Create.
+ * 
+ * @param {Array<Object>} columns - { readProperties, writeProperties, read, create, update, required }
+ * @param {string} [description] - Schema description
+ * @returns {{ read: Object, create: Object, update: Object }} OpenAPI object schemas
+ */
+function buildEntitySchemas(columns, description) {
+  const read = { type: 'object', description, properties: {} };
+  const create = { type: 'object', description, properties: {} };
+  const update = { type: 'object', description, properties: {} };
+  const required = [];
+  
+  columns.forEach(column => {
+    if (column.read !== false) {
+      Object.entries(column.readProperties || {}).forEach(([name, schema]) => {
+        const readOnly = column.create === false && column.update === false;
+        read.properties[name] = readOnly && !schema.readOnly
+          ? (schema.$ref ? { allOf: [schema], readOnly: true } : { ...schema, readOnly: true })
+          : schema;
+      });
+    }
+    const writeProperties = Object.entries(column.writeProperties || {});
+    if (column.create !== false) {
+      writeProperties.forEach(([name, schema]) => { create.properties[name] = schema; });
+      // A polymorphic lookup can be satisfied by any of its bind properties, so only single-target lookups are required
+      if (column.required && writeProperties.length === 1) required.push(writeProperties[0][0]);
+    }
+    if (column.update !== false) {
+      writeProperties.forEach(([name, schema]) => { update.properties[name] = schema; });
+    }
+  });
+  
+  if (required.length) create.required = required;
+  return { read, create, update };
+}
+
 /**
  * Generate OpenAPI specification from a JSON schema file
  * This method reads the schema file and creates OpenAPI paths for each table.
@@ -203,9 +438,10 @@ function schemaTypeToOpenApiType(attr) {
  * @param {string} apiUrl - The Dataverse API base URL
  * @param {string} schemaPath - Path to the JSON schema file
  * @param {string} publisherPrefix - Publisher prefix to add to all entity names (e.g., "cs")
+ * @param {Object} [reconciliation] - Result of reconcileSchemaFile; live entity set names and primary ids are used
  * @returns {Object} OpenAPI specification object
  */
-function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix = '') {
+function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix = '', reconciliation = null) {
   console.log('\n' + '='.repeat(80));
   console.log('GENERATING OPENAPI SPEC FROM SCHEMA FILE');
   console.log('='.repeat(80));
@@ -216,13 +452,8 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
   
   const schema = loadSchemaFile(schemaPath);
   
-  if (!schema) {
-    throw new Error(`Failed to load schema file: ${schemaPath}`);
-  }
-  
   // Normalize prefix (ensure it ends with underscore if provided)
-  const prefix = publisherPrefix ? 
-    (publisherPrefix.endsWith('_') ? publisherPrefix : `${publisherPrefix}_`) : '';
+  const prefix = normalizePublisherPrefix(publisherPrefix);
   
   // Build OpenAPI spec
   const openApiSpec = {
@@ -252,13 +483,35 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
     tags: []
   };
   
+  // Entity sets and schemas of every table, so lookups can reference tables declared later in the file
+  const entitySetByLogicalName = {};
+  const schemaNameByLogicalName = {};
+  schema.tables.forEach(table => {
+    const { logicalName, entitySetName } = resolveSchemaTableNames(table, prefix, reconciliation?.definitions);
+    entitySetByLogicalName[logicalName] = entitySetName;
+    schemaNameByLogicalName[logicalName] = `${schemaFileTableSchemaName(table)}Read`;
+  });
+  const tableNames = Object.keys(entitySetByLogicalName);
+  
+  // Collection-valued navigation properties created by lookups to tables of the file, by referenced table
+  const oneToMany = {};
+  schema.tables.forEach(table => {
+    const tableName = `${prefix}${table.logicalName}`;
+    (table.attributes || []).filter(attr => attr.type === 'Lookup' && attr.target).forEach(attr => {
+      const targetName = resolveSchemaFileTarget(attr.target, prefix, tableNames);
+      if (!entitySetByLogicalName[targetName]) return;
+      (oneToMany[targetName] = oneToMany[targetName] || []).push({
+        name: lookupRelationshipSchemaName(attr, tableName, targetName, prefix),
+        referencingEntity: tableName
+      });
+    });
+  });
+  
   // Process each table from the schema
   schema.tables.forEach(table => {
-    const logicalName = `${prefix}${table.logicalName}`;
+    const { logicalName, entitySetName, primaryIdAttribute } = resolveSchemaTableNames(table, prefix, reconciliation?.definitions);
     // Use the display name for the schema (cleaner in Swagger UI)
-    const schemaName = table.displayName || table.logicalName.charAt(0).toUpperCase() + table.logicalName.slice(1);
-    const pluralSuffix = table.logicalName.endsWith('s') ? 'es' : 's';
-    const entitySetName = `${prefix}${table.logicalName}${pluralSuffix}`;
+    const schemaName = schemaFileTableSchemaName(table);
     
     const displayName = table.displayName || table.logicalName;
     const description = table.description || `${displayName} entity`;
@@ -270,53 +523,79 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
       description: description
     });
     
-    // Build properties from attributes
-    const properties = {};
-    const requiredFields = [];
+    // Build column definitions from attributes
+    const columns = [];
+    const column = (name, schema, flags = {}) => ({
+      readProperties: { [name]: schema },
+      writeProperties: { [name]: schema },
+      read: flags.isValidForRead !== false,
+      create: flags.isValidForCreate !== false,
+      update: flags.isValidForUpdate !== false,
+      required: REQUIRED_LEVELS.includes(flags.requiredLevel)
+    });
     
-    // Add the primary key
-    const primaryKeyName = `${logicalName}id`;
-    properties[primaryKeyName] = {
+    // Add the primary key (can be supplied on create, never updated)
+    const primaryKeyName = primaryIdAttribute;
+    const primaryKey = column(primaryKeyName, {
       type: 'string',
       format: 'uuid',
-      description: `Unique identifier for ${displayName}`,
-      readOnly: true
-    };
+      description: `Unique identifier for ${displayName}`
+    }, { isValidForUpdate: false });
+    primaryKey.readProperties[primaryKeyName] = { ...primaryKey.readProperties[primaryKeyName], readOnly: true };
+    columns.push(primaryKey);
     
     // Add primary attribute (Name field)
     if (table.primaryAttribute) {
       const primaryAttr = table.primaryAttribute;
       const attrName = `${prefix}${primaryAttr.schemaName.toLowerCase()}`;
-      properties[attrName] = {
+      columns.push(column(attrName, {
         type: 'string',
         description: primaryAttr.description || `${primaryAttr.displayName}`,
         maxLength: primaryAttr.maxLength || 200
-      };
-      requiredFields.push(attrName);
+      }, { requiredLevel: 'ApplicationRequired', ...primaryAttr }));
     }
     
-    // Add all other attributes
+    // Add all other attributes; lookups become _x_value, x@odata.bind and navigation properties
+    const navigationProperties = [];
     if (table.attributes && Array.isArray(table.attributes)) {
       table.attributes.forEach(attr => {
         const attrName = `${prefix}${attr.logicalName}`;
-        properties[attrName] = schemaTypeToOpenApiType(attr);
+        const navigations = schemaFileLookupNavigations(attr, prefix, tableNames);
+        if (navigations) {
+          Object.values(navigations).flat().forEach(t => { entitySetByLogicalName[t] = entitySetByLogicalName[t] || guessEntitySetName(t); });
+          const lookup = buildNavigationLookupProperties(attrName, navigations, entitySetByLogicalName, schemaNameByLogicalName);
+          if (attr.description) lookup.readProperties[`_${attrName}_value`].description = attr.description;
+          const { readProperties, writeProperties } = lookup;
+          columns.push({ ...column(attrName, null, attr), readProperties, writeProperties });
+          navigationProperties.push(...lookup.navigationProperties);
+          return;
+        }
+        columns.push(column(attrName, schemaTypeToOpenApiType(attr), attr));
       });
     }
+    (oneToMany[logicalName] || []).forEach(r => {
+      columns.push({
+        readProperties: { [r.name]: navigationPropertySchema([r.referencingEntity], schemaNameByLogicalName, true) },
+        create: false,
+        update: false
+      });
+      navigationProperties.push(r.name);
+    });
+    const expandDescription = navigationProperties.length ? `Navigation properties: ${navigationProperties.join(', ')}` : null;
     
     // Add standard Dataverse system fields
-    properties['createdon'] = { type: 'string', format: 'date-time', readOnly: true, description: 'Date and time when the record was created' };
-    properties['modifiedon'] = { type: 'string', format: 'date-time', readOnly: true, description: 'Date and time when the record was last modified' };
-    properties['statecode'] = { type: 'integer', description: 'Status of the record (0=Active, 1=Inactive)' };
-    properties['statuscode'] = { type: 'integer', description: 'Reason for the status of the record' };
-    properties['versionnumber'] = { type: 'integer', format: 'int64', readOnly: true, description: 'Version number of the record' };
-    
-    // Add schema
-    openApiSpec.components.schemas[schemaName] = {
-      type: 'object',
-      description: description,
-      properties: properties,
-      required: requiredFields.length > 0 ? requiredFields : undefined
-    };
+    const systemOnly = { isValidForCreate: false, isValidForUpdate: false };
+    columns.push(column('createdon', { type: 'string', format: 'date-time', description: 'Date and time when the record was created' }, systemOnly));
+    columns.push(column('modifiedon', { type: 'string', format: 'date-time', description: 'Date and time when the record was last modified' }, systemOnly));
+    columns.push(column('statecode', { type: 'integer', description: 'Status of the record (0=Active, 1=Inactive)' }));
+    columns.push(column('statuscode', { type: 'integer', description: 'Reason for the status of the record' }));
+    columns.push(column('versionnumber', { type: 'integer', format: 'int64', description: 'Version number of the record' }, systemOnly));
+    
+    // Add Read/Create/Update schemas
+    const entitySchemas = buildEntitySchemas(columns, description);
+    openApiSpec.components.schemas[`${schemaName}Read`] = entitySchemas.read;
+    openApiSpec.components.schemas[`${schemaName}Create`] = entitySchemas.create;
+    openApiSpec.components.schemas[`${schemaName}Update`] = entitySchemas.update;
     
     // Add collection path (GET all, POST new)
     openApiSpec.paths[`/${entitySetName}`] = {
@@ -332,7 +611,7 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
           { name: '$top', in: 'query', description: 'Maximum number of records to return', schema: { type: 'integer', default: 50, maximum: 5000 } },
           { name: '$skip', in: 'query', description: 'Number of records to skip', schema: { type: 'integer' } },
           { name: '$count', in: 'query', description: 'Include total count', schema: { type: 'boolean' } },
-          { name: '$expand', in: 'query', description: 'Related entities to include', schema: { type: 'string' } }
+          { name: '$expand', in: 'query', description: expandDescription || 'Related entities to include', schema: { type: 'string' } }
         ],
         responses: {
           '200': {
@@ -344,7 +623,7 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
                   properties: {
                     '@odata.context': { type: 'string' },
                     '@odata.count': { type: 'integer' },
-                    value: { type: 'array', items: { $ref: `#/components/schemas/${schemaName}` } }
+                    value: { type: 'array', items: { $ref: `#/components/schemas/${schemaName}Read` } }
                   }
                 }
               }
@@ -360,7 +639,7 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
         operationId: `create${schemaName}`,
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}Create` } } }
         },
         responses: {
           '201': { description: 'Successfully created' },
@@ -379,10 +658,10 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
         parameters: [
           { name: primaryKeyName, in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
           { name: '$select', in: 'query', description: 'Properties to include', schema: { type: 'string' } },
-          { name: '$expand', in: 'query', description: 'Related entities', schema: { type: 'string' } }
+          { name: '$expand', in: 'query', description: expandDescription || 'Related entities', schema: { type: 'string' } }
         ],
         responses: {
-          '200': { description: 'Success', content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } } },
+          '200': { description: 'Success', content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}Read` } } } },
           '404': { description: 'Not found' }
         }
       },
@@ -395,7 +674,7 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
         ],
         requestBody: {
           required: true,
-          content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}Update` } } }
         },
         responses: {
           '204': { description: 'Successfully updated' },
@@ -418,6 +697,16 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
     };
   });
   
+  openApiSpec['x-schema-file'] = { name: path.basename(schemaPath), prefix: prefix || null };
+  
+  if (reconciliation) {
+    openApiSpec['x-schema-reconciliation'] = {
+      checkedAt: new Date().toISOString(),
+      mismatches: reconciliation.mismatches
+    };
+    openApiSpec.info.description += `\n**Environment Mismatches:** ${reconciliation.mismatches.length}`;
+  }
+  
   console.log('\n' + '='.repeat(80));
   console.log('SCHEMA-BASED OPENAPI GENERATION COMPLETE');
   console.log(`Total Tables: ${schema.tables.length}`);
@@ -427,6 +716,172 @@ function generateOpenApiSpecFromSchemaFile(apiUrl, schemaPath, publisherPrefix =
   return openApiSpec;
 }
 
+/**
+ * Name of the component schemas of a schema-file table (display name, or capitalized logical name)
+ */
+function schemaFileTableSchemaName(table) {
+  return table.displayName || table.logicalName.charAt(0).toUpperCase() + table.logicalName.slice(1);
+}
+
+/**
+ * Resolve a lookup target of the schema file: a table of the file (named without the prefix) or any other table
+ */
+function resolveSchemaFileTarget(target, prefix, tableNames) {
+  return tableNames.includes(`${prefix}${target}`) ? `${prefix}${target}` : target;
+}
+
+/**
+ * Navigation properties of a Lookup, Owner or Customer column declared in the schema file
+ * Lookups use the navigation property schema deployment creates (the prefixed schema name of the lookup).
+ * Owner and Customer columns default to their standard targets; `target` narrows them to one table.
+ * 
+ * @param {Object} attr - Attribute from the schema file
+ * @param {string} prefix - Normalized publisher prefix
+ * @param {Array<string>} tableNames - Prefixed logical names of the tables in the file
+ * @returns {Object|null} Map of navigation property name to target logical names; null for other columns and lookups without a target
+ */
+function schemaFileLookupNavigations(attr, prefix, tableNames) {
+  const attrName = `${prefix}${attr.logicalName}`;
+  const targets = attr.target ? [resolveSchemaFileTarget(attr.target, prefix, tableNames)] : null;
+  switch (attr.type) {
+    case 'Lookup':
+      return targets ? { [withPublisherPrefix(attr.schemaName || attr.logicalName, prefix)]: targets } : null;
+    case 'Owner':
+      return { [attrName]: targets || ['systemuser', 'team'] };
+    case 'Customer':
+      return Object.fromEntries((targets || ['account', 'contact']).map(t => [`${attrName}_${t}`, [t]]));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize a publisher prefix so it ends with an underscore (e.g. "cs" -> "cs_")
+ * @param {string} publisherPrefix - Publisher prefix with or without trailing underscore
+ * @returns {string} Normalized prefix, or '' when none
+ */
+function normalizePublisherPrefix(publisherPrefix) {
+  if (!publisherPrefix) return '';
+  return publisherPrefix.endsWith('_') ? publisherPrefix : `${publisherPrefix}_`;
+}
+
+/**
+ * Apply the publisher prefix to a name declared in the schema file unless it already carries it
+ */
+function withPublisherPrefix(name, prefix) {
+  return prefix && !name.toLowerCase().startsWith(prefix.toLowerCase()) ? `${prefix}${name}` : name;
+}
+
+/**
+ * Guess the entity set name Dataverse generates for a table (English pluralization)
+ * Used only when the schema file does not declare entitySetName.
+ * @param {string} logicalName - Prefixed table logical name
+ * @returns {string} Entity set name
+ */
+function guessEntitySetName(logicalName) {
+  if (/[^aeiou]y$/.test(logicalName)) return `${logicalName.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(logicalName)) return `${logicalName}es`;
+  return `${logicalName}s`;
+}
+
+/**
+ * Resolve the entity set name and primary id attribute of a schema-file table
+ * Live definitions (from reconcileSchemaFile) win over declared values, which win over guesses.
+ * 
+ * @param {Object} table - Table from the schema file
+ * @param {string} prefix - Normalized publisher prefix
+ * @param {Object} [liveDefinitions] - Map of logical name to { EntitySetName, PrimaryIdAttribute }
+ * @returns {{ logicalName: string, entitySetName: string, primaryIdAttribute: string }}
+ */
+function resolveSchemaTableNames(table, prefix, liveDefinitions = null) {
+  const logicalName = `${prefix}${table.logicalName}`;
+  const live = liveDefinitions?.[logicalName];
+  return {
+    logicalName,
+    entitySetName: live?.EntitySetName
+      || (table.entitySetName ? withPublisherPrefix(table.entitySetName, prefix) : guessEntitySetName(logicalName)),
+    primaryIdAttribute: live?.PrimaryIdAttribute
+      || (table.primaryIdAttribute ? withPublisherPrefix(table.primaryIdAttribute, prefix) : `${logicalName}id`)
+  };
+}
+
+// Schema-file types whose Dataverse AttributeType has a different name
+const SCHEMA_TYPE_TO_ATTRIBUTE_TYPE = {
+  'Date': 'DateTime',
+  'MultiSelectPicklist': 'Virtual'
+};
+
+/**
+ * Reconcile a schema file against the live EntityDefinitions of an environment
+ * Reports missing tables, missing columns, type mismatches and entity set / primary id differences.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} schemaPath - Path to the JSON schema file
+ * @param {string} publisherPrefix - Publisher prefix (e.g., "cs")
+ * @returns {Promise<{ definitions: Object, mismatches: Array<Object> }>} Live definitions by logical name and mismatch list
+ */
+async function reconcileSchemaFile(apiUrl, token, schemaPath, publisherPrefix = '') {
+  const schema = loadSchemaFile(schemaPath);
+  
+  const prefix = normalizePublisherPrefix(publisherPrefix);
+  const definitions = {};
+  const mismatches = [];
+  
+  for (const table of schema.tables) {
+    const declared = resolveSchemaTableNames(table, prefix);
+    let entity;
+    try {
+      const response = await axios.get(`${apiUrl}EntityDefinitions(LogicalName='${declared.logicalName}')` +
+        `?$select=LogicalName,EntitySetName,PrimaryIdAttribute&$expand=Attributes($select=LogicalName,AttributeType)`, {
+        headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' }
+      });
+      entity = response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        mismatches.push({ type: 'missing-table', table: declared.logicalName, message: `Table ${declared.logicalName} does not exist in the environment` });
+        continue;
+      }
+      throw error;
+    }
+    
+    definitions[declared.logicalName] = { EntitySetName: entity.EntitySetName, PrimaryIdAttribute: entity.PrimaryIdAttribute };
+    
+    if (table.entitySetName && declared.entitySetName !== entity.EntitySetName) {
+      mismatches.push({ type: 'entity-set-mismatch', table: declared.logicalName, expected: declared.entitySetName, actual: entity.EntitySetName,
+        message: `Entity set name is ${entity.EntitySetName}, schema file declares ${declared.entitySetName}` });
+    }
+    if (table.primaryIdAttribute && declared.primaryIdAttribute !== entity.PrimaryIdAttribute) {
+      mismatches.push({ type: 'primary-id-mismatch', table: declared.logicalName, expected: declared.primaryIdAttribute, actual: entity.PrimaryIdAttribute,
+        message: `Primary id attribute is ${entity.PrimaryIdAttribute}, schema file declares ${declared.primaryIdAttribute}` });
+    }
+    
+    const liveAttributes = {};
+    (entity.Attributes || []).forEach(a => { liveAttributes[a.LogicalName] = a; });
+    
+    const columns = [];
+    if (table.primaryAttribute) columns.push({ logicalName: `${prefix}${table.primaryAttribute.schemaName.toLowerCase()}`, type: 'String' });
+    (table.attributes || []).forEach(attr => columns.push({ logicalName: `${prefix}${attr.logicalName}`, type: attr.type || 'String' }));
+    
+    columns.forEach(column => {
+      const live = liveAttributes[column.logicalName];
+      if (!live) {
+        mismatches.push({ type: 'missing-column', table: declared.logicalName, column: column.logicalName,
+          message: `Column ${column.logicalName} does not exist on ${declared.logicalName}` });
+        return;
+      }
+      const expectedType = SCHEMA_TYPE_TO_ATTRIBUTE_TYPE[column.type] || column.type;
+      if (live.AttributeType !== expectedType) {
+        mismatches.push({ type: 'type-mismatch', table: declared.logicalName, column: column.logicalName, expected: column.type, actual: live.AttributeType,
+          message: `Column ${column.logicalName} is ${live.AttributeType}, schema file declares ${column.type}` });
+      }
+    });
+  }
+  
+  console.log(`Schema reconciliation: ${Object.keys(definitions).length}/${schema.tables.length} tables found, ${mismatches.length} mismatches`);
+  return { definitions, mismatches };
+}
+
 // =============================================================================
 // END JSON SCHEMA CONFIGURATION
 // =============================================================================
@@ -494,18 +949,178 @@ let msalConfig = {
 
 let cca = new msal.ConfidentialClientApplication(msalConfig);
 
-// Global variable to store OpenAPI spec
-let openApiSpec = null;
+// =============================================================================
+// OPENAPI SPEC STORE
+// =============================================================================
+
+// Generated specs are kept in memory by ID and persisted to the spec history; each session remembers the IDs it generated
+const SPEC_STORE_LIMIT = parseInt(process.env.SPEC_STORE_LIMIT, 10) || 50;
+const specStore = new Map();
+
+/**
+ * Store a generated spec and make it the current spec of the session
+ * @param {Object} req - Express request (session receives the spec ID)
+ * @param {Object} spec - OpenAPI specification
+ * @param {Object} details - { environment, mode, prefix, schemaFile }
+ * @returns {string} Spec ID
+ */
+function storeSessionSpec(req, spec, details) {
+  const id = crypto.randomUUID();
+  const entry = {
+    id,
+    spec,
+    createdAt: new Date().toISOString(),
+    authType: req.session.authType || 'user',
+    identity: req.session.username || null,
+    ...details
+  };
+  specStore.set(id, entry);
+  
+  // Drop the oldest specs once the store is full (Map keeps insertion order)
+  while (specStore.size > SPEC_STORE_LIMIT) specStore.delete(specStore.keys().next().value);
+  
+  try {
+    entry.version = saveSpecToHistory(entry).version;
+  } catch (error) {
+    console.warn('Could not save spec history:', error.message);
+  }
+  
+  req.session.specIds = [id].concat(req.session.specIds || []).slice(0, SPEC_STORE_LIMIT);
+  req.session.currentSpecId = id;
+  const origin = environmentOrigin(details.environment);
+  if (origin && !(req.session.environments || []).includes(origin)) {
+    req.session.environments = (req.session.environments || []).concat(origin);
+  }
+  return id;
+}
+
+/**
+ * Find the spec requested with ?spec=<id>, or the current spec of the session
+ * @returns {Object|null} Store entry { id, spec, createdAt, environment, mode, prefix, schemaFile }
+ */
+function getRequestedSpec(req) {
+  return findSpec(req.query.spec || req.session.currentSpecId);
+}
+
+/**
+ * List the specs generated in this session that are still available (newest first)
+ */
+function listSessionSpecs(req) {
+  return (req.session.specIds || []).map(findSpec).filter(Boolean);
+}
+
+/**
+ * Read the spec history index
+ * @returns {{ versions: Array<Object>, published: string|null }} Version metadata (oldest first) and the published spec ID
+ */
+function readSpecHistory() {
+  const indexPath = path.join(specHistoryDir, 'index.json');
+  if (!fs.existsSync(indexPath)) return { versions: [], published: null };
+  try {
+    const history = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return { versions: history.versions || [], published: history.published || null };
+  } catch (error) {
+    console.error(`Error reading spec history index: ${error.message}`);
+    return { versions: [], published: null };
+  }
+}
+
+/**
+ * Write the spec history index
+ */
+function writeSpecHistory(history) {
+  fs.writeFileSync(path.join(specHistoryDir, 'index.json'), JSON.stringify(history, null, 2));
+}
+
+/**
+ * Persist a stored spec and its metadata to the spec history
+ * @param {Object} entry - Spec store entry
+ * @returns {Object} Version metadata
+ */
+function saveSpecToHistory(entry) {
+  const { spec, ...details } = entry;
+  const history = readSpecHistory();
+  const version = {
+    ...details,
+    version: history.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+    paths: Object.keys(spec.paths || {}).length,
+    schemas: Object.keys(spec.components?.schemas || {}).length
+  };
+  
+  fs.writeFileSync(path.join(specHistoryDir, `${entry.id}.json`), JSON.stringify(spec));
+  history.versions.push(version);
+  writeSpecHistory(history);
+  return version;
+}
+
+/**
+ * Load a spec and its metadata from the spec history
+ * @returns {Object|null} Spec store entry, or null when the ID is unknown
+ */
+function loadSpecFromHistory(id) {
+  if (!/^[0-9a-f-]{36}$/.test(id || '')) return null;
+  const version = readSpecHistory().versions.find(v => v.id === id);
+  const specPath = path.join(specHistoryDir, `${id}.json`);
+  if (!version || !fs.existsSync(specPath)) return null;
+  return { ...version, spec: JSON.parse(fs.readFileSync(specPath, 'utf8')) };
+}
+
+/**
+ * Find a spec in memory or in the spec history
+ */
+function findSpec(id) {
+  return (id && (specStore.get(id) || loadSpecFromHistory(id))) || null;
+}
+
+// Hosts that may receive the session token for specs generated by someone else (comma-separated, a leading dot matches subdomains)
+const DATAVERSE_ALLOWED_HOSTS = (process.env.DATAVERSE_ALLOWED_HOSTS || '.dynamics.com')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Origin (scheme and host) of an environment URL, or null when the URL is invalid
+ */
+function environmentOrigin(url) {
+  try {
+    return new URL(url).origin.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether the session token may be sent to an environment: one the session generated a spec for,
+ * the configured environment or token resource, or an HTTPS host in DATAVERSE_ALLOWED_HOSTS
+ */
+function isTrustedEnvironment(req, url) {
+  const origin = environmentOrigin(url);
+  if (!origin) return false;
+  
+  const sessionOrigins = [process.env.dataverse_url, ...azureConfig.scopes]
+    .filter(Boolean).map(environmentOrigin).concat(req.session.environments || []);
+  if (sessionOrigins.includes(origin)) return true;
+  
+  const { protocol, hostname } = new URL(url);
+  return protocol === 'https:' && DATAVERSE_ALLOWED_HOSTS.some(host =>
+    host.startsWith('.') ? hostname.endsWith(host) : hostname === host);
+}
+
+/**
+ * Environment of a stored spec, or null when the session token must not be sent to it
+ */
+function trustedSpecEnvironment(req, entry) {
+  const apiUrl = entry.environment || entry.spec.servers?.[0]?.url;
+  return apiUrl && isTrustedEnvironment(req, apiUrl) ? apiUrl : null;
+}
 
 // Authentication middleware
 function checkAuthentication(req, res, next) {
-  const publicPaths = ['/', '/auth/login', '/auth/callback', '/auth/logout', '/auth/app-login', '/file-converter', '/api/public/file-to-base64'];
+  const publicPaths = ['/', '/auth/login', '/auth/callback', '/auth/logout', '/auth/app-login', '/file-converter', '/api/public/file-to-base64', '/schema-file.schema.json'];
   if (publicPaths.includes(req.path)) {
     return next();
   }
   
   if (!req.session.token) {
-    if (req.path.startsWith('/api/')) {
+    if (req.path.startsWith('/api/') || req.path.startsWith('/proxy/')) {
       return res.status(401).json({ error: 'Authentication required', redirect: '/auth/login' });
     }
     return res.redirect('/auth/login');
@@ -514,7 +1129,7 @@ function checkAuthentication(req, res, next) {
   if (req.session.tokenExpires && Date.now() > req.session.tokenExpires) {
     req.session.token = null;
     req.session.tokenExpires = null;
-    if (req.path.startsWith('/api/')) {
+    if (req.path.startsWith('/api/') || req.path.startsWith('/proxy/')) {
       return res.status(401).json({ error: 'Authentication expired', redirect: '/auth/login' });
     }
     return res.redirect('/auth/login');
@@ -559,12 +1174,74 @@ const AGENCY_COMMON_STYLES = `
   .filter-badge.prefix-mode { background-color: #17a2b8; }
 `;
 
-// Home route - Login or Dashboard
-app.get('/', (req, res) => {
-  const schemaBadge = SCHEMA_FILE_PATH ? `<span class="filter-badge schema-mode">📄 Schema: ${path.basename(SCHEMA_FILE_PATH)}</span>` : '';
-  const prefixBadge = PUBLISHER_PREFIX ? `<span class="filter-badge prefix-mode">🏷️ Prefix: ${PUBLISHER_PREFIX}_</span>` : '';
-  const pathFilterBadge = PATH_FILTER ? `<span class="filter-badge">🔍 Filter: ${PATH_FILTER}</span>` : '';
-  
+/**
+ * Render a full page with the agency header, accent bar and footer
+ * @param {Object} options
+ * @param {string} options.title - Page title (also shown next to the agency name)
+ * @param {string} options.body - Main content HTML
+ * @param {string} [options.styles] - Additional CSS
+ * @param {string} [options.scripts] - Additional script tags/inline scripts appended to the body
+ * @returns {string} HTML document
+ */
+function renderAgencyPage({ title, body, styles = '', scripts = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title} - ${AGENCY_NAME}</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/css/bootstrap.min.css" rel="stylesheet">
+  <link href="https://fonts.googleapis.com/css2?family=Noto+Sans:wght@400;600;700&display=swap" rel="stylesheet">
+  <style>
+    ${AGENCY_COMMON_STYLES}
+    html, body { height: 100%; }
+    .page-wrapper { min-height: 100%; display: flex; flex-direction: column; }
+    .main-content { flex: 1; padding: 30px 20px; }
+    .card { border: none; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+    .page-title { color: var(--agency-header-bg); font-weight: 600; }
+    ${styles}
+  </style>
+</head>
+<body>
+  <div class="page-wrapper">
+    <header class="gc-header">
+      <div class="gc-header-logo">
+        <span class="gc-header-logo-name">${AGENCY_NAME}</span>
+        <span class="gc-header-logo-text">${title}</span>
+      </div>
+      <nav class="gc-header-nav">
+        <a href="/">Home</a>
+        <a href="/api-docs">API Docs</a>
+        <a href="/auth/logout">Sign Out</a>
+      </nav>
+    </header>
+    <div class="gc-red-bar"></div>
+    <main class="main-content">
+      ${body}
+    </main>
+    <footer class="gc-footer"><div>${AGENCY_BRANDING.footerText}</div></footer>
+  </div>
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/js/bootstrap.bundle.min.js"></script>
+  ${scripts}
+</body>
+</html>`;
+}
+
+// Home route - Login or Dashboard
+app.get('/', (req, res) => {
+  const schemaBadge = SCHEMA_FILE_PATH ? `<span class="filter-badge schema-mode">📄 Schema: ${path.basename(SCHEMA_FILE_PATH)}</span>` : '';
+  const prefixBadge = PUBLISHER_PREFIX ? `<span class="filter-badge prefix-mode">🏷️ Prefix: ${PUBLISHER_PREFIX}_</span>` : '';
+  const pathFilterBadge = PATH_FILTER ? `<span class="filter-badge">🔍 Filter: ${PATH_FILTER}</span>` : '';
+  
+  let schemaFileErrors = '';
+  if (SCHEMA_FILE_PATH && req.session.token) {
+    try {
+      loadSchemaFile(SCHEMA_FILE_PATH);
+    } catch (error) {
+      schemaFileErrors = renderSchemaFileErrorsHtml(error.validationErrors || [{ path: '/', message: error.message }]);
+    }
+  }
+  
   if (!req.session.token) {
     res.send(`<!DOCTYPE html>
 <html lang="en">
@@ -639,6 +1316,7 @@ app.get('/', (req, res) => {
 </html>`);
   } else {
     const authType = req.session.authType || 'user';
+    const schemaLibrary = readSchemaLibrary();
     const authBadge = authType === 'application' ? '<span class="badge badge-agency">Application</span>' : '<span class="badge bg-primary">User</span>';
     
     res.send(`<!DOCTYPE html>
@@ -672,6 +1350,16 @@ app.get('/', (req, res) => {
       </div>
       <nav class="gc-header-nav">
         <a href="/">Home</a>
+        <a href="/spec-history">Spec History</a>
+        <a href="/schema-files">Schema Files</a>
+        <a href="/data-browser">Data Browser</a>
+        <a href="/fetchxml">FetchXML</a>
+        <a href="/batch">Batch</a>
+        <a href="/import">Import</a>
+        <a href="/compare-environments">Compare Environments</a>
+        <a href="/erd">Relationships</a>
+        <a href="/data-dictionary">Data Dictionary</a>
+        ${SCHEMA_FILE_PATH ? '<a href="/schema-diff">Schema Drift</a><a href="/deploy-schema">Deploy Schema</a>' : ''}
         <a href="/auth/logout">Sign Out</a>
       </nav>
     </header>
@@ -685,6 +1373,7 @@ app.get('/', (req, res) => {
           <p class="mb-1">Documentation will be generated from: <code>${path.basename(SCHEMA_FILE_PATH)}</code></p>
           ${PUBLISHER_PREFIX ? `<p class="mb-0">Publisher prefix: <code>${PUBLISHER_PREFIX}_</code></p>` : ''}
         </div>` : ''}
+        ${schemaFileErrors}
         <div id="statusMessages"></div>
         <div class="card">
           <div class="card-body">
@@ -694,7 +1383,19 @@ app.get('/', (req, res) => {
                 <input type="text" class="form-control" id="envUrl" name="envUrl" placeholder="URL" value="${process.env.dataverse_url || ''}" required>
                 <label for="envUrl">Dataverse Environment URL</label>
               </div>
+              ${SCHEMA_FILE_PATH || schemaLibrary.length ? `
+              <div class="mb-3">
+                <label for="schemaFile" class="form-label">Schema File</label>
+                <select class="form-select" id="schemaFile" name="schemaFile">
+                  ${SCHEMA_FILE_PATH
+                    ? `<option value="${DEFAULT_SCHEMA_FILE}">${escapeHtml(path.basename(SCHEMA_FILE_PATH))} (default)</option>`
+                    : '<option value="">None (read metadata from Dataverse)</option>'}
+                  ${schemaLibrary.map(f => `<option value="${escapeHtml(f.name)}">${escapeHtml(f.name)}${f.prefix ? ` (${escapeHtml(f.prefix)}_)` : ''}</option>`).join('')}
+                </select>
+                <small><a href="/schema-files">Manage schema files</a></small>
+              </div>` : ''}
               ${!SCHEMA_FILE_PATH ? `
+              <div id="metadataOptions">
               <div class="mb-3">
                 <label for="publisherDropdown" class="form-label">Publisher (Optional)</label>
                 <div class="input-group">
@@ -705,11 +1406,25 @@ app.get('/', (req, res) => {
                   <div class="spinner-border text-primary publisher-loading" role="status" id="publisherLoading"></div>
                 </div>
                 <input type="hidden" id="prefix" name="prefix" value="">
-              </div>` : `<input type="hidden" name="prefix" value="${PUBLISHER_PREFIX}"><input type="hidden" name="useSchemaFile" value="true">`}
+              </div>
+              <div class="mb-3">
+                <label for="mode" class="form-label">Metadata Source</label>
+                <select class="form-select" id="mode" name="mode">
+                  <option value="dataverse-query">Entity definitions (tables and columns)</option>
+                  <option value="csdl-metadata">$metadata CSDL (navigation properties, actions, functions, enums)</option>
+                </select>
+              </div>
+              </div>` : `<input type="hidden" name="prefix" value=""><input type="hidden" name="useSchemaFile" value="true">`}
+              <div class="form-check mb-3" id="reconcileOption" ${SCHEMA_FILE_PATH ? '' : 'style="display: none;"'}>
+                <input class="form-check-input" type="checkbox" id="reconcile" name="reconcile" value="true">
+                <label class="form-check-label" for="reconcile">Check schema file against this environment (entity set names, columns, types)</label>
+              </div>
               <button class="w-100 btn btn-lg btn-agency-primary" type="submit">Generate API Docs</button>
             </form>
             <div class="mt-3 pt-3 border-top">
               <button class="btn btn-sm btn-outline-secondary" onclick="checkIdentity()">🔍 Check Identity</button>
+              ${!SCHEMA_FILE_PATH ? '<button class="btn btn-sm btn-outline-secondary" onclick="exportSchema()">⬇️ Export Schema File</button>' : ''}
+              <button class="btn btn-sm btn-outline-secondary" onclick="compareEnvironments()">🔀 Compare Environments</button>
               <div id="identityInfo" class="mt-2" style="display: none;"><pre class="bg-light p-2 small" style="max-height: 200px; overflow-y: auto;"></pre></div>
             </div>
           </div>
@@ -729,7 +1444,26 @@ app.get('/', (req, res) => {
         identityDiv.querySelector('pre').textContent = JSON.stringify(data, null, 2);
       } catch (error) { console.error('Error:', error); }
     }
+    function exportSchema() {
+      const envUrl = document.getElementById('envUrl').value.trim();
+      const prefix = document.getElementById('prefix').value;
+      if (!envUrl || !prefix) { alert('Enter URL and select a publisher first'); return; }
+      window.location.href = '/api/export-schema?url=' + encodeURIComponent(envUrl) + '&prefix=' + encodeURIComponent(prefix);
+    }
+    function compareEnvironments() {
+      const envUrl = document.getElementById('envUrl').value.trim();
+      const prefix = document.getElementById('prefix')?.value || '';
+      window.location.href = '/compare-environments?urls=' + encodeURIComponent(envUrl + '\\n') + '&prefix=' + encodeURIComponent(prefix);
+    }
     document.addEventListener('DOMContentLoaded', function() {
+      const schemaSelect = document.getElementById('schemaFile');
+      const metadataOptions = document.getElementById('metadataOptions');
+      if (schemaSelect && metadataOptions) {
+        schemaSelect.addEventListener('change', function() {
+          metadataOptions.style.display = this.value ? 'none' : '';
+          document.getElementById('reconcileOption').style.display = this.value ? '' : 'none';
+        });
+      }
       const loadBtn = document.getElementById('loadPublishers');
       const dropdown = document.getElementById('publisherDropdown');
       const prefixInput = document.getElementById('prefix');
@@ -806,7 +1540,7 @@ app.get('/auth/app-login', async (req, res) => {
       console.log('App token acquired successfully');
       req.session.token = response.accessToken;
       req.session.authType = 'application';
-      openApiSpec = null;
+      req.session.username = `Application (${azureConfig.clientId})`;
       const expiresIn = response.expiresOn ? new Date(response.expiresOn).getTime() - Date.now() : 3600 * 1000;
       req.session.tokenExpires = Date.now() + expiresIn;
       console.log(`Token expires in ${Math.floor(expiresIn / 1000 / 60)} minutes`);
@@ -833,7 +1567,8 @@ app.get('/auth/callback', (req, res) => {
       console.log('User token acquired successfully');
       req.session.token = response.accessToken;
       req.session.authType = 'user';
-      openApiSpec = null;
+      req.session.username = response.account?.username || null;
+      req.session.homeAccountId = response.account?.homeAccountId || null;
       const expiresIn = response.expiresOn ? new Date(response.expiresOn).getTime() - Date.now() : 3600 * 1000;
       req.session.tokenExpires = Date.now() + expiresIn;
       res.redirect('/');
@@ -918,8 +1653,11 @@ app.get('/api/fetch-publishers', async (req, res) => {
 app.post('/generate-docs', async (req, res) => {
   if (!req.session.token) return res.status(401).send('Auth required');
   const envUrl = req.body.envUrl;
-  const prefix = req.body.prefix || PUBLISHER_PREFIX;
-  const useSchemaFile = req.body.useSchemaFile === 'true' || !!SCHEMA_FILE_PATH;
+  const schemaFile = req.body.schemaFile !== undefined ? req.body.schemaFile : (SCHEMA_FILE_PATH ? DEFAULT_SCHEMA_FILE : '');
+  const useSchemaFile = !!schemaFile;
+  const prefix = req.body.prefix || (useSchemaFile ? '' : PUBLISHER_PREFIX);
+  const mode = GENERATION_MODES.includes(req.body.mode) ? req.body.mode : 'dataverse-query';
+  const reconcile = req.body.reconcile === 'true';
   
   res.send(`<!DOCTYPE html>
 <html><head>
@@ -936,19 +1674,32 @@ app.post('/generate-docs', async (req, res) => {
   <div class="loading">
     <div class="spinner-border mb-3"></div>
     <h4>Generating API Documentation</h4>
-    <p class="text-muted">${useSchemaFile ? 'Reading schema file...' : 'Fetching from Dataverse...'}</p>
-    ${useSchemaFile ? '<span class="badge bg-success">Schema Mode</span>' : ''}
+    <p class="text-muted">${useSchemaFile ? 'Reading schema file...' : mode === 'csdl-metadata' ? 'Downloading $metadata...' : 'Fetching from Dataverse...'}</p>
+    ${useSchemaFile ? `<span class="badge bg-success">Schema: ${escapeHtml(schemaFile === DEFAULT_SCHEMA_FILE ? path.basename(SCHEMA_FILE_PATH) : schemaFile)}</span>` : ''}
     ${prefix ? '<span class="badge bg-info ms-1">Prefix: ' + prefix + '</span>' : ''}
   </div>
   <script>
     fetch('/api/generate-openapi', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url: '${envUrl}', prefix: '${prefix}', useSchemaFile: ${useSchemaFile} })
+      body: JSON.stringify({ url: '${envUrl}', prefix: '${prefix}', schemaFile: ${JSON.stringify(schemaFile)}, mode: '${mode}', reconcile: ${reconcile} })
     })
-    .then(r => r.ok ? r.json() : r.json().then(e => { throw new Error(e.error || 'Failed'); }))
-    .then(() => window.location.href = '/api-docs')
-    .catch(e => document.body.innerHTML = '<div class="alert alert-danger m-5"><h4>Error</h4><p>' + e.message + '</p><a href="/" class="btn btn-primary">Back</a></div>');
+    .then(r => r.ok ? r.json() : r.json().then(e => { const err = new Error(e.error || 'Failed'); err.validationErrors = e.validationErrors; throw err; }))
+    .then(data => window.location.href = '/api-docs?spec=' + encodeURIComponent(data.specId))
+    .catch(e => {
+      document.body.innerHTML = '<div class="alert alert-danger m-5"><h4>Error</h4><p id="errorMessage"></p><ul id="errorList" class="small"></ul><a href="/" class="btn btn-primary">Back</a></div>';
+      if (e.validationErrors) {
+        document.getElementById('errorMessage').textContent = 'The schema file is invalid:';
+        e.validationErrors.forEach(v => {
+          const li = document.createElement('li');
+          li.textContent = [v.line ? 'Line ' + v.line : '', v.tableIndex !== undefined ? 'tables[' + v.tableIndex + ']' + (v.table ? ' (' + v.table + ')' : '') : '', v.attribute ? 'attribute "' + v.attribute + '"' : '', v.field ? 'field "' + v.field + '"' : '']
+            .filter(Boolean).join(', ') + ': ' + v.message + (v.allowedValues ? ' — allowed values: ' + v.allowedValues.join(', ') : '');
+          document.getElementById('errorList').appendChild(li);
+        });
+      } else {
+        document.getElementById('errorMessage').textContent = e.message;
+      }
+    });
   </script>
 </body></html>`);
 });
@@ -958,31 +1709,54 @@ app.post('/api/generate-openapi', async (req, res) => {
   if (!req.session.token) return res.status(401).json({ error: 'Auth required', redirect: '/auth/login' });
   
   const envUrl = req.body.url;
-  const prefix = req.body.prefix || PUBLISHER_PREFIX;
-  const useSchemaFile = req.body.useSchemaFile || !!SCHEMA_FILE_PATH;
+  // schemaFile: "default" (SCHEMA_FILE_PATH), a library name, or "" for Dataverse metadata
+  const schemaFileName = req.body.schemaFile !== undefined
+    ? req.body.schemaFile
+    : ((req.body.useSchemaFile || SCHEMA_FILE_PATH) && SCHEMA_FILE_PATH ? DEFAULT_SCHEMA_FILE : '');
+  const schemaFile = schemaFileName ? resolveSchemaFileSelection(schemaFileName) : null;
+  if (schemaFileName && !schemaFile) return res.status(404).json({ error: `Schema file "${schemaFileName}" not found` });
+  
+  const prefix = req.body.prefix || schemaFile?.prefix || PUBLISHER_PREFIX;
+  const mode = schemaFile
+    ? 'schema-file'
+    : (req.body.mode === 'csdl-metadata' ? 'csdl-metadata' : 'dataverse-query');
   
   try {
     if (!envUrl) throw new Error('Dataverse URL required');
     const apiUrl = normalizeDataverseUrl(envUrl);
     
-    console.log(`Generating OpenAPI spec - URL: ${apiUrl}, Schema: ${useSchemaFile}, Prefix: ${prefix}`);
+    console.log(`Generating OpenAPI spec - URL: ${apiUrl}, Mode: ${mode}, Prefix: ${prefix}`);
     
     let rawSpec;
-    if (useSchemaFile && SCHEMA_FILE_PATH) {
-      console.log('Using schema file method');
-      rawSpec = generateOpenApiSpecFromSchemaFile(apiUrl, SCHEMA_FILE_PATH, prefix);
+    let reconciliation = null;
+    if (mode === 'schema-file') {
+      console.log(`Using schema file method (${schemaFile.source}: ${schemaFile.name})`);
+      if (req.body.reconcile) {
+        console.log('Reconciling schema file against live EntityDefinitions');
+        reconciliation = await reconcileSchemaFile(apiUrl, req.session.token, schemaFile.path, prefix);
+      }
+      rawSpec = generateOpenApiSpecFromSchemaFile(apiUrl, schemaFile.path, prefix, reconciliation);
+      rawSpec['x-schema-file'] = { ...rawSpec['x-schema-file'], name: schemaFile.name, source: schemaFile.source };
+    } else if (mode === 'csdl-metadata') {
+      console.log('Using $metadata (CSDL) method');
+      rawSpec = await generateOpenApiSpecFromCsdl(apiUrl, req.session.token, prefix);
     } else {
       console.log('Using Dataverse query method');
       rawSpec = await generateSimpleOpenApiSpec(apiUrl, req.session.token, prefix);
     }
     
     // Apply path filter if not using schema file
-    if (PATH_FILTER && !useSchemaFile) {
-      openApiSpec = filterOpenApiByPattern(rawSpec, PATH_FILTER, { caseInsensitive: true });
-    } else {
-      openApiSpec = rawSpec;
-    }
+    const openApiSpec = PATH_FILTER && mode !== 'schema-file'
+      ? filterOpenApiByPattern(rawSpec, PATH_FILTER, { caseInsensitive: true })
+      : rawSpec;
+    addBatchPath(openApiSpec);
     
+    const specId = storeSessionSpec(req, openApiSpec, {
+      environment: apiUrl,
+      mode,
+      prefix,
+      schemaFile: schemaFile ? schemaFile.name : null
+    });
     req.session.openApiGenerated = true;
     req.session.prefix = prefix;
     
@@ -993,9 +1767,12 @@ app.post('/api/generate-openapi', async (req, res) => {
     
     res.json({
       success: true,
-      mode: useSchemaFile ? 'schema-file' : 'dataverse-query',
+      specId,
+      mode,
+      schemaFile: schemaFile ? schemaFile.name : undefined,
       paths: Object.keys(openApiSpec.paths || {}).length,
-      schemas: Object.keys(openApiSpec.components?.schemas || {}).length
+      schemas: Object.keys(openApiSpec.components?.schemas || {}).length,
+      reconciliation: reconciliation ? { mismatchCount: reconciliation.mismatches.length, mismatches: reconciliation.mismatches } : undefined
     });
   } catch (error) {
     console.error('OpenAPI generation error:', error);
@@ -1003,22 +1780,30 @@ app.post('/api/generate-openapi', async (req, res) => {
       req.session.token = null;
       return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
     }
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // API Docs route
 app.get('/api-docs', (req, res) => {
-  if (!openApiSpec) {
+  const entry = getRequestedSpec(req);
+  if (!entry) {
     return res.send(`<html><body style="display:flex;justify-content:center;align-items:center;height:100vh;font-family:sans-serif;">
-      <div class="text-center"><h4>No Documentation Available</h4><p>Please generate documentation first.</p><a href="/" class="btn btn-primary">Back</a></div>
+      <div class="text-center"><h4>No Documentation Available</h4><p>${req.query.spec ? 'This spec is no longer available. Please generate it again.' : 'Please generate documentation first.'}</p><a href="/" class="btn btn-primary">Back</a></div>
     </body></html>`);
   }
   
+  const openApiSpec = entry.spec;
+  const sessionSpecs = listSessionSpecs(req);
   const authType = req.session.authType || 'user';
   const pathCount = Object.keys(openApiSpec.paths || {}).length;
-  const schemaCount = Object.keys(openApiSpec.components?.schemas || {}).length;
-  const isSchemaMode = SCHEMA_FILE_PATH && openApiSpec.info?.description?.includes('Schema File');
+  const tableCount = (openApiSpec.tags || []).length;
+  const schemaFile = openApiSpec['x-schema-file'];
+  const isSchemaMode = Boolean(schemaFile);
+  const reconciliation = openApiSpec['x-schema-reconciliation'];
   
   res.send(`<!DOCTYPE html>
 <html lang="en">
@@ -1042,6 +1827,11 @@ app.get('/api-docs', (req, res) => {
     .info-bar { padding: 0.75rem 1rem; font-size: 0.9rem; border-bottom: 1px solid #ddd; }
     .info-bar.schema-mode { background: #cce5ff; }
     .info-bar.path-filter { background: #d4edda; }
+    .info-bar.reconcile-ok { background: #d4edda; }
+    .info-bar.reconcile-warn { background: #f8d7da; }
+    .info-bar ul { margin: 0.5rem 0 0; }
+    .info-bar.spec-bar { background: #f1f3f5; display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap; }
+    .spec-bar select, .spec-bar button { font-size: 0.85rem; padding: 0.25rem 0.5rem; border: 1px solid #ccc; border-radius: 4px; background: white; }
     .token-helper { background: #fff3cd; border-bottom: 1px solid #ffc107; padding: 1rem; display: flex; justify-content: space-between; align-items: center; }
     .token-helper button { background: var(--agency-header-bg); color: white; border: none; padding: 0.5rem 1rem; border-radius: 4px; cursor: pointer; margin-left: 0.5rem; }
     .token-display { font-family: monospace; font-size: 0.85rem; background: #f8f9fa; padding: 0.5rem; border-radius: 4px; margin-top: 0.5rem; word-break: break-all; max-height: 100px; overflow-y: auto; display: none; }
@@ -1059,17 +1849,46 @@ app.get('/api-docs', (req, res) => {
     </div>
     <nav class="gc-header-nav">
       <a href="/">Home</a>
+      <a href="/data-browser?spec=${entry.id}">Data Browser</a>
+      <a href="/fetchxml?spec=${entry.id}">FetchXML</a>
+      <a href="/batch?spec=${entry.id}">Batch</a>
+      <a href="/import?spec=${entry.id}">Import</a>
+      <a href="/spec-history">History</a>
       <a href="/auth/logout">Sign Out</a>
     </nav>
   </header>
   <div class="gc-red-bar"></div>
   
-  ${isSchemaMode ? `<div class="info-bar schema-mode"><strong>📄 Schema Mode:</strong> <code>${path.basename(SCHEMA_FILE_PATH)}</code> — ${schemaCount} tables, ${pathCount} paths${PUBLISHER_PREFIX ? ` — Prefix: <code>${PUBLISHER_PREFIX}_</code>` : ''}</div>` : ''}
+  <div class="info-bar spec-bar">
+    <div>${entry.version ? `<strong>v${entry.version}</strong>${entry.id === readSpecHistory().published ? ' <span class="auth-badge" style="background:#28a745;margin-left:4px;">Published</span>' : ''} — ` : ''}<strong>🌐 Environment:</strong> <code>${escapeHtml(entry.environment)}</code> — ${escapeHtml(entry.mode)} — generated ${escapeHtml(new Date(entry.createdAt).toLocaleString())}</div>
+    <div>
+      ${sessionSpecs.length > 1 ? `<select onchange="if (this.value) window.open('/api-docs?spec=' + encodeURIComponent(this.value), '_blank'); this.value = '';">
+        <option value="">Open another spec side by side…</option>
+        ${sessionSpecs.filter(s => s.id !== entry.id).map(s => `<option value="${s.id}">${escapeHtml(s.environment)} (${escapeHtml(s.mode)}, ${escapeHtml(new Date(s.createdAt).toLocaleTimeString())})</option>`).join('')}
+      </select>` : ''}
+      <select onchange="if (this.value) window.location.href = this.value + '?spec=${entry.id}&download=true'; this.value = '';">
+        <option value="">⬇️ Download…</option>
+        <option value="/swagger.json">OpenAPI JSON</option>
+        <option value="/swagger.yaml">OpenAPI YAML</option>
+        <option value="/postman-collection.json">Postman collection (v2.1)</option>
+        <option value="/insomnia.json">Insomnia export</option>
+        <option value="/client-sdk/typescript">TypeScript client (zip)</option>
+        <option value="/client-sdk/csharp">C# client (zip)</option>
+        <option value="/export/static-docs">Static HTML docs (zip)</option>
+      </select>
+      <button onclick="copyShareLink()">🔗 Copy Share Link</button>
+    </div>
+  </div>
+  ${isSchemaMode ? `<div class="info-bar schema-mode"><strong>📄 Schema Mode:</strong> <code>${escapeHtml(schemaFile.name)}</code>${schemaFile.source === 'library' ? ' (library)' : ''} — ${tableCount} tables, ${pathCount} paths${schemaFile.prefix ? ` — Prefix: <code>${escapeHtml(schemaFile.prefix)}</code>` : ''}</div>` : ''}
+  ${reconciliation ? (reconciliation.mismatches.length
+    ? `<div class="info-bar reconcile-warn"><details><summary><strong>⚠️ Environment Mismatches:</strong> ${reconciliation.mismatches.length} difference(s) between the schema file and the environment</summary>
+        <ul>${reconciliation.mismatches.map(m => `<li><code>${escapeHtml(m.type)}</code> ${escapeHtml(m.message)}</li>`).join('')}</ul></details></div>`
+    : `<div class="info-bar reconcile-ok"><strong>✓ Environment Check:</strong> Schema file matches the environment</div>`) : ''}
   ${PATH_FILTER && !isSchemaMode ? `<div class="info-bar path-filter"><strong>🔍 Path Filter:</strong> <code>${PATH_FILTER}</code> — ${pathCount} paths</div>` : ''}
   
   <div class="token-helper">
     <div style="flex:1;">
-      <strong>🔑 Bearer Token:</strong> Click to copy your token for the Authorize button.
+      <strong>🔑 Bearer Token:</strong> "Try it out" runs through the explorer proxy with your session, so no token is needed. Copy the token only for the direct environment server or for other tools.
       <div id="tokenDisplay" class="token-display"></div>
     </div>
     <div>
@@ -1105,6 +1924,10 @@ app.get('/api-docs', (req, res) => {
       await navigator.clipboard.writeText(currentToken);
       showToast('Token copied!');
     }
+    async function copyShareLink() {
+      await navigator.clipboard.writeText(window.location.origin + '/api-docs?spec=${entry.id}');
+      showToast('Share link copied!');
+    }
     function hideToken() {
       document.getElementById('tokenDisplay').style.display = 'none';
       document.getElementById('showTokenBtn').style.display = 'inline-block';
@@ -1114,7 +1937,7 @@ app.get('/api-docs', (req, res) => {
     }
     window.onload = function() {
       SwaggerUIBundle({
-        url: "/swagger.json",
+        url: "/swagger.json?spec=${entry.id}&proxy=true",
         dom_id: '#swagger-ui',
         deepLinking: true,
         presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
@@ -1127,9 +1950,26 @@ app.get('/api-docs', (req, res) => {
 });
 
 // Swagger JSON endpoint
+// Serves ?spec=<id>, otherwise the published version, otherwise the session's current spec.
+// proxy=true (used by /api-docs) points the spec's servers at the explorer proxy.
 app.get('/swagger.json', (req, res) => {
-  if (!openApiSpec) return res.status(404).json({ error: "No spec available" });
-  res.json(openApiSpec);
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  if (req.query.download === 'true') setSpecDownloadHeader(res, entry, 'json');
+  res.json(req.query.proxy === 'true' ? withProxyServer(entry) : entry.spec);
+});
+
+// Specs generated in this session
+app.get('/api/specs', (req, res) => {
+  res.json({
+    current: req.session.currentSpecId || null,
+    specs: listSessionSpecs(req).map(({ spec, ...details }) => ({
+      ...details,
+      paths: Object.keys(spec.paths || {}).length,
+      docsUrl: `/api-docs?spec=${details.id}`,
+      specUrl: `/swagger.json?spec=${details.id}`
+    }))
+  });
 });
 
 // Current token API
@@ -1155,7 +1995,7 @@ function normalizeDataverseUrl(url) {
 // Generate OpenAPI spec from Dataverse (original method)
 async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
   try {
-    const entitiesUrl = `${apiUrl}EntityDefinitions?$select=LogicalName,SchemaName,DisplayName,EntitySetName&$expand=Attributes($select=LogicalName,SchemaName,AttributeType,DisplayName)`;
+    const entitiesUrl = `${apiUrl}EntityDefinitions?$select=LogicalName,SchemaName,DisplayName,EntitySetName&$expand=Attributes($select=LogicalName,SchemaName,AttributeType,AttributeTypeName,DisplayName,IsPrimaryId,IsValidForRead,IsValidForCreate,IsValidForUpdate,RequiredLevel)`;
     console.log(`Fetching entities from: ${entitiesUrl}`);
     
     const response = await axios.get(entitiesUrl, {
@@ -1203,6 +2043,31 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
     entities = accessibleEntities;
     console.log(`Accessible entities: ${entities.length}`);
     
+    // Choice options for Picklist/State/Status/MultiSelectPicklist columns, and lookup relationships
+    console.log('Fetching choice options and relationships...');
+    const optionSetsByEntity = {};
+    const relationshipsByEntity = {};
+    for (let i = 0; i < entities.length; i += batchSize) {
+      const batch = entities.slice(i, i + batchSize);
+      await Promise.all(batch.map(async (entity) => {
+        try {
+          optionSetsByEntity[entity.LogicalName] = await fetchEntityOptionSets(apiUrl, token, entity);
+        } catch (error) {
+          console.warn(`Could not load choices for ${entity.LogicalName}: ${error.message}`);
+        }
+        try {
+          relationshipsByEntity[entity.LogicalName] = await fetchEntityRelationships(apiUrl, token, entity);
+        } catch (error) {
+          console.warn(`Could not load relationships for ${entity.LogicalName}: ${error.message}`);
+        }
+      }));
+    }
+    
+    const entitySetByLogicalName = {};
+    response.data.value.forEach(e => { if (e.EntitySetName) entitySetByLogicalName[e.LogicalName] = e.EntitySetName; });
+    const schemaNameByLogicalName = {};
+    entities.forEach(e => { if (e.SchemaName && e.EntitySetName) schemaNameByLogicalName[e.LogicalName] = `${e.SchemaName}Read`; });
+    
     // Build spec
     const openApiSpec = {
       openapi: '3.0.0',
@@ -1223,14 +2088,64 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
     entities.forEach(entity => {
       if (!entity.SchemaName || !entity.EntitySetName) return;
       
-      const properties = {};
+      const columns = [];
+      const navigationProperties = [];
+      const optionSets = optionSetsByEntity[entity.LogicalName] || {};
+      const relationships = relationshipsByEntity[entity.LogicalName];
       if (entity.Attributes) {
         entity.Attributes.forEach(attr => {
-          if (attr.SchemaName) properties[attr.SchemaName] = attributeTypeToOpenApiType(attr.AttributeType);
+          if (!attr.SchemaName) return;
+          const flags = {
+            read: attr.IsValidForRead !== false,
+            create: attr.IsValidForCreate !== false,
+            update: attr.IsValidForUpdate !== false && !attr.IsPrimaryId,
+            required: REQUIRED_LEVELS.includes(attr.RequiredLevel?.Value)
+          };
+          const lookup = relationships && LOOKUP_ATTRIBUTE_TYPES.includes(attr.AttributeType)
+            ? buildLookupProperties(attr, relationships, entitySetByLogicalName, schemaNameByLogicalName)
+            : null;
+          if (lookup) {
+            columns.push({ readProperties: lookup.readProperties, writeProperties: lookup.writeProperties, ...flags });
+            navigationProperties.push(...lookup.navigationProperties);
+            return;
+          }
+          const typeSchema = optionSets[attr.LogicalName]
+            ? optionSetToOpenApiType(openApiSpec, optionSets[attr.LogicalName])
+            : attributeTypeToOpenApiType(attr.AttributeType);
+          // The Web API only accepts logical names; the schema name is kept for reference
+          const description = [typeSchema.description, `Schema name: ${attr.SchemaName}`].filter(Boolean).join('\n\n');
+          const propertySchema = typeSchema.$ref ? { allOf: [typeSchema], description } : { ...typeSchema, description };
+          columns.push({
+            readProperties: { [attr.LogicalName]: attr.IsPrimaryId ? { ...propertySchema, readOnly: true } : propertySchema },
+            writeProperties: { [attr.LogicalName]: propertySchema },
+            ...flags
+          });
         });
       }
       
-      openApiSpec.components.schemas[entity.SchemaName] = { type: 'object', properties };
+      // Collection-valued navigation properties (1:N) to entities included in the spec
+      (relationships?.oneToMany || [])
+        .filter(r => r.ReferencedEntityNavigationPropertyName && schemaNameByLogicalName[r.ReferencingEntity])
+        .forEach(r => {
+          columns.push({
+            readProperties: { [r.ReferencedEntityNavigationPropertyName]: navigationPropertySchema([r.ReferencingEntity], schemaNameByLogicalName, true) },
+            create: false,
+            update: false
+          });
+          navigationProperties.push(r.ReferencedEntityNavigationPropertyName);
+        });
+      
+      const expandParameter = {
+        name: '$expand',
+        in: 'query',
+        description: navigationProperties.length ? `Navigation properties: ${navigationProperties.join(', ')}` : 'Related entities to include',
+        schema: { type: 'string' }
+      };
+      
+      const entitySchemas = buildEntitySchemas(columns);
+      openApiSpec.components.schemas[`${entity.SchemaName}Read`] = entitySchemas.read;
+      openApiSpec.components.schemas[`${entity.SchemaName}Create`] = entitySchemas.create;
+      openApiSpec.components.schemas[`${entity.SchemaName}Update`] = entitySchemas.update;
       
       openApiSpec.paths[`/${entity.EntitySetName}`] = {
         get: {
@@ -1239,13 +2154,14 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
             { name: '$select', in: 'query', schema: { type: 'string' } },
             { name: '$filter', in: 'query', schema: { type: 'string' } },
             { name: '$orderby', in: 'query', schema: { type: 'string' } },
-            { name: '$top', in: 'query', schema: { type: 'integer' } }
+            { name: '$top', in: 'query', schema: { type: 'integer' } },
+            expandParameter
           ],
-          responses: { '200': { description: 'Success', content: { 'application/json': { schema: { type: 'object', properties: { value: { type: 'array', items: { $ref: `#/components/schemas/${entity.SchemaName}` } } } } } } } }
+          responses: { '200': { description: 'Success', content: { 'application/json': { schema: { type: 'object', properties: { value: { type: 'array', items: { $ref: `#/components/schemas/${entity.SchemaName}Read` } } } } } } } }
         },
         post: {
           summary: `Create ${entity.SchemaName}`,
-          requestBody: { content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}` } } } },
+          requestBody: { content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}Create` } } } },
           responses: { '201': { description: 'Created' } }
         }
       };
@@ -1253,13 +2169,13 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
       openApiSpec.paths[`/${entity.EntitySetName}({id})`] = {
         get: {
           summary: `Get ${entity.SchemaName} by ID`,
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          responses: { '200': { description: 'Success', content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}` } } } } }
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }, expandParameter],
+          responses: { '200': { description: 'Success', content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}Read` } } } } }
         },
         patch: {
           summary: `Update ${entity.SchemaName}`,
           parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
-          requestBody: { content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}` } } } },
+          requestBody: { content: { 'application/json': { schema: { $ref: `#/components/schemas/${entity.SchemaName}Update` } } } },
           responses: { '204': { description: 'Updated' } }
         },
         delete: {
@@ -1270,6 +2186,16 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
       };
     });
     
+    // Custom APIs published under the same prefix
+    try {
+      const customApis = await fetchCustomApis(apiUrl, token, prefix);
+      const customApiCount = addCustomApiPaths(openApiSpec, customApis, response.data.value);
+      console.log(`Custom APIs: ${customApiCount}`);
+    } catch (error) {
+      if (error.response?.status === 401) throw error;
+      console.warn(`Could not load Custom APIs: ${error.message}`);
+    }
+    
     return openApiSpec;
   } catch (error) {
     console.error('Error generating spec:', error);
@@ -1277,6 +2203,412 @@ async function generateSimpleOpenApiSpec(apiUrl, token, prefix) {
   }
 }
 
+// =============================================================================
+// OPTION SET (CHOICE) ENUMS
+// =============================================================================
+
+// Attribute metadata types that carry an OptionSet, keyed by the AttributeTypeName they apply to
+const OPTION_SET_METADATA_TYPES = {
+  PicklistType: 'PicklistAttributeMetadata',
+  StateType: 'StateAttributeMetadata',
+  StatusType: 'StatusAttributeMetadata',
+  MultiSelectPicklistType: 'MultiSelectPicklistAttributeMetadata'
+};
+
+/**
+ * Normalize Dataverse OptionMetadata records or schema-file options to { value, label, localizedLabels }
+ * @param {Array} options - OptionMetadata ({ Value, Label }) or schema-file ({ value, label }) entries
+ * @returns {Array} Normalized options
+ */
+function normalizeOptions(options) {
+  return (options || []).map(option => {
+    if (option.Value === undefined) {
+      return { value: option.value, label: option.label !== undefined ? String(option.label) : String(option.value) };
+    }
+    const localizedLabels = {};
+    (option.Label?.LocalizedLabels || []).forEach(l => { localizedLabels[l.LanguageCode] = l.Label; });
+    return {
+      value: option.Value,
+      label: option.Label?.UserLocalizedLabel?.Label || Object.values(localizedLabels)[0] || String(option.Value),
+      localizedLabels
+    };
+  });
+}
+
+/**
+ * Apply choice values to an OpenAPI type: `enum`, `x-enum-labels` and a value/label table in the description
+ * Multi-select choices are serialized by the Web API as a comma-separated string of values.
+ * 
+ * @param {Object} baseType - OpenAPI type definition to extend
+ * @param {Array} options - Options accepted by normalizeOptions
+ * @param {boolean} multiSelect - Whether the column is a multi-select choice
+ * @returns {Object} The extended type definition
+ */
+function applyOptionSetEnum(baseType, options, multiSelect = false) {
+  const normalized = normalizeOptions(options);
+  if (!normalized.length) return baseType;
+  
+  if (multiSelect) {
+    baseType.type = 'string';
+    baseType.pattern = '^-?\\d+(,-?\\d+)*$';
+  } else {
+    baseType.type = 'integer';
+    baseType.enum = normalized.map(o => o.value);
+  }
+  delete baseType.format;
+  
+  baseType['x-enum-labels'] = normalized.map(o => (
+    o.localizedLabels && Object.keys(o.localizedLabels).length > 1
+      ? { value: o.value, label: o.label, localizedLabels: o.localizedLabels }
+      : { value: o.value, label: o.label }
+  ));
+  
+  const table = [
+    multiSelect ? 'Comma-separated list of values:\n' : null,
+    '| Value | Label |',
+    '|-------|-------|',
+    ...normalized.map(o => `| ${o.value} | ${String(o.label).replace(/\|/g, '\\|')} |`)
+  ].filter(Boolean).join('\n');
+  baseType.description = baseType.description ? `${baseType.description}\n\n${table}` : table;
+  
+  return baseType;
+}
+
+/**
+ * Fetch choice options for the Picklist, State, Status and MultiSelectPicklist columns of an entity
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {Object} entity - EntityDefinitions record with Attributes (LogicalName, AttributeTypeName)
+ * @returns {Promise<Object>} Map of attribute LogicalName to { options, multiSelect, globalOptionSetName }
+ */
+async function fetchEntityOptionSets(apiUrl, token, entity) {
+  const metadataTypes = [...new Set((entity.Attributes || [])
+    .map(a => OPTION_SET_METADATA_TYPES[a.AttributeTypeName?.Value])
+    .filter(Boolean))];
+  
+  const optionSets = {};
+  for (const metadataType of metadataTypes) {
+    const url = `${apiUrl}EntityDefinitions(LogicalName='${entity.LogicalName}')/Attributes/Microsoft.Dynamics.CRM.${metadataType}` +
+      `?$select=LogicalName&$expand=OptionSet($select=Options),GlobalOptionSet($select=Name,Options)`;
+    const response = await axios.get(url, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' },
+      timeout: 10000
+    });
+    (response.data?.value || []).forEach(attr => {
+      optionSets[attr.LogicalName] = {
+        options: attr.GlobalOptionSet?.Options || attr.OptionSet?.Options || [],
+        multiSelect: metadataType === 'MultiSelectPicklistAttributeMetadata',
+        globalOptionSetName: attr.GlobalOptionSet?.Name || null
+      };
+    });
+  }
+  return optionSets;
+}
+
+/**
+ * Build the OpenAPI type for a choice column; global option sets are shared as component schemas
+ * @param {Object} openApiSpec - Spec receiving shared global option set schemas
+ * @param {Object} optionSet - Entry returned by fetchEntityOptionSets
+ * @returns {Object} OpenAPI type definition or $ref
+ */
+function optionSetToOpenApiType(openApiSpec, optionSet) {
+  if (optionSet.globalOptionSetName && !optionSet.multiSelect) {
+    const componentName = `OptionSet_${optionSet.globalOptionSetName}`;
+    if (!openApiSpec.components.schemas[componentName]) {
+      openApiSpec.components.schemas[componentName] = applyOptionSetEnum({}, optionSet.options);
+    }
+    return { $ref: `#/components/schemas/${componentName}` };
+  }
+  return applyOptionSetEnum({}, optionSet.options, optionSet.multiSelect);
+}
+
+// =============================================================================
+// LOOKUP NAVIGATION PROPERTIES
+// =============================================================================
+
+const LOOKUP_ATTRIBUTE_TYPES = ['Lookup', 'Customer', 'Owner'];
+
+/**
+ * Fetch lookup targets and 1:N / N:1 relationships of an entity
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {Object} entity - EntityDefinitions record with Attributes
+ * @returns {Promise<Object>} { lookupTargets: { attr: [entity] }, manyToOne: Array, oneToMany: Array }
+ */
+async function fetchEntityRelationships(apiUrl, token, entity) {
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const entityUrl = `${apiUrl}EntityDefinitions(LogicalName='${entity.LogicalName}')`;
+  
+  const relationshipsResponse = await axios.get(`${entityUrl}?$select=LogicalName` +
+    `&$expand=ManyToOneRelationships($select=SchemaName,ReferencingAttribute,ReferencedEntity,ReferencingEntityNavigationPropertyName),` +
+    `OneToManyRelationships($select=SchemaName,ReferencingEntity,ReferencingAttribute,ReferencedEntityNavigationPropertyName)`, { headers, timeout: 10000 });
+  
+  const lookupTargets = {};
+  if ((entity.Attributes || []).some(a => LOOKUP_ATTRIBUTE_TYPES.includes(a.AttributeType))) {
+    const lookupsResponse = await axios.get(`${entityUrl}/Attributes/Microsoft.Dynamics.CRM.LookupAttributeMetadata?$select=LogicalName,Targets`, { headers, timeout: 10000 });
+    (lookupsResponse.data?.value || []).forEach(attr => { lookupTargets[attr.LogicalName] = attr.Targets || []; });
+  }
+  
+  return {
+    lookupTargets,
+    manyToOne: relationshipsResponse.data?.ManyToOneRelationships || [],
+    oneToMany: relationshipsResponse.data?.OneToManyRelationships || []
+  };
+}
+
+/**
+ * Build the typed schema of a navigation property for $expand responses
+ * @param {Array<string>} targets - Target entity logical names
+ * @param {Object} schemaNameByLogicalName - Entities included in the spec
+ * @param {boolean} collection - Whether the navigation property is collection-valued
+ * @returns {Object} OpenAPI type definition
+ */
+function navigationPropertySchema(targets, schemaNameByLogicalName, collection) {
+  const refs = targets
+    .filter(t => schemaNameByLogicalName[t])
+    .map(t => ({ $ref: `#/components/schemas/${schemaNameByLogicalName[t]}` }));
+  const single = refs.length === 1 ? { allOf: refs }
+    : refs.length > 1 ? { oneOf: refs }
+    : { type: 'object', additionalProperties: true };
+  
+  if (collection) {
+    return { type: 'array', items: refs.length === 1 ? refs[0] : single, readOnly: true, description: `Related ${targets.join(', ')} records (use with $expand)` };
+  }
+  return { ...single, readOnly: true, description: `Related ${targets.join(' or ')} record (use with $expand)` };
+}
+
+/**
+ * Build read and write properties for a lookup column
+ * Reads expose `_{attribute}_value` and one navigation property per relationship; writes use
+ * `{navigationProperty}@odata.bind` with an entity set reference such as "/accounts(<guid>)".
+ * 
+ * @param {Object} attr - Attribute record (LogicalName)
+ * @param {Object} relationships - Result of fetchEntityRelationships
+ * @param {Object} entitySetByLogicalName - Entity set names of all entities in the environment
+ * @param {Object} schemaNameByLogicalName - Entities included in the spec
+ * @returns {{ readProperties: Object, writeProperties: Object, navigationProperties: Array<string> }|null} null when no relationship metadata is available
+ */
+function buildLookupProperties(attr, relationships, entitySetByLogicalName, schemaNameByLogicalName) {
+  const targets = relationships.lookupTargets[attr.LogicalName] || [];
+  const navigations = {};
+  relationships.manyToOne
+    .filter(r => r.ReferencingAttribute === attr.LogicalName && r.ReferencingEntityNavigationPropertyName)
+    .forEach(r => {
+      const navName = r.ReferencingEntityNavigationPropertyName;
+      // Polymorphic relationships (e.g. owner) reference a virtual entity; use the lookup targets instead
+      const relationshipTargets = entitySetByLogicalName[r.ReferencedEntity] ? [r.ReferencedEntity] : targets;
+      navigations[navName] = [...new Set([...(navigations[navName] || []), ...relationshipTargets])];
+    });
+  
+  if (!Object.keys(navigations).length) return null;
+  return buildNavigationLookupProperties(attr.LogicalName, navigations, entitySetByLogicalName, schemaNameByLogicalName);
+}
+
+/**
+ * Build lookup read/write properties from the navigation properties of a lookup column
+ * @param {string} logicalName - Lookup column logical name
+ * @param {Object} navigations - Map of navigation property name to target entity logical names
+ * @param {Object} entitySetByLogicalName - Entity set names of the targets
+ * @param {Object} schemaNameByLogicalName - Entities included in the spec
+ * @returns {{ readProperties: Object, writeProperties: Object, navigationProperties: Array<string> }}
+ */
+function buildNavigationLookupProperties(logicalName, navigations, entitySetByLogicalName, schemaNameByLogicalName) {
+  const allTargets = [...new Set(Object.values(navigations).flat())];
+  const readProperties = {
+    [`_${logicalName}_value`]: {
+      type: 'string',
+      format: 'uuid',
+      readOnly: true,
+      description: `Lookup to ${allTargets.join(', ')}`
+    }
+  };
+  const writeProperties = {};
+  
+  Object.entries(navigations).forEach(([navName, navTargets]) => {
+    readProperties[navName] = navigationPropertySchema(navTargets, schemaNameByLogicalName, false);
+    const references = navTargets.filter(t => entitySetByLogicalName[t]).map(t => `/${entitySetByLogicalName[t]}(<guid>)`);
+    writeProperties[`${navName}@odata.bind`] = {
+      type: 'string',
+      description: `Associate the related ${navTargets.join(' or ')} record: ${references.join(' or ')}`,
+      example: references[0] ? references[0].replace('<guid>', '00000000-0000-0000-0000-000000000000') : undefined
+    };
+  });
+  
+  return { readProperties, writeProperties, navigationProperties: Object.keys(navigations) };
+}
+
+// =============================================================================
+// CUSTOM API OPERATIONS
+// =============================================================================
+
+// customapi.bindingtype option values
+const CUSTOM_API_BINDING_TYPES = { 0: 'Global', 1: 'Entity', 2: 'EntityCollection' };
+
+/**
+ * Fetch Custom APIs with their request parameters and response properties
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} prefix - Publisher prefix used to filter on uniquename (e.g., "cs_")
+ * @returns {Promise<Array>} customapi records with CustomAPIRequestParameters and CustomAPIResponseProperties expanded
+ */
+async function fetchCustomApis(apiUrl, token, prefix) {
+  const filters = ['isprivate eq false'];
+  if (prefix) filters.push(`startswith(uniquename,'${prefix.replace(/'/g, "''")}')`);
+  
+  const customApisUrl = `${apiUrl}customapis?$select=uniquename,displayname,description,bindingtype,boundentitylogicalname,isfunction` +
+    `&$filter=${filters.join(' and ')}` +
+    `&$expand=CustomAPIRequestParameters($select=uniquename,displayname,description,type,logicalentityname,isoptional),` +
+    `CustomAPIResponseProperties($select=uniquename,displayname,description,type,logicalentityname)`;
+  console.log(`Fetching Custom APIs from: ${customApisUrl}`);
+  
+  const response = await axios.get(customApisUrl, {
+    headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' }
+  });
+  return response.data?.value || [];
+}
+
+/**
+ * Map a Custom API parameter/property type (customapifieldtype) to an OpenAPI type
+ * @param {Object} field - customapirequestparameter or customapiresponseproperty record
+ * @param {Object} schemaNameByLogicalName - Map of entity logical names to component schema names
+ * @returns {Object} OpenAPI type definition
+ */
+function customApiFieldToOpenApiType(field, schemaNameByLogicalName) {
+  const entityRef = () => {
+    const schemaName = schemaNameByLogicalName[field.logicalentityname];
+    return schemaName
+      ? { $ref: `#/components/schemas/${schemaName}` }
+      : { type: 'object', properties: { '@odata.type': { type: 'string' } }, additionalProperties: true };
+  };
+  
+  let baseType;
+  switch (field.type) {
+    case 0: baseType = { type: 'boolean' }; break;
+    case 1: baseType = { type: 'string', format: 'date-time' }; break;
+    case 2: baseType = { type: 'number', format: 'double' }; break;
+    case 3: baseType = entityRef(); break;
+    case 4: baseType = { type: 'array', items: entityRef() }; break;
+    case 5: baseType = {
+      type: 'object',
+      description: 'Entity reference: { "@odata.type": "Microsoft.Dynamics.CRM.<entity>", "<entity>id": "<guid>" }',
+      properties: { '@odata.type': { type: 'string' } },
+      additionalProperties: true
+    }; break;
+    case 6: baseType = { type: 'number', format: 'double' }; break;
+    case 7: baseType = { type: 'integer', format: 'int32' }; break;
+    case 8: baseType = { type: 'number', format: 'double' }; break;
+    case 9: baseType = { type: 'integer' }; break;
+    case 11: baseType = { type: 'array', items: { type: 'string' } }; break;
+    case 12: baseType = { type: 'string', format: 'uuid' }; break;
+    default: baseType = { type: 'string' };
+  }
+  
+  const description = field.description || field.displayname;
+  if (description && !baseType.$ref) baseType.description = baseType.description ? `${description}. ${baseType.description}` : description;
+  return baseType;
+}
+
+/**
+ * Add Custom API operations to an OpenAPI spec
+ * Global APIs become /{uniquename}, entity-bound APIs /{entityset}({id})/Microsoft.Dynamics.CRM.{uniquename}
+ * and collection-bound APIs /{entityset}/Microsoft.Dynamics.CRM.{uniquename}. Functions use GET
+ * with parameter aliases, actions use POST with a JSON body.
+ * 
+ * @param {Object} openApiSpec - Spec to extend
+ * @param {Array} customApis - Records returned by fetchCustomApis
+ * @param {Array} entities - EntityDefinitions records (used to resolve bound entity sets and schemas)
+ * @returns {number} Number of operations added
+ */
+function addCustomApiPaths(openApiSpec, customApis, entities) {
+  const entityByLogicalName = {};
+  const schemaNameByLogicalName = {};
+  entities.forEach(e => {
+    entityByLogicalName[e.LogicalName] = e;
+    if (openApiSpec.components.schemas[`${e.SchemaName}Read`]) schemaNameByLogicalName[e.LogicalName] = `${e.SchemaName}Read`;
+  });
+  
+  let added = 0;
+  customApis.forEach(api => {
+    const name = api.uniquename;
+    const bindingType = CUSTOM_API_BINDING_TYPES[api.bindingtype] || 'Global';
+    const requestParameters = api.CustomAPIRequestParameters || [];
+    const responseProperties = api.CustomAPIResponseProperties || [];
+    const tag = 'Custom APIs';
+    const summary = api.displayname || name;
+    const description = `${api.description || summary}\n\n**Binding:** ${bindingType}${api.boundentitylogicalname ? ` (${api.boundentitylogicalname})` : ''}`;
+    
+    let operationPath = `/${name}`;
+    const pathParams = [];
+    if (bindingType !== 'Global') {
+      const boundEntity = entityByLogicalName[api.boundentitylogicalname];
+      if (!boundEntity?.EntitySetName) {
+        console.log(`✗ Custom API ${name}: bound entity ${api.boundentitylogicalname} not found`);
+        return;
+      }
+      operationPath = bindingType === 'Entity'
+        ? `/${boundEntity.EntitySetName}({id})/Microsoft.Dynamics.CRM.${name}`
+        : `/${boundEntity.EntitySetName}/Microsoft.Dynamics.CRM.${name}`;
+      if (bindingType === 'Entity') pathParams.push({ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } });
+    }
+    
+    const responseSchema = { type: 'object', properties: { '@odata.context': { type: 'string' } } };
+    responseProperties.forEach(p => { responseSchema.properties[p.uniquename] = customApiFieldToOpenApiType(p, schemaNameByLogicalName); });
+    const responses = responseProperties.length
+      ? { '200': { description: 'Success', content: { 'application/json': { schema: responseSchema } } } }
+      : { '204': { description: 'Success' } };
+    
+    if (api.isfunction) {
+      const aliases = requestParameters.map(p => `${p.uniquename}=@${p.uniquename}`).join(',');
+      openApiSpec.paths[`${operationPath}(${aliases})`] = {
+        get: {
+          tags: [tag],
+          summary,
+          description,
+          operationId: name,
+          parameters: [
+            ...pathParams,
+            ...requestParameters.map(p => ({
+              name: `@${p.uniquename}`,
+              in: 'query',
+              required: !p.isoptional,
+              description: p.description || p.displayname,
+              schema: customApiFieldToOpenApiType(p, schemaNameByLogicalName)
+            }))
+          ],
+          responses
+        }
+      };
+    } else {
+      const bodyProperties = {};
+      requestParameters.forEach(p => { bodyProperties[p.uniquename] = customApiFieldToOpenApiType(p, schemaNameByLogicalName); });
+      const required = requestParameters.filter(p => !p.isoptional).map(p => p.uniquename);
+      openApiSpec.paths[operationPath] = {
+        post: {
+          tags: [tag],
+          summary,
+          description,
+          operationId: name,
+          parameters: pathParams,
+          requestBody: requestParameters.length ? {
+            required: required.length > 0,
+            content: { 'application/json': { schema: { type: 'object', properties: bodyProperties, required: required.length ? required : undefined } } }
+          } : undefined,
+          responses
+        }
+      };
+    }
+    
+    console.log(`✓ Custom API ${name} (${bindingType}, ${api.isfunction ? 'function' : 'action'})`);
+    added++;
+  });
+  
+  if (added) {
+    openApiSpec.tags = openApiSpec.tags || [];
+    openApiSpec.tags.push({ name: 'Custom APIs', description: 'Dataverse Custom API messages' });
+  }
+  return added;
+}
+
 // Attribute type mapping
 function attributeTypeToOpenApiType(attributeType) {
   if (!attributeType) return { type: 'string' };
@@ -1292,15 +2624,6198 @@ function attributeTypeToOpenApiType(attributeType) {
   return typeMap[attributeType] || { type: 'string' };
 }
 
-// Helper for file size formatting
-function formatBytes(bytes, decimals = 2) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+// =============================================================================
+// CSDL ($metadata) TO OPENAPI SPEC GENERATOR
+// =============================================================================
+
+const CSDL_NAMESPACE = 'Microsoft.Dynamics.CRM';
+const CSDL_ALIAS = 'mscrm';
+
+// Core vocabulary terms: Computed properties are never written, Immutable properties only on create
+const CSDL_COMPUTED_TERMS = ['Org.OData.Core.V1.Computed', 'Core.Computed'];
+const CSDL_IMMUTABLE_TERMS = ['Org.OData.Core.V1.Immutable', 'Core.Immutable'];
+
+// Primitive EDM types mapped to OpenAPI types
+const EDM_TYPE_MAP = {
+  'Edm.String': { type: 'string' },
+  'Edm.Boolean': { type: 'boolean' },
+  'Edm.Byte': { type: 'integer', format: 'int32' },
+  'Edm.SByte': { type: 'integer', format: 'int32' },
+  'Edm.Int16': { type: 'integer', format: 'int32' },
+  'Edm.Int32': { type: 'integer', format: 'int32' },
+  'Edm.Int64': { type: 'integer', format: 'int64' },
+  'Edm.Decimal': { type: 'number', format: 'double' },
+  'Edm.Double': { type: 'number', format: 'double' },
+  'Edm.Single': { type: 'number', format: 'float' },
+  'Edm.Guid': { type: 'string', format: 'uuid' },
+  'Edm.Date': { type: 'string', format: 'date' },
+  'Edm.DateTimeOffset': { type: 'string', format: 'date-time' },
+  'Edm.TimeOfDay': { type: 'string', format: 'time' },
+  'Edm.Duration': { type: 'string', format: 'duration' },
+  'Edm.Binary': { type: 'string', format: 'byte' },
+  'Edm.Stream': { type: 'string', format: 'binary' },
+  'Edm.Untyped': {}
+};
+
+/**
+ * Download and parse the Dataverse $metadata (EDMX/CSDL) document
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} Parsed EDMX document (namespace prefixes stripped)
+ */
+async function fetchCsdlMetadata(apiUrl, token) {
+  const metadataUrl = `${apiUrl}$metadata`;
+  console.log(`Fetching CSDL metadata from: ${metadataUrl}`);
+  
+  const response = await axios.get(metadataUrl, {
+    headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/xml', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' },
+    responseType: 'text',
+    maxContentLength: Infinity
+  });
+  
+  console.log(`Downloaded $metadata (${formatBytes(Buffer.byteLength(response.data))})`);
+  
+  return xml2js.parseStringPromise(response.data, {
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
 }
 
+/**
+ * Index the schemas of a parsed EDMX document by short type name
+ * @param {Object} edmx - Parsed EDMX document
+ * @returns {Object} Model with entityTypes, complexTypes, enumTypes, actions, functions and the entity container
+ */
+function indexCsdlModel(edmx) {
+  const schemas = edmx?.Edmx?.DataServices?.[0]?.Schema;
+  if (!schemas) throw new Error('Invalid $metadata document: no Schema elements found');
+  
+  const model = {
+    entityTypes: {},
+    complexTypes: {},
+    enumTypes: {},
+    actions: [],
+    functions: [],
+    entitySets: [],
+    singletons: [],
+    actionImports: [],
+    functionImports: [],
+    annotations: {}
+  };
+  
+  schemas.forEach(schema => {
+    (schema.EntityType || []).forEach(t => { model.entityTypes[t.$.Name] = t; });
+    // External annotations, keyed by target without namespace (e.g. "account/createdon")
+    (schema.Annotations || []).forEach(a => {
+      const target = csdlShortName(a.$.Target);
+      model.annotations[target] = (model.annotations[target] || []).concat((a.Annotation || []).map(t => t.$));
+    });
+    (schema.ComplexType || []).forEach(t => { model.complexTypes[t.$.Name] = t; });
+    (schema.EnumType || []).forEach(t => { model.enumTypes[t.$.Name] = t; });
+    model.actions.push(...(schema.Action || []));
+    model.functions.push(...(schema.Function || []));
+    
+    (schema.EntityContainer || []).forEach(container => {
+      model.entitySets.push(...(container.EntitySet || []).map(s => s.$));
+      model.singletons.push(...(container.Singleton || []).map(s => s.$));
+      model.actionImports.push(...(container.ActionImport || []).map(s => s.$));
+      model.functionImports.push(...(container.FunctionImport || []).map(s => s.$));
+    });
+  });
+  
+  return model;
+}
+
+/**
+ * Strip the namespace or alias from a qualified CSDL type name
+ * @param {string} qualifiedName - e.g. "Microsoft.Dynamics.CRM.account" or "mscrm.account"
+ * @returns {string} Short type name (e.g. "account")
+ */
+function csdlShortName(qualifiedName) {
+  if (!qualifiedName) return qualifiedName;
+  for (const ns of [`${CSDL_NAMESPACE}.`, `${CSDL_ALIAS}.`]) {
+    if (qualifiedName.startsWith(ns)) return qualifiedName.slice(ns.length);
+  }
+  return qualifiedName;
+}
+
+/**
+ * Map a CSDL type reference to an OpenAPI type definition
+ * Complex, enum and entity types are emitted as $ref and recorded in `refs` so the
+ * caller can add the referenced component schemas afterwards.
+ * 
+ * @param {string} typeName - CSDL type (e.g. "Edm.String", "Collection(mscrm.account)")
+ * @param {Object} model - Indexed CSDL model
+ * @param {Object} context - { includedEntityTypes: Set, refs: Set }
+ * @returns {Object} OpenAPI type definition
+ */
+function csdlTypeToOpenApiType(typeName, model, context) {
+  const collectionMatch = /^Collection\((.+)\)$/.exec(typeName || '');
+  if (collectionMatch) {
+    return { type: 'array', items: csdlTypeToOpenApiType(collectionMatch[1], model, context) };
+  }
+  
+  if (EDM_TYPE_MAP[typeName]) return { ...EDM_TYPE_MAP[typeName] };
+  
+  const shortName = csdlShortName(typeName);
+  if (model.complexTypes[shortName] || model.enumTypes[shortName]) {
+    context.refs.add(shortName);
+    return { $ref: `#/components/schemas/${shortName}` };
+  }
+  if (model.entityTypes[shortName] && context.includedEntityTypes.has(shortName)) {
+    return { $ref: `#/components/schemas/${shortName}Read` };
+  }
+  if (model.entityTypes[shortName]) {
+    return { type: 'object', description: `${shortName} entity`, additionalProperties: true };
+  }
+  
+  return { type: 'string' };
+}
+
+/**
+ * Collect structural and navigation properties of an entity or complex type,
+ * including the properties inherited through BaseType
+ * @param {Object} typeDef - Parsed EntityType/ComplexType element
+ * @param {Object} typeIndex - model.entityTypes or model.complexTypes
+ * @param {Object} [annotationIndex] - model.annotations; each property gets its inline and external annotations
+ * @returns {{ properties: Array, navigationProperties: Array, keys: Array<string> }}
+ */
+function collectCsdlTypeMembers(typeDef, typeIndex, annotationIndex = {}) {
+  const chain = [];
+  let current = typeDef;
+  while (current && !chain.includes(current)) {
+    chain.unshift(current);
+    current = current.$.BaseType ? typeIndex[csdlShortName(current.$.BaseType)] : null;
+  }
+  
+  const members = { properties: [], navigationProperties: [], keys: [] };
+  chain.forEach(t => {
+    members.properties.push(...(t.Property || []).map(p => ({
+      ...p.$,
+      annotations: (p.Annotation || []).map(a => a.$).concat(annotationIndex[`${t.$.Name}/${p.$.Name}`] || [])
+    })));
+    members.navigationProperties.push(...(t.NavigationProperty || []).map(p => p.$));
+    (t.Key || []).forEach(k => members.keys.push(...(k.PropertyRef || []).map(r => r.$.Name)));
+  });
+  return members;
+}
+
+/**
+ * Whether a property carries a (non-false) Boolean annotation with one of the terms
+ */
+function csdlHasAnnotation(annotations, terms) {
+  return (annotations || []).some(a => terms.includes(a.Term) && a.Bool !== 'false');
+}
+
+/**
+ * Build OpenAPI object schemas from a CSDL entity or complex type
+ * `schema` is the Read schema; `schemas` also holds the Create and Update schemas. Computed properties
+ * and lookup values (`_x_value`) are read-only, and keys and Immutable properties can only be set on create.
+ * Lookups are written through `{nav}@odata.bind` for each single-valued navigation property.
+ * 
+ * @returns {{ schema: Object, schemas: { read, create, update }, keys: Array<string>, navigationProperties: Array }}
+ */
+function csdlStructuredTypeToSchema(typeDef, typeIndex, model, context) {
+  const { properties, navigationProperties, keys } = collectCsdlTypeMembers(typeDef, typeIndex, model.annotations);
+  const columns = [];
+  
+  properties.forEach(prop => {
+    const propSchema = csdlTypeToOpenApiType(prop.Type, model, context);
+    if (prop.MaxLength && prop.MaxLength !== 'max' && propSchema.type === 'string') {
+      propSchema.maxLength = parseInt(prop.MaxLength, 10);
+    }
+    const isKey = keys.includes(prop.Name);
+    const computed = csdlHasAnnotation(prop.annotations, CSDL_COMPUTED_TERMS) || /^_\w+_value$/.test(prop.Name);
+    columns.push({
+      readProperties: { [prop.Name]: isKey ? { ...propSchema, readOnly: true } : propSchema },
+      writeProperties: { [prop.Name]: propSchema },
+      create: !computed,
+      update: !computed && !isKey && !csdlHasAnnotation(prop.annotations, CSDL_IMMUTABLE_TERMS)
+    });
+  });
+  
+  navigationProperties.forEach(nav => {
+    const navSchema = csdlTypeToOpenApiType(nav.Type, model, context);
+    const isCollection = /^Collection\(/.test(nav.Type);
+    const target = csdlShortName(nav.Type.replace(/^Collection\((.+)\)$/, '$1'));
+    const targetSet = !isCollection && model.entitySets.find(s => csdlShortName(s.EntityType) === target)?.Name;
+    columns.push({
+      readProperties: {
+        [nav.Name]: {
+          ...(navSchema.$ref ? { allOf: [navSchema] } : navSchema),
+          readOnly: true,
+          description: `Navigation property to ${target} (use with $expand)`
+        }
+      },
+      writeProperties: targetSet ? {
+        [`${nav.Name}@odata.bind`]: {
+          type: 'string',
+          description: `Associate the related ${target} record: /${targetSet}(<guid>)`,
+          example: `/${targetSet}(00000000-0000-0000-0000-000000000000)`
+        }
+      } : {},
+      create: Boolean(targetSet),
+      update: Boolean(targetSet)
+    });
+  });
+  
+  const schemas = buildEntitySchemas(columns);
+  return { schema: schemas.read, schemas, keys, navigationProperties };
+}
+
+/**
+ * Build an OpenAPI schema for a CSDL enum type
+ */
+function csdlEnumTypeToSchema(enumDef) {
+  const members = (enumDef.Member || []).map(m => ({ name: m.$.Name, value: m.$.Value }));
+  return {
+    type: 'string',
+    enum: members.map(m => m.name),
+    description: members.map(m => `${m.name}${m.value !== undefined ? ` = ${m.value}` : ''}`).join(', ')
+  };
+}
+
+/**
+ * Build request/response details for a CSDL action or function
+ * @returns {{ bindingParameter: Object|null, parameters: Array, returnType: string|null }}
+ */
+function describeCsdlOperation(operation) {
+  const parameters = (operation.Parameter || []).map(p => p.$);
+  const isBound = operation.$.IsBound === 'true';
+  return {
+    bindingParameter: isBound ? parameters[0] : null,
+    parameters: isBound ? parameters.slice(1) : parameters,
+    returnType: operation.ReturnType?.[0]?.$?.Type || null
+  };
+}
+
+/**
+ * Generate OpenAPI specification from the Dataverse $metadata (CSDL) document
+ * Unlike generateSimpleOpenApiSpec this includes navigation properties, keys,
+ * bound/unbound actions and functions, singletons, complex types and enum types.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} prefix - Publisher prefix used to filter entity types and operations (e.g., "cs_")
+ * @returns {Promise<Object>} OpenAPI specification object
+ */
+async function generateOpenApiSpecFromCsdl(apiUrl, token, prefix) {
+  console.log('\n' + '='.repeat(80));
+  console.log('GENERATING OPENAPI SPEC FROM $METADATA (CSDL)');
+  console.log('='.repeat(80));
+  console.log(`Prefix: ${prefix || '(none)'}`);
+  console.log(`API URL: ${apiUrl}`);
+  console.log('='.repeat(80));
+  
+  const edmx = await fetchCsdlMetadata(apiUrl, token);
+  const model = indexCsdlModel(edmx);
+  
+  console.log(`Parsed ${Object.keys(model.entityTypes).length} entity types, ${model.entitySets.length} entity sets, ` +
+    `${model.actions.length} actions, ${model.functions.length} functions`);
+  
+  const matchesPrefix = name => !prefix || (name || '').toLowerCase().startsWith(prefix.toLowerCase());
+  
+  // Entity sets whose entity type passes the prefix filter
+  const entitySets = model.entitySets.filter(s => {
+    const typeName = csdlShortName(s.EntityType);
+    return model.entityTypes[typeName] && matchesPrefix(typeName);
+  });
+  const singletons = model.singletons.filter(s => matchesPrefix(csdlShortName(s.Type)) || matchesPrefix(s.Name));
+  
+  const context = {
+    includedEntityTypes: new Set([
+      ...entitySets.map(s => csdlShortName(s.EntityType)),
+      ...singletons.map(s => csdlShortName(s.Type))
+    ]),
+    refs: new Set()
+  };
+  
+  console.log(`After prefix filter: ${entitySets.length} entity sets, ${singletons.length} singletons`);
+  
+  const openApiSpec = {
+    openapi: '3.0.0',
+    info: {
+      title: 'Dataverse OData API',
+      version: '1.0.0',
+      description: `Generated from the Dataverse $metadata (CSDL) document` +
+        (prefix ? `\n\n**Publisher Prefix:** \`${prefix}\`` : '')
+    },
+    servers: [{ url: apiUrl }],
+    paths: {},
+    components: {
+      schemas: {},
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+    },
+    security: [{ bearerAuth: [] }],
+    tags: []
+  };
+  
+  // Entity type schemas
+  const entityKeys = {};
+  const entityNavigation = {};
+  context.includedEntityTypes.forEach(typeName => {
+    const { schemas, keys, navigationProperties } = csdlStructuredTypeToSchema(model.entityTypes[typeName], model.entityTypes, model, context);
+    openApiSpec.components.schemas[`${typeName}Read`] = schemas.read;
+    openApiSpec.components.schemas[`${typeName}Create`] = schemas.create;
+    openApiSpec.components.schemas[`${typeName}Update`] = schemas.update;
+    entityKeys[typeName] = keys;
+    entityNavigation[typeName] = navigationProperties.map(n => n.Name);
+  });
+  
+  const keyParameter = (typeName) => {
+    const keyName = entityKeys[typeName]?.[0] || 'id';
+    const keyProp = openApiSpec.components.schemas[`${typeName}Read`]?.properties?.[keyName];
+    return { name: keyName, in: 'path', required: true, schema: { type: keyProp?.type || 'string', ...(keyProp?.format ? { format: keyProp.format } : {}) } };
+  };
+  const expandDescription = (typeName) => {
+    const navs = entityNavigation[typeName] || [];
+    return navs.length ? `Related entities to include. Navigation properties: ${navs.join(', ')}` : 'Related entities to include';
+  };
+  
+  // Entity set paths
+  entitySets.forEach(set => {
+    const typeName = csdlShortName(set.EntityType);
+    const ref = { $ref: `#/components/schemas/${typeName}Read` };
+    const createRef = { $ref: `#/components/schemas/${typeName}Create` };
+    const updateRef = { $ref: `#/components/schemas/${typeName}Update` };
+    const keyParam = keyParameter(typeName);
+    
+    openApiSpec.tags.push({ name: set.Name, description: `${typeName} entity set` });
+    
+    openApiSpec.paths[`/${set.Name}`] = {
+      get: {
+        tags: [set.Name],
+        summary: `Get all ${typeName}`,
+        operationId: `list_${set.Name}`,
+        parameters: [
+          { name: '$select', in: 'query', description: 'Comma-separated list of properties to include', schema: { type: 'string' } },
+          { name: '$filter', in: 'query', description: 'OData filter expression', schema: { type: 'string' } },
+          { name: '$orderby', in: 'query', description: 'Order results by specified properties', schema: { type: 'string' } },
+          { name: '$top', in: 'query', description: 'Maximum number of records to return', schema: { type: 'integer' } },
+          { name: '$count', in: 'query', description: 'Include total count', schema: { type: 'boolean' } },
+          { name: '$expand', in: 'query', description: expandDescription(typeName), schema: { type: 'string' } }
+        ],
+        responses: {
+          '200': {
+            description: 'Success',
+            content: { 'application/json': { schema: { type: 'object', properties: {
+              '@odata.context': { type: 'string' },
+              '@odata.count': { type: 'integer' },
+              '@odata.nextLink': { type: 'string' },
+              value: { type: 'array', items: ref }
+            } } } }
+          }
+        }
+      },
+      post: {
+        tags: [set.Name],
+        summary: `Create ${typeName}`,
+        operationId: `create_${set.Name}`,
+        requestBody: { required: true, content: { 'application/json': { schema: createRef } } },
+        responses: { '204': { description: 'Created' }, '400': { description: 'Bad request' } }
+      }
+    };
+    
+    openApiSpec.paths[`/${set.Name}({${keyParam.name}})`] = {
+      get: {
+        tags: [set.Name],
+        summary: `Get ${typeName} by key`,
+        operationId: `get_${set.Name}`,
+        parameters: [
+          keyParam,
+          { name: '$select', in: 'query', description: 'Properties to include', schema: { type: 'string' } },
+          { name: '$expand', in: 'query', description: expandDescription(typeName), schema: { type: 'string' } }
+        ],
+        responses: { '200': { description: 'Success', content: { 'application/json': { schema: ref } } }, '404': { description: 'Not found' } }
+      },
+      patch: {
+        tags: [set.Name],
+        summary: `Update ${typeName}`,
+        operationId: `update_${set.Name}`,
+        parameters: [keyParam],
+        requestBody: { required: true, content: { 'application/json': { schema: updateRef } } },
+        responses: { '204': { description: 'Updated' }, '404': { description: 'Not found' } }
+      },
+      delete: {
+        tags: [set.Name],
+        summary: `Delete ${typeName}`,
+        operationId: `delete_${set.Name}`,
+        parameters: [keyParam],
+        responses: { '204': { description: 'Deleted' }, '404': { description: 'Not found' } }
+      }
+    };
+  });
+  
+  // Singleton paths
+  singletons.forEach(singleton => {
+    const typeName = csdlShortName(singleton.Type);
+    const ref = { $ref: `#/components/schemas/${typeName}Read` };
+    openApiSpec.tags.push({ name: singleton.Name, description: `${typeName} singleton` });
+    openApiSpec.paths[`/${singleton.Name}`] = {
+      get: {
+        tags: [singleton.Name],
+        summary: `Get ${singleton.Name}`,
+        operationId: `get_${singleton.Name}`,
+        responses: { '200': { description: 'Success', content: { 'application/json': { schema: ref } } } }
+      },
+      patch: {
+        tags: [singleton.Name],
+        summary: `Update ${singleton.Name}`,
+        operationId: `update_${singleton.Name}`,
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${typeName}Update` } } } },
+        responses: { '204': { description: 'Updated' } }
+      }
+    };
+  });
+  
+  // Actions and functions (bound to an included entity type, or unbound and matching the prefix)
+  const entitySetByType = {};
+  entitySets.forEach(s => { entitySetByType[csdlShortName(s.EntityType)] = s.Name; });
+  
+  // Unbound operations are called through their action/function import at the service root
+  const importNameByOperation = {};
+  model.actionImports.forEach(i => { importNameByOperation[`action:${csdlShortName(i.Action)}`] = i.Name; });
+  model.functionImports.forEach(i => { importNameByOperation[`function:${csdlShortName(i.Function)}`] = i.Name; });
+  
+  const addOperation = (operation, isFunction) => {
+    const { bindingParameter, parameters, returnType } = describeCsdlOperation(operation);
+    const name = bindingParameter ? operation.$.Name : importNameByOperation[`${isFunction ? 'function' : 'action'}:${operation.$.Name}`];
+    const qualifiedName = `${CSDL_NAMESPACE}.${name}`;
+    
+    let pathPrefix = '';
+    let tag = isFunction ? 'Functions' : 'Actions';
+    const pathParams = [];
+    
+    if (bindingParameter) {
+      const bindingMatch = /^Collection\((.+)\)$/.exec(bindingParameter.Type);
+      const boundType = csdlShortName(bindingMatch ? bindingMatch[1] : bindingParameter.Type);
+      const setName = entitySetByType[boundType];
+      if (!setName) return false;
+      if (bindingMatch) {
+        pathPrefix = `/${setName}`;
+      } else {
+        const keyParam = keyParameter(boundType);
+        pathPrefix = `/${setName}({${keyParam.name}})`;
+        pathParams.push(keyParam);
+      }
+      tag = setName;
+    } else if (!name || !matchesPrefix(name)) {
+      // Unbound operations without an import cannot be called
+      return false;
+    }
+    
+    const operationPath = bindingParameter ? `${pathPrefix}/${qualifiedName}` : `/${name}`;
+    const responseSchema = returnType ? csdlTypeToOpenApiType(returnType, model, context) : null;
+    const responses = responseSchema
+      ? { '200': { description: 'Success', content: { 'application/json': { schema: responseSchema } } } }
+      : { '204': { description: 'Success' } };
+    if (!bindingParameter && !openApiSpec.tags.some(t => t.name === tag)) {
+      openApiSpec.tags.push({ name: tag, description: `Unbound ${tag.toLowerCase()}` });
+    }
+    
+    if (isFunction) {
+      // Function parameters are passed as parameter aliases: /Fn(p=@p)?@p=value
+      const aliases = parameters.map(p => `${p.Name}=@${p.Name}`).join(',');
+      openApiSpec.paths[`${operationPath}(${aliases})`] = {
+        get: {
+          tags: [tag],
+          summary: `${name} function`,
+          operationId: `${bindingParameter ? `${tag}_` : ''}${name}`,
+          parameters: [
+            ...pathParams,
+            ...parameters.map(p => ({
+              name: `@${p.Name}`,
+              in: 'query',
+              required: p.Nullable === 'false',
+              description: `${p.Name} (${p.Type})`,
+              schema: { type: 'string' }
+            }))
+          ],
+          responses
+        }
+      };
+    } else {
+      const bodyProperties = {};
+      parameters.forEach(p => { bodyProperties[p.Name] = csdlTypeToOpenApiType(p.Type, model, context); });
+      const required = parameters.filter(p => p.Nullable === 'false').map(p => p.Name);
+      openApiSpec.paths[operationPath] = {
+        post: {
+          tags: [tag],
+          summary: `${name} action`,
+          operationId: `${bindingParameter ? `${tag}_` : ''}${name}`,
+          parameters: pathParams,
+          requestBody: parameters.length ? {
+            required: required.length > 0,
+            content: { 'application/json': { schema: { type: 'object', properties: bodyProperties, required: required.length ? required : undefined } } }
+          } : undefined,
+          responses
+        }
+      };
+    }
+    return true;
+  };
+  
+  const actionCount = model.actions.filter(a => addOperation(a, false)).length;
+  const functionCount = model.functions.filter(f => addOperation(f, true)).length;
+  
+  // Referenced complex and enum types (resolved iteratively as complex types can reference others)
+  const emitted = new Set();
+  while ([...context.refs].some(r => !emitted.has(r))) {
+    [...context.refs].filter(r => !emitted.has(r)).forEach(typeName => {
+      emitted.add(typeName);
+      if (model.enumTypes[typeName]) {
+        openApiSpec.components.schemas[typeName] = csdlEnumTypeToSchema(model.enumTypes[typeName]);
+      } else {
+        openApiSpec.components.schemas[typeName] = csdlStructuredTypeToSchema(model.complexTypes[typeName], model.complexTypes, model, context).schema;
+      }
+    });
+  }
+  
+  console.log('\n' + '='.repeat(80));
+  console.log('CSDL-BASED OPENAPI GENERATION COMPLETE');
+  console.log(`Entity Sets: ${entitySets.length}, Singletons: ${singletons.length}, Actions: ${actionCount}, Functions: ${functionCount}`);
+  console.log(`Total Paths: ${Object.keys(openApiSpec.paths).length}`);
+  console.log('='.repeat(80) + '\n');
+  
+  return openApiSpec;
+}
+
+// Helper for escaping values interpolated into HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper for file size formatting
+function formatBytes(bytes, decimals = 2) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+}
+
+// =============================================================================
+// SPEC EXPORT FORMATS (YAML, POSTMAN, INSOMNIA)
+// =============================================================================
+
+const POSTMAN_SCHEMA_URL = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const ODATA_REQUEST_HEADERS = { 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+
+/**
+ * Resolve the spec served by the download endpoints: ?spec=<id>, then the published version, then the session's current spec
+ */
+function resolveServedSpec(req) {
+  return req.query.spec
+    ? findSpec(req.query.spec)
+    : findSpec(readSpecHistory().published) || getRequestedSpec(req);
+}
+
+/**
+ * Set the attachment header for a spec download
+ */
+function setSpecDownloadHeader(res, entry, extension) {
+  res.setHeader('Content-Disposition', `attachment; filename="openapi-v${entry.version || entry.id}.${extension}"`);
+}
+
+/**
+ * Build an example value from a schema (writable properties only), following $refs to a limited depth
+ */
+function exampleFromSchema(schema, spec, depth = 0) {
+  if (!schema || depth > 4) return null;
+  const ref = schema.$ref || schema.allOf?.[0]?.$ref;
+  if (ref) return exampleFromSchema(spec.components?.schemas?.[ref.split('/').pop()], spec, depth + 1);
+  if (schema.example !== undefined) return schema.example;
+  if (schema.enum) return schema.enum[0];
+  if (schema.oneOf || schema.anyOf) return exampleFromSchema((schema.oneOf || schema.anyOf)[0], spec, depth + 1);
+  switch (schema.type) {
+    case 'object': {
+      const example = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (property.readOnly) return;
+        const value = exampleFromSchema(property, spec, depth + 1);
+        if (value !== null) example[name] = value;
+      });
+      return example;
+    }
+    case 'array': return [];
+    case 'integer':
+    case 'number': return 0;
+    case 'boolean': return false;
+    case 'string':
+      if (schema.format === 'uuid') return '00000000-0000-0000-0000-000000000000';
+      if (schema.format === 'date-time') return new Date(0).toISOString();
+      if (schema.format === 'date') return '1970-01-01';
+      return '';
+    default: return null;
+  }
+}
+
+/**
+ * Flatten the spec into one entry per operation with its folder, headers, query parameters and example body
+ */
+function listSpecOperations(spec) {
+  const operations = [];
+  Object.entries(spec.paths || {}).forEach(([pathName, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+      const multipartExample = operation.requestBody?.content?.['multipart/mixed']?.example;
+      operations.push({
+        folder: operation.tags?.[0] || pathName.split('/')[1].replace(/\(.*$/, '') || 'Default',
+        name: operation.summary || `${method.toUpperCase()} ${pathName}`,
+        description: operation.description || '',
+        method: method.toUpperCase(),
+        path: pathName,
+        pathParameters: parameters.filter(p => p.in === 'path').map(p => p.name),
+        queryParameters: parameters.filter(p => p.in === 'query'),
+        headers: {
+          ...ODATA_REQUEST_HEADERS,
+          ...(bodySchema ? { 'Content-Type': 'application/json' } : {}),
+          ...(multipartExample ? { 'Content-Type': `multipart/mixed; boundary=${multipartExample.match(/^--(\S+)/)[1]}` } : {}),
+          ...(method === 'post' || method === 'patch' ? { 'Prefer': 'return=representation' } : {})
+        },
+        body: bodySchema ? JSON.stringify(exampleFromSchema(bodySchema, spec), null, 2) : (multipartExample || null)
+      });
+    });
+  });
+  return operations;
+}
+
+/**
+ * Group operations by folder, keeping the spec's order
+ */
+function groupOperationsByFolder(operations) {
+  const folders = new Map();
+  operations.forEach(op => {
+    if (!folders.has(op.folder)) folders.set(op.folder, []);
+    folders.get(op.folder).push(op);
+  });
+  return folders;
+}
+
+/**
+ * Serialize the spec as OpenAPI YAML
+ */
+function specToYaml(spec) {
+  return yaml.dump(spec, { noRefs: true, lineWidth: -1 });
+}
+
+/**
+ * Convert the spec to a Postman v2.1 collection
+ * Bearer auth reads the {{bearerToken}} variable; path parameters become collection variables.
+ */
+function specToPostmanCollection(spec) {
+  const operations = listSpecOperations(spec);
+  const pathVariables = [...new Set(operations.flatMap(op => op.pathParameters))];
+  const toPostmanPath = p => p.replace(/\{([^}]+)\}/g, '{{$1}}');
+  
+  const item = [...groupOperationsByFolder(operations)].map(([folder, ops]) => ({
+    name: folder,
+    item: ops.map(op => ({
+      name: op.name,
+      request: {
+        method: op.method,
+        description: op.description,
+        header: Object.entries(op.headers).map(([key, value]) => ({ key, value })),
+        url: {
+          raw: `{{baseUrl}}${toPostmanPath(op.path)}`,
+          host: ['{{baseUrl}}'],
+          path: toPostmanPath(op.path).split('/').filter(Boolean),
+          query: op.queryParameters.map(p => ({ key: p.name, value: '', description: p.description || '', disabled: true }))
+        },
+        ...(op.body !== null ? { body: { mode: 'raw', raw: op.body, options: { raw: { language: op.headers['Content-Type'] === 'application/json' ? 'json' : 'text' } } } } : {})
+      }
+    }))
+  }));
+  
+  return {
+    info: {
+      _postman_id: crypto.randomUUID(),
+      name: spec.info?.title || 'Dataverse OData API',
+      description: spec.info?.description || '',
+      schema: POSTMAN_SCHEMA_URL
+    },
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] },
+    variable: [
+      { key: 'baseUrl', value: (spec.servers?.[0]?.url || '').replace(/\/$/, '') },
+      { key: 'bearerToken', value: '' },
+      ...pathVariables.map(key => ({ key, value: '' }))
+    ],
+    item
+  };
+}
+
+/**
+ * Convert the spec to an Insomnia v4 export (workspace, base environment, one folder per tag)
+ */
+function specToInsomniaExport(spec) {
+  const newId = type => `${type}_${crypto.randomUUID().replace(/-/g, '')}`;
+  const workspaceId = newId('wrk');
+  const operations = listSpecOperations(spec);
+  const pathVariables = [...new Set(operations.flatMap(op => op.pathParameters))];
+  const toInsomniaPath = p => p.replace(/\{([^}]+)\}/g, '{{ _.$1 }}');
+  
+  const resources = [
+    { _id: workspaceId, _type: 'workspace', parentId: null, name: spec.info?.title || 'Dataverse OData API', description: spec.info?.description || '', scope: 'collection' },
+    {
+      _id: newId('env'),
+      _type: 'environment',
+      parentId: workspaceId,
+      name: 'Base Environment',
+      data: {
+        baseUrl: (spec.servers?.[0]?.url || '').replace(/\/$/, ''),
+        bearerToken: '',
+        ...Object.fromEntries(pathVariables.map(key => [key, '']))
+      }
+    }
+  ];
+  
+  groupOperationsByFolder(operations).forEach((ops, folder) => {
+    const folderId = newId('fld');
+    resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name: folder });
+    ops.forEach(op => resources.push({
+      _id: newId('req'),
+      _type: 'request',
+      parentId: folderId,
+      name: op.name,
+      description: op.description,
+      method: op.method,
+      url: `{{ _.baseUrl }}${toInsomniaPath(op.path)}`,
+      headers: Object.entries(op.headers).map(([name, value]) => ({ name, value })),
+      parameters: op.queryParameters.map(p => ({ name: p.name, value: '', description: p.description || '', disabled: true })),
+      authentication: { type: 'bearer', token: '{{ _.bearerToken }}' },
+      body: op.body !== null ? { mimeType: op.headers['Content-Type'].split(';')[0], text: op.body } : {}
+    }));
+  });
+  
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: 'dataverse-api-explorer',
+    resources
+  };
+}
+
+// OpenAPI YAML (?download=true for an attachment)
+app.get('/swagger.yaml', (req, res) => {
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  if (req.query.download === 'true') setSpecDownloadHeader(res, entry, 'yaml');
+  res.type('application/yaml').send(specToYaml(entry.spec));
+});
+
+// Postman v2.1 collection
+app.get('/postman-collection.json', (req, res) => {
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  setSpecDownloadHeader(res, entry, 'postman_collection.json');
+  res.json(specToPostmanCollection(entry.spec));
+});
+
+// Insomnia v4 export
+app.get('/insomnia.json', (req, res) => {
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  setSpecDownloadHeader(res, entry, 'insomnia.json');
+  res.json(specToInsomniaExport(entry.spec));
+});
+
+// =============================================================================
+// CLIENT SDK GENERATION (TYPESCRIPT, C#)
+// =============================================================================
+// Builds a typed client package from a generated spec without any external generator,
+// so it works offline and matches the tables in the spec exactly.
+
+const SDK_LANGUAGES = {
+  typescript: { label: 'TypeScript', defaultName: 'dataverse-client' },
+  csharp: { label: 'C#', defaultName: 'Dataverse.Client' }
+};
+
+const CSHARP_KEYWORDS = new Set(['abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const', 'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while']);
+
+/**
+ * Turn a schema name into a type identifier valid in TypeScript and C#
+ */
+function sdkTypeName(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/**
+ * Find the entity sets of a spec with the schemas used to read, create and update them
+ * @returns {Array<{ name, entitySet, read, create, update }>} Schema names (create/update may be null)
+ */
+function listSpecEntitySets(spec) {
+  const paths = spec.paths || {};
+  const refName = schema => schema?.$ref ? schema.$ref.split('/').pop() : null;
+  const entitySets = [];
+  
+  Object.entries(paths).forEach(([pathName, pathItem]) => {
+    const match = pathName.match(/^\/([A-Za-z_][\w]*)$/);
+    if (!match || !pathItem.get) return;
+    const read = refName(pathItem.get.responses?.['200']?.content?.['application/json']?.schema?.properties?.value?.items);
+    if (!read) return;
+    const keyPath = Object.keys(paths).find(p => p.startsWith(`/${match[1]}(`));
+    entitySets.push({
+      name: sdkTypeName(read.replace(/Read$/, '')),
+      entitySet: match[1],
+      read: sdkTypeName(read),
+      create: refName(pathItem.post?.requestBody?.content?.['application/json']?.schema) ? sdkTypeName(refName(pathItem.post.requestBody.content['application/json'].schema)) : null,
+      update: keyPath && refName(paths[keyPath].patch?.requestBody?.content?.['application/json']?.schema) ? sdkTypeName(refName(paths[keyPath].patch.requestBody.content['application/json'].schema)) : null
+    });
+  });
+  return entitySets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * First line of a schema description, safe inside a doc comment
+ * JSDoc only needs `*\/` broken up; C# XML doc comments (xml = true) need `&`, `<` and `>` escaped.
+ */
+function sdkDocLine(description, xml = false) {
+  const line = String(description || '').split('\n')[0].trim();
+  return xml
+    ? line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    : line.replace(/\*\//g, '*\\/');
+}
+
+// --- TypeScript --------------------------------------------------------------
+
+/**
+ * Map a schema to a TypeScript type expression
+ */
+function schemaToTypeScript(schema) {
+  if (!schema) return 'unknown';
+  const ref = schema.$ref || (schema.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+  let type;
+  if (ref) type = sdkTypeName(ref.split('/').pop());
+  else if (schema.oneOf || schema.anyOf) type = (schema.oneOf || schema.anyOf).map(schemaToTypeScript).join(' | ');
+  else if (schema.enum) type = schema.enum.map(v => JSON.stringify(v)).join(' | ');
+  else if (schema.type === 'string') type = 'string';
+  else if (schema.type === 'integer' || schema.type === 'number') type = 'number';
+  else if (schema.type === 'boolean') type = 'boolean';
+  else if (schema.type === 'array') type = `Array<${schemaToTypeScript(schema.items)}>`;
+  else if (schema.properties) type = `{ ${Object.entries(schema.properties).map(([name, property]) => `${typeScriptPropertyKey(name)}?: ${schemaToTypeScript(property)}`).join('; ')} }`;
+  else type = 'Record<string, unknown>';
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function typeScriptPropertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * src/models.ts: one interface per object schema, type aliases for choices and other schemas
+ */
+function generateTypeScriptModels(spec) {
+  const lines = ['// Generated from the Dataverse OpenAPI spec. Do not edit.', ''];
+  Object.entries(spec.components?.schemas || {}).forEach(([name, schema]) => {
+    const typeName = sdkTypeName(name);
+    const doc = sdkDocLine(schema.description);
+    if (doc) lines.push(`/** ${doc} */`);
+    if (schema.type === 'object' && schema.properties) {
+      const required = new Set(schema.required || []);
+      lines.push(`export interface ${typeName} {`);
+      Object.entries(schema.properties).forEach(([propertyName, property]) => {
+        const propertyDoc = sdkDocLine(property.description);
+        if (propertyDoc) lines.push(`  /** ${propertyDoc} */`);
+        lines.push(`  ${property.readOnly ? 'readonly ' : ''}${typeScriptPropertyKey(propertyName)}${required.has(propertyName) ? '' : '?'}: ${schemaToTypeScript(property)};`);
+      });
+      lines.push('}', '');
+    } else {
+      lines.push(`export type ${typeName} = ${schemaToTypeScript(schema)};`, '');
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * src/entitySets.ts: entity set name constants and the entity set → model type map used by the client
+ */
+function generateTypeScriptEntitySets(entitySets) {
+  const models = [...new Set(entitySets.flatMap(e => [e.read, e.create, e.update]).filter(Boolean))];
+  return [
+    '// Generated from the Dataverse OpenAPI spec. Do not edit.',
+    models.length ? `import type { ${models.join(', ')} } from './models';` : '',
+    '',
+    '/** Entity set names, e.g. EntitySets.Account === "accounts" */',
+    'export const EntitySets = {',
+    ...entitySets.map(e => `  ${e.name}: ${JSON.stringify(e.entitySet)},`),
+    '} as const;',
+    '',
+    'export type EntitySetName = typeof EntitySets[keyof typeof EntitySets];',
+    '',
+    '/** Read, create and update model of each entity set */',
+    'export interface EntitySetTypes {',
+    ...entitySets.map(e => `  ${JSON.stringify(e.entitySet)}: { read: ${e.read}; create: ${e.create || 'Partial<' + e.read + '>'}; update: ${e.update || 'Partial<' + e.read + '>'} };`),
+    '}',
+    ''
+  ].join('\n');
+}
+
+const TYPESCRIPT_CLIENT_SOURCE = `// Generated from the Dataverse OpenAPI spec. Do not edit.
+import type { EntitySetTypes } from './entitySets';
+
+type Read<S extends keyof EntitySetTypes> = EntitySetTypes[S]['read'];
+type Create<S extends keyof EntitySetTypes> = EntitySetTypes[S]['create'];
+type Update<S extends keyof EntitySetTypes> = EntitySetTypes[S]['update'];
+
+export interface ODataQuery {
+  select?: string[];
+  filter?: string;
+  orderby?: string | string[];
+  top?: number;
+  skip?: number;
+  expand?: string | string[];
+  count?: boolean;
+}
+
+export interface ODataCollection<T> {
+  value: T[];
+  '@odata.count'?: number;
+  '@odata.nextLink'?: string;
+}
+
+export interface DataverseClientOptions {
+  /** Web API base URL, e.g. https://org.crm.dynamics.com/api/data/v9.2 */
+  baseUrl: string;
+  /** Bearer token, or a function returning one (called before every request) */
+  token: string | (() => string | Promise<string>);
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch;
+}
+
+export class DataverseError extends Error {
+  constructor(message: string, public status: number, public body: unknown) {
+    super(message);
+    this.name = 'DataverseError';
+  }
+}
+
+/** Build an OData query string ("?$select=...&$filter=...") */
+export function buildQuery(query: ODataQuery = {}): string {
+  const parts: string[] = [];
+  const join = (value: string | string[]) => Array.isArray(value) ? value.join(',') : value;
+  if (query.select?.length) parts.push('$select=' + encodeURIComponent(query.select.join(',')));
+  if (query.filter) parts.push('$filter=' + encodeURIComponent(query.filter));
+  if (query.orderby) parts.push('$orderby=' + encodeURIComponent(join(query.orderby)));
+  if (query.top !== undefined) parts.push('$top=' + query.top);
+  if (query.skip !== undefined) parts.push('$skip=' + query.skip);
+  if (query.expand) parts.push('$expand=' + encodeURIComponent(join(query.expand)));
+  if (query.count) parts.push('$count=true');
+  return parts.length ? '?' + parts.join('&') : '';
+}
+
+/** Quote a string literal for use in $filter (single quotes are doubled) */
+export function odataString(value: string): string {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/** Reference to a record for @odata.bind, e.g. "/accounts(00000000-0000-0000-0000-000000000000)" */
+export function odataBind(entitySet: string, id: string): string {
+  return '/' + entitySet + '(' + id + ')';
+}
+
+/** Build { "nav@odata.bind": "/set(id)" } to associate a lookup when creating or updating */
+export function bind<N extends string>(navigationProperty: N, entitySet: string, id: string): Record<\`\${N}@odata.bind\`, string> {
+  return { [navigationProperty + '@odata.bind']: odataBind(entitySet, id) } as Record<\`\${N}@odata.bind\`, string>;
+}
+
+export class DataverseClient {
+  private readonly baseUrl: string;
+  private readonly fetchImpl: typeof fetch;
+
+  constructor(private readonly options: DataverseClientOptions) {
+    this.baseUrl = options.baseUrl.replace(/\\/$/, '');
+    this.fetchImpl = options.fetch || globalThis.fetch.bind(globalThis);
+  }
+
+  /** Send a request relative to the base URL (or to an absolute URL such as @odata.nextLink) */
+  async request<T>(method: string, path: string, body?: unknown, headers: Record<string, string> = {}): Promise<T> {
+    const token = typeof this.options.token === 'function' ? await this.options.token() : this.options.token;
+    const response = await this.fetchImpl(/^https?:/.test(path) ? path : this.baseUrl + path, {
+      method,
+      headers: {
+        'Authorization': 'Bearer ' + token,
+        'Accept': 'application/json',
+        'OData-MaxVersion': '4.0',
+        'OData-Version': '4.0',
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : undefined;
+    if (!response.ok) {
+      throw new DataverseError(data?.error?.message || response.statusText, response.status, data);
+    }
+    return data as T;
+  }
+
+  /** Retrieve one page of records */
+  list<S extends keyof EntitySetTypes>(entitySet: S, query?: ODataQuery): Promise<ODataCollection<Read<S>>> {
+    return this.request('GET', '/' + String(entitySet) + buildQuery(query));
+  }
+
+  /** Retrieve the next page from an @odata.nextLink */
+  nextPage<S extends keyof EntitySetTypes>(_entitySet: S, nextLink: string): Promise<ODataCollection<Read<S>>> {
+    return this.request('GET', nextLink);
+  }
+
+  /** Retrieve every record, following @odata.nextLink */
+  async listAll<S extends keyof EntitySetTypes>(entitySet: S, query?: ODataQuery): Promise<Array<Read<S>>> {
+    const records: Array<Read<S>> = [];
+    let page = await this.list(entitySet, query);
+    records.push(...page.value);
+    while (page['@odata.nextLink']) {
+      page = await this.nextPage(entitySet, page['@odata.nextLink']);
+      records.push(...page.value);
+    }
+    return records;
+  }
+
+  /** Retrieve a record by ID */
+  get<S extends keyof EntitySetTypes>(entitySet: S, id: string, query?: Pick<ODataQuery, 'select' | 'expand'>): Promise<Read<S>> {
+    return this.request('GET', '/' + String(entitySet) + '(' + id + ')' + buildQuery(query));
+  }
+
+  /** Create a record and return it */
+  create<S extends keyof EntitySetTypes>(entitySet: S, record: Create<S>): Promise<Read<S>> {
+    return this.request('POST', '/' + String(entitySet), record, { 'Prefer': 'return=representation' });
+  }
+
+  /** Update a record */
+  async update<S extends keyof EntitySetTypes>(entitySet: S, id: string, changes: Update<S>): Promise<void> {
+    await this.request('PATCH', '/' + String(entitySet) + '(' + id + ')', changes, { 'If-Match': '*' });
+  }
+
+  /** Delete a record */
+  async delete<S extends keyof EntitySetTypes>(entitySet: S, id: string): Promise<void> {
+    await this.request('DELETE', '/' + String(entitySet) + '(' + id + ')');
+  }
+}
+`;
+
+/**
+ * Generate the TypeScript package files
+ * @returns {Object<string, string>} File path → content
+ */
+function generateTypeScriptSdk(spec, packageName) {
+  const entitySets = listSpecEntitySets(spec);
+  const example = entitySets[0];
+  return {
+    'package.json': JSON.stringify({
+      name: packageName,
+      version: spec.info?.version || '1.0.0',
+      description: `Typed client for ${spec.info?.title || 'the Dataverse Web API'}`,
+      main: 'dist/index.js',
+      types: 'dist/index.d.ts',
+      files: ['dist'],
+      scripts: { build: 'tsc', prepare: 'tsc' },
+      devDependencies: { typescript: '^5.4.0' }
+    }, null, 2) + '\n',
+    'tsconfig.json': JSON.stringify({
+      compilerOptions: { target: 'ES2020', module: 'commonjs', lib: ['ES2020', 'DOM'], declaration: true, outDir: 'dist', rootDir: 'src', strict: true, skipLibCheck: true },
+      include: ['src']
+    }, null, 2) + '\n',
+    'src/models.ts': generateTypeScriptModels(spec),
+    'src/entitySets.ts': generateTypeScriptEntitySets(entitySets),
+    'src/client.ts': TYPESCRIPT_CLIENT_SOURCE,
+    'src/index.ts': "export * from './models';\nexport * from './entitySets';\nexport * from './client';\n",
+    'README.md': [
+      `# ${packageName}`,
+      '',
+      `Typed client generated from ${spec.servers?.[0]?.url || 'a Dataverse environment'} (${entitySets.length} entity sets).`,
+      '',
+      '```bash',
+      'npm install',
+      'npm run build',
+      '```',
+      '',
+      '```ts',
+      `import { DataverseClient, EntitySets, bind } from '${packageName}';`,
+      '',
+      `const client = new DataverseClient({ baseUrl: '${(spec.servers?.[0]?.url || 'https://org.crm.dynamics.com/api/data/v9.2/').replace(/\/$/, '')}', token: () => getToken() });`,
+      ...(example ? [
+        `const page = await client.list(EntitySets.${example.name}, { top: 10 });`,
+        `const all = await client.listAll(EntitySets.${example.name}, { filter: "statecode eq 0" });`
+      ] : []),
+      '```',
+      '',
+      'Use `bind("navigationProperty", "entityset", id)` to build `@odata.bind` properties for lookups.',
+      ''
+    ].join('\n')
+  };
+}
+
+// --- C# ----------------------------------------------------------------------
+
+/**
+ * Turn a property name into a C# member name ("x_name" → "x_name", "parent@odata.bind" → "parentBind")
+ */
+function csharpMemberName(name) {
+  let identifier = String(name).replace(/@odata\.bind$/i, 'Bind').replace(/[^A-Za-z0-9_]/g, '_');
+  if (/^[0-9]/.test(identifier)) identifier = `_${identifier}`;
+  return CSHARP_KEYWORDS.has(identifier) ? `@${identifier}` : identifier;
+}
+
+/**
+ * Map a schema to a C# type (nullable, since records are often read with $select)
+ */
+function schemaToCSharp(schema) {
+  if (!schema) return 'JsonElement?';
+  const ref = schema.$ref || (schema.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+  if (ref) return `${sdkTypeName(ref.split('/').pop())}?`;
+  if (schema.oneOf || schema.anyOf) return 'JsonElement?';
+  switch (schema.type) {
+    case 'string':
+      if (schema.format === 'uuid') return 'Guid?';
+      if (schema.format === 'date-time') return 'DateTimeOffset?';
+      if (schema.format === 'date') return 'DateOnly?';
+      return 'string?';
+    case 'integer': return schema.format === 'int64' ? 'long?' : 'int?';
+    case 'number': return schema.format === 'double' || schema.format === 'float' ? 'double?' : 'decimal?';
+    case 'boolean': return 'bool?';
+    case 'array': return `List<${schemaToCSharp(schema.items).replace(/\?$/, '')}>?`;
+    default: return 'JsonElement?';
+  }
+}
+
+/**
+ * Models.cs: one class per object schema; choices are int (values listed in the doc comment)
+ */
+function generateCSharpModels(spec, namespace) {
+  const schemas = spec.components?.schemas || {};
+  const lines = [
+    '// Generated from the Dataverse OpenAPI spec. Do not edit.',
+    'using System;',
+    'using System.Collections.Generic;',
+    'using System.Text.Json;',
+    'using System.Text.Json.Serialization;',
+    '',
+    `namespace ${namespace};`,
+    ''
+  ];
+  const resolve = schema => {
+    const ref = schema?.$ref || (schema?.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+    const target = ref ? schemas[ref.split('/').pop()] : null;
+    return target && !(target.type === 'object' && target.properties) ? target : schema;
+  };
+  
+  Object.entries(schemas).forEach(([name, schema]) => {
+    if (!(schema.type === 'object' && schema.properties)) return;
+    const className = sdkTypeName(name);
+    const doc = sdkDocLine(schema.description, true);
+    if (doc) lines.push(`/// <summary>${doc}</summary>`);
+    lines.push(`public class ${className}`, '{');
+    const used = new Set([className]);
+    Object.entries(schema.properties).forEach(([propertyName, property]) => {
+      let member = csharpMemberName(propertyName);
+      while (used.has(member)) member = `${member}_`;
+      used.add(member);
+      const propertyDoc = sdkDocLine(property.description || (property.enum ? `Values: ${property.enum.join(', ')}` : ''), true);
+      if (propertyDoc) lines.push(`    /// <summary>${propertyDoc}</summary>`);
+      lines.push(`    [JsonPropertyName(${JSON.stringify(propertyName)})]`);
+      lines.push(`    public ${schemaToCSharp(resolve(property))} ${member} { get; set; }`, '');
+    });
+    lines.push('}', '');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * EntitySets.cs: entity set name constants
+ */
+function generateCSharpEntitySets(entitySets, namespace) {
+  return [
+    '// Generated from the Dataverse OpenAPI spec. Do not edit.',
+    `namespace ${namespace};`,
+    '',
+    '/// <summary>Entity set names, e.g. EntitySets.Account == "accounts"</summary>',
+    'public static class EntitySets',
+    '{',
+    ...entitySets.map(e => `    public const string ${csharpMemberName(e.name)} = ${JSON.stringify(e.entitySet)};`),
+    '}',
+    ''
+  ].join('\n');
+}
+
+const CSHARP_CLIENT_SOURCE = `// Generated from the Dataverse OpenAPI spec. Do not edit.
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace __NAMESPACE__;
+
+/// <summary>OData query options ($select, $filter, $orderby, $top, $skip, $expand, $count)</summary>
+public class ODataQuery
+{
+    public IEnumerable<string>? Select { get; set; }
+    public string? Filter { get; set; }
+    public string? OrderBy { get; set; }
+    public int? Top { get; set; }
+    public int? Skip { get; set; }
+    public string? Expand { get; set; }
+    public bool Count { get; set; }
+
+    public override string ToString()
+    {
+        var parts = new List<string>();
+        if (Select != null && Select.Any()) parts.Add("$select=" + Uri.EscapeDataString(string.Join(",", Select)));
+        if (!string.IsNullOrEmpty(Filter)) parts.Add("$filter=" + Uri.EscapeDataString(Filter));
+        if (!string.IsNullOrEmpty(OrderBy)) parts.Add("$orderby=" + Uri.EscapeDataString(OrderBy));
+        if (Top.HasValue) parts.Add("$top=" + Top.Value);
+        if (Skip.HasValue) parts.Add("$skip=" + Skip.Value);
+        if (!string.IsNullOrEmpty(Expand)) parts.Add("$expand=" + Uri.EscapeDataString(Expand));
+        if (Count) parts.Add("$count=true");
+        return parts.Count > 0 ? "?" + string.Join("&", parts) : "";
+    }
+
+    /// <summary>Quote a string literal for use in $filter (single quotes are doubled)</summary>
+    public static string Literal(string value) => "'" + value.Replace("'", "''") + "'";
+}
+
+/// <summary>Helpers for @odata.bind lookup properties</summary>
+public static class ODataBind
+{
+    /// <summary>Reference to a record, e.g. "/accounts(00000000-0000-0000-0000-000000000000)"</summary>
+    public static string Reference(string entitySet, Guid id) => "/" + entitySet + "(" + id + ")";
+}
+
+public class ODataCollection<T>
+{
+    [JsonPropertyName("value")] public List<T> Value { get; set; } = new();
+    [JsonPropertyName("@odata.count")] public int? Count { get; set; }
+    [JsonPropertyName("@odata.nextLink")] public string? NextLink { get; set; }
+}
+
+public class DataverseException : Exception
+{
+    public int StatusCode { get; }
+    public string Body { get; }
+    public DataverseException(string message, int statusCode, string body) : base(message) { StatusCode = statusCode; Body = body; }
+}
+
+/// <summary>Small Dataverse Web API client (HttpClient + System.Text.Json)</summary>
+public class DataverseClient
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull };
+    private readonly HttpClient _http;
+    private readonly Func<CancellationToken, Task<string>> _getToken;
+
+    /// <param name="baseUrl">Web API base URL, e.g. https://org.crm.dynamics.com/api/data/v9.2/</param>
+    /// <param name="getToken">Returns a bearer token (called before every request)</param>
+    public DataverseClient(string baseUrl, Func<CancellationToken, Task<string>> getToken, HttpClient? http = null)
+    {
+        _http = http ?? new HttpClient();
+        _http.BaseAddress = new Uri(baseUrl.TrimEnd('/') + "/");
+        _getToken = getToken;
+    }
+
+    private async Task<HttpResponseMessage> SendAsync(HttpMethod method, string path, object? body, CancellationToken ct, params (string Name, string Value)[] headers)
+    {
+        var request = new HttpRequestMessage(method, path.TrimStart('/'));
+        request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", await _getToken(ct));
+        request.Headers.Accept.Add(new MediaTypeWithQualityHeaderValue("application/json"));
+        request.Headers.Add("OData-MaxVersion", "4.0");
+        request.Headers.Add("OData-Version", "4.0");
+        foreach (var (name, value) in headers) request.Headers.TryAddWithoutValidation(name, value);
+        if (body != null) request.Content = JsonContent.Create(body, body.GetType(), options: JsonOptions);
+        var response = await _http.SendAsync(request, ct);
+        if (!response.IsSuccessStatusCode)
+        {
+            var text = await response.Content.ReadAsStringAsync(ct);
+            throw new DataverseException($"Dataverse request failed ({(int)response.StatusCode}): {text}", (int)response.StatusCode, text);
+        }
+        return response;
+    }
+
+    /// <summary>Retrieve one page of records</summary>
+    public async Task<ODataCollection<T>> ListAsync<T>(string entitySet, ODataQuery? query = null, CancellationToken ct = default)
+    {
+        var response = await SendAsync(HttpMethod.Get, entitySet + (query?.ToString() ?? ""), null, ct);
+        return (await response.Content.ReadFromJsonAsync<ODataCollection<T>>(JsonOptions, ct))!;
+    }
+
+    /// <summary>Retrieve every record, following @odata.nextLink</summary>
+    public async Task<List<T>> ListAllAsync<T>(string entitySet, ODataQuery? query = null, CancellationToken ct = default)
+    {
+        var page = await ListAsync<T>(entitySet, query, ct);
+        var records = new List<T>(page.Value);
+        while (page.NextLink != null)
+        {
+            var response = await SendAsync(HttpMethod.Get, page.NextLink, null, ct);
+            page = (await response.Content.ReadFromJsonAsync<ODataCollection<T>>(JsonOptions, ct))!;
+            records.AddRange(page.Value);
+        }
+        return records;
+    }
+
+    /// <summary>Retrieve a record by ID</summary>
+    public async Task<T> GetAsync<T>(string entitySet, Guid id, ODataQuery? query = null, CancellationToken ct = default)
+    {
+        var response = await SendAsync(HttpMethod.Get, entitySet + "(" + id + ")" + (query?.ToString() ?? ""), null, ct);
+        return (await response.Content.ReadFromJsonAsync<T>(JsonOptions, ct))!;
+    }
+
+    /// <summary>Create a record and return it</summary>
+    public async Task<TResult> CreateAsync<TResult>(string entitySet, object record, CancellationToken ct = default)
+    {
+        var response = await SendAsync(HttpMethod.Post, entitySet, record, ct, ("Prefer", "return=representation"));
+        return (await response.Content.ReadFromJsonAsync<TResult>(JsonOptions, ct))!;
+    }
+
+    /// <summary>Update a record</summary>
+    public async Task UpdateAsync(string entitySet, Guid id, object changes, CancellationToken ct = default)
+    {
+        await SendAsync(HttpMethod.Patch, entitySet + "(" + id + ")", changes, ct, ("If-Match", "*"));
+    }
+
+    /// <summary>Delete a record</summary>
+    public async Task DeleteAsync(string entitySet, Guid id, CancellationToken ct = default)
+    {
+        await SendAsync(HttpMethod.Delete, entitySet + "(" + id + ")", null, ct);
+    }
+}
+`;
+
+/**
+ * Generate the C# project files
+ * @returns {Object<string, string>} File path → content
+ */
+function generateCSharpSdk(spec, namespace) {
+  const entitySets = listSpecEntitySets(spec);
+  const example = entitySets[0];
+  return {
+    [`${namespace}.csproj`]: [
+      '<Project Sdk="Microsoft.NET.Sdk">',
+      '  <PropertyGroup>',
+      '    <TargetFramework>net8.0</TargetFramework>',
+      '    <Nullable>enable</Nullable>',
+      '    <ImplicitUsings>disable</ImplicitUsings>',
+      `    <RootNamespace>${namespace}</RootNamespace>`,
+      `    <Version>${escapeHtml(spec.info?.version || '1.0.0')}</Version>`,
+      '  </PropertyGroup>',
+      '</Project>',
+      ''
+    ].join('\n'),
+    'Models.cs': generateCSharpModels(spec, namespace),
+    'EntitySets.cs': generateCSharpEntitySets(entitySets, namespace),
+    'DataverseClient.cs': CSHARP_CLIENT_SOURCE.replace('__NAMESPACE__', namespace),
+    'README.md': [
+      `# ${namespace}`,
+      '',
+      `Typed client generated from ${spec.servers?.[0]?.url || 'a Dataverse environment'} (${entitySets.length} entity sets).`,
+      '',
+      '```csharp',
+      `var client = new DataverseClient("${spec.servers?.[0]?.url || 'https://org.crm.dynamics.com/api/data/v9.2/'}", ct => GetTokenAsync(ct));`,
+      ...(example ? [`var page = await client.ListAsync<${example.read}>(EntitySets.${csharpMemberName(example.name)}, new ODataQuery { Top = 10 });`] : []),
+      '```',
+      '',
+      'Lookup `@odata.bind` properties end in `Bind`; set them with `ODataBind.Reference("entityset", id)`.',
+      ''
+    ].join('\n')
+  };
+}
+
+/**
+ * Zip generated SDK files under a top-level folder
+ * @returns {Promise<Buffer>}
+ */
+async function zipFiles(folder, files) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([filePath, content]) => zip.file(`${folder}/${filePath}`, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Download a client SDK for a spec: /client-sdk/typescript or /client-sdk/csharp (?spec=<id>&name=<package or namespace>)
+app.get('/client-sdk/:language', async (req, res) => {
+  const language = SDK_LANGUAGES[req.params.language];
+  if (!language) return res.status(400).json({ error: `Unknown language. Use one of: ${Object.keys(SDK_LANGUAGES).join(', ')}` });
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  
+  const name = req.params.language === 'typescript'
+    ? String(req.query.name || language.defaultName).toLowerCase().replace(/[^a-z0-9@/._-]/g, '-')
+    : String(req.query.name || language.defaultName).split('.').map(sdkTypeName).join('.');
+  
+  try {
+    const files = req.params.language === 'typescript'
+      ? generateTypeScriptSdk(entry.spec, name)
+      : generateCSharpSdk(entry.spec, name);
+    const folder = name.replace(/^@/, '').replace(/\//g, '-');
+    const buffer = await zipFiles(folder, files);
+    res.setHeader('Content-Disposition', `attachment; filename="${folder}-v${entry.version || entry.id}.zip"`);
+    res.type('application/zip').send(buffer);
+  } catch (error) {
+    console.error('Client SDK generation error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// STATIC HTML DOCUMENTATION EXPORT
+// =============================================================================
+// Renders a spec to a self-contained site (index, one page per table, local CSS)
+// for readers without access to the tenant: no token, no live calls, no CDN.
+
+const STATIC_DOCS_STYLES = `${AGENCY_COMMON_STYLES}
+  body { display: flex; flex-direction: column; min-height: 100vh; color: #212529; }
+  main { flex: 1; width: 100%; max-width: 1100px; margin: 0 auto; padding: 2rem 1rem; }
+  a { color: #0d6efd; }
+  h1 { font-size: 1.75rem; border-bottom: 3px solid var(--agency-accent); padding-bottom: 0.5rem; }
+  h2 { font-size: 1.3rem; margin-top: 2rem; }
+  h3 { font-size: 1.05rem; margin-top: 1.5rem; }
+  table { width: 100%; border-collapse: collapse; background: white; margin-bottom: 1rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #dee2e6; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #e9ecef; }
+  code { background: #f1f3f5; padding: 0.1rem 0.3rem; border-radius: 3px; font-size: 0.85em; }
+  pre { background: #212529; color: #f8f9fa; padding: 1rem; border-radius: 4px; overflow-x: auto; font-size: 0.85rem; }
+  pre code { background: none; padding: 0; color: inherit; }
+  .method { display: inline-block; min-width: 4.5rem; text-align: center; color: white; border-radius: 3px; font-weight: 700; font-size: 0.8rem; padding: 0.1rem 0.4rem; }
+  .method-get { background: #0d6efd; } .method-post { background: #198754; } .method-patch { background: #fd7e14; }
+  .method-put { background: #6f42c1; } .method-delete { background: #dc3545; }
+  .muted { color: #6c757d; }
+  .breadcrumb { font-size: 0.9rem; margin-bottom: 1rem; }
+`;
+
+/**
+ * Plain description of a schema for documentation (drops the generated choice table)
+ */
+function docsDescription(schema) {
+  const text = String(schema?.description || '').split('\n\n')[0];
+  return text.startsWith('|') ? '' : text;
+}
+
+/**
+ * Describe a column for documentation: type and constraints (length, range, choice values)
+ */
+function describeDocsColumn(schema, spec) {
+  const ref = schema.$ref || (schema.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+  const target = ref ? spec.components?.schemas?.[ref.split('/').pop()] : null;
+  const resolved = target && !target.properties ? target : schema;
+  const details = [];
+  if (resolved.maxLength !== undefined) details.push(`max length ${resolved.maxLength}`);
+  if (resolved.minimum !== undefined || resolved.maximum !== undefined) details.push(`range ${resolved.minimum ?? '…'} to ${resolved.maximum ?? '…'}`);
+  const labels = resolved['x-enum-labels'];
+  if (labels) details.push(labels.map(o => `${o.value} = ${o.label}`).join(', '));
+  else if (resolved.enum) details.push(`values: ${resolved.enum.join(', ')}`);
+  return { type: describeSchemaType(resolved), details: details.join('; ') };
+}
+
+/**
+ * Render one static page with the agency header and footer
+ * @param {string} root - Relative path to the site root ('' or '../')
+ */
+function renderStaticDocsPage({ title, body, root = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - ${escapeHtml(AGENCY_BRANDING.name)}</title>
+  <link rel="stylesheet" href="${root}assets/style.css">
+</head>
+<body>
+  <header class="gc-header">
+    <div class="gc-header-logo">
+      <span class="gc-header-logo-name">${escapeHtml(AGENCY_BRANDING.name)}</span>
+      <span class="gc-header-logo-text">API Documentation</span>
+    </div>
+    <nav class="gc-header-nav"><a href="${root}index.html">Tables</a></nav>
+  </header>
+  <div class="gc-red-bar"></div>
+  <main>${body}</main>
+  <footer class="gc-footer"><div>${escapeHtml(AGENCY_BRANDING.footerText)}</div></footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an example HTTP request for an operation (token left as a placeholder)
+ */
+function renderStaticDocsExample(op, baseUrl) {
+  const query = op.method === 'GET' && op.queryParameters.some(p => p.name === '$top') ? '?$top=10' : '';
+  const url = `${baseUrl}${op.path.replace(/\{([^}]+)\}/g, '00000000-0000-0000-0000-000000000000')}${query}`;
+  const lines = [
+    `${op.method} ${url}`,
+    'Authorization: Bearer <access token>',
+    ...Object.entries(op.headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  if (op.body !== null) lines.push('', op.body);
+  return `<pre><code>${escapeHtml(lines.join('\n'))}</code></pre>`;
+}
+
+/**
+ * Render a spec to static site files
+ * @returns {Object<string, string>} File path → content
+ */
+function generateStaticDocsSite(spec) {
+  const baseUrl = (spec.servers?.[0]?.url || '').replace(/\/$/, '');
+  const schemas = spec.components?.schemas || {};
+  const entitySets = listSpecEntitySets(spec);
+  const operations = listSpecOperations(spec);
+  const isTableOperation = (op, set) => op.path === `/${set}` || op.path.startsWith(`/${set}(`) || op.path.startsWith(`/${set}/`);
+  const otherOperations = operations.filter(op => !entitySets.some(e => isTableOperation(op, e.entitySet)));
+  const pageName = e => `tables/${e.entitySet}.html`;
+  const files = { 'assets/style.css': STATIC_DOCS_STYLES, 'openapi.json': JSON.stringify(spec, null, 2) };
+  
+  const renderOperations = ops => ops.map(op => `
+    <h3><span class="method method-${op.method.toLowerCase()}">${op.method}</span> <code>${escapeHtml(op.path)}</code></h3>
+    <p>${escapeHtml(op.name)}${op.description && op.description !== op.name ? ` — <span class="muted">${escapeHtml(docsDescription({ description: op.description }))}</span>` : ''}</p>
+    ${op.queryParameters.length ? `<p class="muted">Query options: ${op.queryParameters.map(p => `<code>${escapeHtml(p.name)}</code>`).join(' ')}</p>` : ''}
+    ${renderStaticDocsExample(op, baseUrl)}`).join('');
+  
+  entitySets.forEach(e => {
+    const read = schemas[e.read] || {};
+    const create = (e.create && schemas[e.create]) || {};
+    const update = (e.update && schemas[e.update]) || {};
+    const required = new Set(create.required || []);
+    const columnNames = [...new Set([...Object.keys(read.properties || {}), ...Object.keys(create.properties || {}), ...Object.keys(update.properties || {})])];
+    const rows = columnNames.map(name => {
+      const schema = read.properties?.[name] || create.properties?.[name] || update.properties?.[name];
+      const column = describeDocsColumn(schema, spec);
+      const flag = value => value ? '✓' : '';
+      return `<tr>
+        <td><code>${escapeHtml(name)}</code>${required.has(name) ? ' <strong title="Required on create">*</strong>' : ''}</td>
+        <td>${escapeHtml(column.type)}${column.details ? `<br><small class="muted">${escapeHtml(column.details)}</small>` : ''}</td>
+        <td>${flag(read.properties?.[name])}</td><td>${flag(create.properties?.[name])}</td><td>${flag(update.properties?.[name])}</td>
+        <td>${escapeHtml(docsDescription(schema))}</td>
+      </tr>`;
+    }).join('');
+    
+    files[pageName(e)] = renderStaticDocsPage({
+      title: e.name,
+      root: '../',
+      body: `
+        <div class="breadcrumb"><a href="../index.html">Tables</a> › ${escapeHtml(e.name)}</div>
+        <h1>${escapeHtml(e.name)}</h1>
+        ${docsDescription(read) ? `<p>${escapeHtml(docsDescription(read))}</p>` : ''}
+        <p>Entity set: <code>${escapeHtml(e.entitySet)}</code> — ${columnNames.length} columns</p>
+        <h2>Columns</h2>
+        <table>
+          <thead><tr><th>Column</th><th>Type</th><th>Read</th><th>Create</th><th>Update</th><th>Description</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p class="muted">* Required when creating a record.</p>
+        <h2>Requests</h2>
+        ${renderOperations(operations.filter(op => isTableOperation(op, e.entitySet)))}`
+    });
+  });
+  
+  if (otherOperations.length) {
+    files['operations.html'] = renderStaticDocsPage({
+      title: 'Other operations',
+      body: `
+        <div class="breadcrumb"><a href="index.html">Tables</a> › Other operations</div>
+        <h1>Other operations</h1>
+        ${renderOperations(otherOperations)}`
+    });
+  }
+  
+  files['index.html'] = renderStaticDocsPage({
+    title: spec.info?.title || 'API Documentation',
+    body: `
+      <h1>${escapeHtml(spec.info?.title || 'API Documentation')}</h1>
+      ${spec.info?.description ? `<p>${escapeHtml(spec.info.description)}</p>` : ''}
+      <p>Base URL: <code>${escapeHtml(baseUrl)}/</code> — version ${escapeHtml(spec.info?.version || '1.0.0')}</p>
+      <h2>Authentication</h2>
+      <p>Send an Azure AD access token for the environment in the <code>Authorization: Bearer &lt;access token&gt;</code> header, along with <code>OData-MaxVersion: 4.0</code> and <code>OData-Version: 4.0</code>.</p>
+      <h2>Tables (${entitySets.length})</h2>
+      <table>
+        <thead><tr><th>Table</th><th>Entity set</th><th>Description</th></tr></thead>
+        <tbody>${entitySets.map(e => `<tr><td><a href="${pageName(e)}">${escapeHtml(e.name)}</a></td><td><code>${escapeHtml(e.entitySet)}</code></td><td>${escapeHtml(docsDescription(schemas[e.read]))}</td></tr>`).join('')}</tbody>
+      </table>
+      ${otherOperations.length ? `<p><a href="operations.html">Other operations (${otherOperations.length})</a></p>` : ''}
+      <p class="muted">The OpenAPI document is included as <a href="openapi.json">openapi.json</a>.</p>`
+  });
+  
+  return files;
+}
+
+// Static HTML documentation for a spec, as a zip (?spec=<id>)
+app.get('/export/static-docs', async (req, res) => {
+  const entry = resolveServedSpec(req);
+  if (!entry) return res.status(404).json({ error: "No spec available" });
+  try {
+    const folder = `api-docs-v${entry.version || entry.id}`;
+    const buffer = await zipFiles(folder, generateStaticDocsSite(entry.spec));
+    res.setHeader('Content-Disposition', `attachment; filename="${folder}.zip"`);
+    res.type('application/zip').send(buffer);
+  } catch (error) {
+    console.error('Static docs export error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// SPEC HISTORY
+// =============================================================================
+
+/**
+ * Render the spec history page
+ */
+function renderSpecHistoryPage(message = '') {
+  const { versions, published } = readSpecHistory();
+  const rows = versions.slice().reverse().map(v => `
+    <tr${v.id === published ? ' class="table-success"' : ''}>
+      <td><strong>v${v.version}</strong>${v.id === published ? ' <span class="badge bg-success">Published</span>' : ''}</td>
+      <td><small>${escapeHtml(new Date(v.createdAt).toLocaleString())}</small></td>
+      <td><small><code>${escapeHtml(v.environment)}</code></small></td>
+      <td><small>${escapeHtml(v.mode)}${v.schemaFile ? `<span class="d-block text-muted">${escapeHtml(v.schemaFile)}</span>` : ''}</small></td>
+      <td>${v.prefix ? `<code>${escapeHtml(v.prefix)}</code>` : '<span class="text-muted">—</span>'}</td>
+      <td><small>${escapeHtml(v.identity || v.authType || '')}</small></td>
+      <td><small>${v.paths} paths<span class="d-block text-muted">${v.schemas} schemas</span></small></td>
+      <td class="text-end text-nowrap">
+        <a class="btn btn-sm btn-outline-primary" href="/api-docs?spec=${v.id}">Open</a>
+        <a class="btn btn-sm btn-outline-secondary" href="/swagger.json?spec=${v.id}&download=true">Download</a>
+        ${published && v.id !== published ? `<a class="btn btn-sm btn-outline-secondary" href="/spec-diff?base=published&target=${v.id}">Compare</a>` : ''}
+        ${v.id === published
+          ? '<form method="POST" action="/spec-history/unpublish" class="d-inline"><button type="submit" class="btn btn-sm btn-outline-warning">Unpublish</button></form>'
+          : `<form method="POST" action="/spec-history/${v.id}/publish" class="d-inline"><button type="submit" class="btn btn-sm btn-outline-success">Publish</button></form>
+             <form method="POST" action="/spec-history/${v.id}/delete" class="d-inline" onsubmit="return confirm('Delete v${v.version}?');"><button type="submit" class="btn btn-sm btn-outline-danger">Delete</button></form>`}
+      </td>
+    </tr>`).join('');
+  
+  return renderAgencyPage({
+    title: 'Spec History',
+    styles: '.container-report { max-width: 1300px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Spec History</h1>
+      ${message}
+      <p class="text-muted">Every generated spec is kept here. The published version is what <code>/swagger.json</code> serves when no <code>spec</code> is requested.</p>
+      <div class="card"><div class="card-body p-0">
+        <table class="table table-sm align-middle mb-0">
+          <thead><tr><th>Version</th><th>Generated</th><th>Environment</th><th>Mode</th><th>Prefix</th><th>Identity</th><th>Size</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="8" class="text-muted text-center py-4">No specs generated yet</td></tr>'}</tbody>
+        </table>
+      </div></div>
+    </div>`
+  });
+}
+
+/**
+ * Pin a spec version as the published baseline (null unpins)
+ * @returns {boolean} Whether the version exists
+ */
+function publishSpecVersion(id) {
+  const history = readSpecHistory();
+  if (id && !history.versions.some(v => v.id === id)) return false;
+  history.published = id;
+  writeSpecHistory(history);
+  console.log(id ? `Published spec ${id}` : 'Unpublished spec');
+  return true;
+}
+
+/**
+ * Delete a spec version from the history (the published version cannot be deleted)
+ * @returns {boolean} Whether the version was deleted
+ */
+function deleteSpecVersion(id) {
+  const history = readSpecHistory();
+  if (id === history.published || !history.versions.some(v => v.id === id)) return false;
+  
+  const specPath = path.join(specHistoryDir, `${id}.json`);
+  if (fs.existsSync(specPath)) fs.unlinkSync(specPath);
+  history.versions = history.versions.filter(v => v.id !== id);
+  writeSpecHistory(history);
+  specStore.delete(id);
+  return true;
+}
+
+// Spec history page
+app.get('/spec-history', (req, res) => {
+  res.send(renderSpecHistoryPage());
+});
+
+app.post('/spec-history/:id/publish', (req, res) => {
+  publishSpecVersion(req.params.id);
+  res.redirect('/spec-history');
+});
+
+app.post('/spec-history/unpublish', (req, res) => {
+  publishSpecVersion(null);
+  res.redirect('/spec-history');
+});
+
+app.post('/spec-history/:id/delete', (req, res) => {
+  if (!deleteSpecVersion(req.params.id)) {
+    return res.status(400).send(renderSpecHistoryPage('<div class="alert alert-warning">This version cannot be deleted. Unpublish it first.</div>'));
+  }
+  res.redirect('/spec-history');
+});
+
+// Spec history API
+app.get('/api/spec-history', (req, res) => {
+  const { versions, published } = readSpecHistory();
+  res.json({ published, versions: versions.slice().reverse() });
+});
+
+app.post('/api/spec-history/:id/publish', (req, res) => {
+  if (!publishSpecVersion(req.params.id)) return res.status(404).json({ error: 'Spec version not found' });
+  res.json({ success: true, published: req.params.id });
+});
+
+app.delete('/api/spec-history/published', (req, res) => {
+  publishSpecVersion(null);
+  res.json({ success: true, published: null });
+});
+
+app.delete('/api/spec-history/:id', (req, res) => {
+  if (!deleteSpecVersion(req.params.id)) return res.status(400).json({ error: 'Spec version not found or currently published' });
+  res.json({ success: true });
+});
+
+// =============================================================================
+// SPEC COMPARISON (BREAKING CHANGES)
+// =============================================================================
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Describe the type of a schema property for comparison ("string/date-time", "#Ref", "array<...>")
+ */
+function describeSchemaType(schema) {
+  if (!schema) return 'any';
+  const ref = schema.$ref || schema.allOf?.[0]?.$ref;
+  if (ref) return ref.split('/').pop();
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(describeSchemaType).sort().join('|');
+  if (schema.type === 'array') return `array<${describeSchemaType(schema.items)}>`;
+  return schema.format ? `${schema.type}/${schema.format}` : (schema.type || 'any');
+}
+
+/**
+ * Compare two OpenAPI specs and classify every difference as breaking or non-breaking for API consumers
+ * Breaking: removed path, operation, schema or property; changed type; narrowed maxLength/range;
+ * removed enum value; newly required property or parameter.
+ * 
+ * @param {Object} baseSpec - The spec consumers currently rely on (e.g. last release or prod)
+ * @param {Object} targetSpec - The new spec (e.g. today or dev)
+ * @returns {{ summary: Object, changes: Array<Object> }} Changes { severity, type, location, message, before, after }
+ */
+function compareOpenApiSpecs(baseSpec, targetSpec) {
+  const changes = [];
+  const add = (breaking, type, location, message, before, after) => changes.push({
+    severity: breaking ? 'breaking' : 'non-breaking', type, location, message, before, after
+  });
+  
+  // Paths and operations
+  const basePaths = baseSpec.paths || {};
+  const targetPaths = targetSpec.paths || {};
+  Object.keys(basePaths).forEach(p => {
+    if (!targetPaths[p]) return add(true, 'path-removed', p, `Path ${p} was removed`);
+    HTTP_METHODS.filter(m => basePaths[p][m]).forEach(method => {
+      const location = `${method.toUpperCase()} ${p}`;
+      const baseOp = basePaths[p][method];
+      const targetOp = targetPaths[p][method];
+      if (!targetOp) return add(true, 'operation-removed', location, `Operation ${location} was removed`);
+      
+      const params = op => Object.fromEntries((op.parameters || []).filter(x => x.name).map(x => [`${x.in}:${x.name}`, x]));
+      const baseParams = params(baseOp);
+      const targetParams = params(targetOp);
+      Object.keys(baseParams).forEach(key => {
+        if (!targetParams[key]) add(true, 'parameter-removed', location, `Parameter ${baseParams[key].name} was removed`);
+      });
+      Object.keys(targetParams).forEach(key => {
+        const param = targetParams[key];
+        if (!baseParams[key]) {
+          add(param.required, 'parameter-added', location, `${param.required ? 'Required' : 'Optional'} parameter ${param.name} was added`);
+        } else if (param.required && !baseParams[key].required) {
+          add(true, 'parameter-required', location, `Parameter ${param.name} is now required`);
+        }
+      });
+    });
+    HTTP_METHODS.filter(m => targetPaths[p][m] && !basePaths[p][m]).forEach(method => {
+      add(false, 'operation-added', `${method.toUpperCase()} ${p}`, `Operation ${method.toUpperCase()} ${p} was added`);
+    });
+  });
+  Object.keys(targetPaths).filter(p => !basePaths[p]).forEach(p => add(false, 'path-added', p, `Path ${p} was added`));
+  
+  // Schemas and properties
+  const baseSchemas = baseSpec.components?.schemas || {};
+  const targetSchemas = targetSpec.components?.schemas || {};
+  Object.keys(baseSchemas).forEach(name => {
+    const base = baseSchemas[name];
+    const target = targetSchemas[name];
+    if (!target) return add(true, 'schema-removed', name, `Schema ${name} was removed`);
+    
+    if (Array.isArray(base.enum) || Array.isArray(target.enum)) {
+      compareEnumValues(add, name, base.enum || [], target.enum || []);
+    }
+    
+    const baseProps = base.properties || {};
+    const targetProps = target.properties || {};
+    const baseRequired = base.required || [];
+    const targetRequired = target.required || [];
+    
+    Object.keys(baseProps).forEach(prop => {
+      const location = `${name}.${prop}`;
+      const before = baseProps[prop];
+      const after = targetProps[prop];
+      if (!after) return add(true, 'property-removed', location, `Property ${prop} was removed from ${name}`);
+      
+      const beforeType = describeSchemaType(before);
+      const afterType = describeSchemaType(after);
+      if (beforeType !== afterType) {
+        add(true, 'type-changed', location, `Type changed from ${beforeType} to ${afterType}`, beforeType, afterType);
+      }
+      if (before.maxLength !== after.maxLength && (before.maxLength !== undefined || after.maxLength !== undefined)) {
+        const narrowed = after.maxLength !== undefined && (before.maxLength === undefined || after.maxLength < before.maxLength);
+        add(narrowed, 'max-length-changed', location, `maxLength ${narrowed ? 'narrowed' : 'widened'} from ${before.maxLength ?? 'none'} to ${after.maxLength ?? 'none'}`, before.maxLength, after.maxLength);
+      }
+      if (before.minimum !== after.minimum && (before.minimum !== undefined || after.minimum !== undefined)) {
+        const narrowed = after.minimum !== undefined && (before.minimum === undefined || after.minimum > before.minimum);
+        add(narrowed, 'minimum-changed', location, `minimum ${narrowed ? 'raised' : 'lowered'} from ${before.minimum ?? 'none'} to ${after.minimum ?? 'none'}`, before.minimum, after.minimum);
+      }
+      if (before.maximum !== after.maximum && (before.maximum !== undefined || after.maximum !== undefined)) {
+        const narrowed = after.maximum !== undefined && (before.maximum === undefined || after.maximum < before.maximum);
+        add(narrowed, 'maximum-changed', location, `maximum ${narrowed ? 'lowered' : 'raised'} from ${before.maximum ?? 'none'} to ${after.maximum ?? 'none'}`, before.maximum, after.maximum);
+      }
+      if (Array.isArray(before.enum) || Array.isArray(after.enum)) {
+        compareEnumValues(add, location, before.enum || [], after.enum || []);
+      }
+      if (targetRequired.includes(prop) && !baseRequired.includes(prop)) {
+        add(true, 'property-required', location, `Property ${prop} is now required`);
+      } else if (baseRequired.includes(prop) && !targetRequired.includes(prop)) {
+        add(false, 'property-optional', location, `Property ${prop} is no longer required`);
+      }
+    });
+    Object.keys(targetProps).filter(prop => !baseProps[prop]).forEach(prop => {
+      const required = targetRequired.includes(prop);
+      add(required, 'property-added', `${name}.${prop}`, `${required ? 'Required' : 'Optional'} property ${prop} was added to ${name}`);
+    });
+  });
+  Object.keys(targetSchemas).filter(name => !baseSchemas[name]).forEach(name => add(false, 'schema-added', name, `Schema ${name} was added`));
+  
+  const breaking = changes.filter(c => c.severity === 'breaking').length;
+  return {
+    summary: { total: changes.length, breaking, nonBreaking: changes.length - breaking, hasBreakingChanges: breaking > 0 },
+    changes: changes.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'breaking' ? -1 : 1))
+  };
+}
+
+/**
+ * Record removed (breaking) and added (non-breaking) enum values
+ */
+function compareEnumValues(add, location, before, after) {
+  before.filter(v => !after.includes(v)).forEach(v => add(true, 'enum-value-removed', location, `Allowed value ${JSON.stringify(v)} was removed`, v));
+  after.filter(v => !before.includes(v)).forEach(v => add(false, 'enum-value-added', location, `Allowed value ${JSON.stringify(v)} was added`, undefined, v));
+}
+
+/**
+ * Resolve a spec reference used by the comparison endpoints ("published" or a spec ID)
+ */
+function resolveSpecReference(reference, req) {
+  if (reference === 'published') return findSpec(readSpecHistory().published);
+  if (reference === 'current') return findSpec(req.session.currentSpecId);
+  return findSpec(reference);
+}
+
+/**
+ * Label a stored spec for reports
+ */
+function describeStoredSpec(entry) {
+  return `${entry.version ? `v${entry.version} — ` : ''}${entry.environment} (${entry.mode}, ${new Date(entry.createdAt).toLocaleString()})`;
+}
+
+/**
+ * Render a spec comparison as HTML
+ */
+function renderSpecComparisonHtml(comparison, baseLabel, targetLabel) {
+  const s = comparison.summary;
+  const rows = comparison.changes.map(c => `
+    <tr class="${c.severity === 'breaking' ? 'table-danger' : ''}">
+      <td><span class="badge ${c.severity === 'breaking' ? 'bg-danger' : 'bg-secondary'}">${c.severity}</span></td>
+      <td><small><code>${escapeHtml(c.type)}</code></small></td>
+      <td><code>${escapeHtml(c.location)}</code></td>
+      <td>${escapeHtml(c.message)}</td>
+    </tr>`).join('');
+  
+  return `
+    <div class="alert ${s.hasBreakingChanges ? 'alert-danger' : 'alert-success'}">
+      <strong>${s.hasBreakingChanges ? `⚠️ ${s.breaking} breaking change(s)` : '✓ No breaking changes'}</strong> — ${s.nonBreaking} non-breaking, ${s.total} total
+      <small class="d-block">Base: ${escapeHtml(baseLabel)}</small>
+      <small class="d-block">Target: ${escapeHtml(targetLabel)}</small>
+    </div>
+    <div class="card"><div class="card-body p-0">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Severity</th><th>Change</th><th>Location</th><th>Description</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="4" class="text-muted text-center py-4">The specs are identical</td></tr>'}</tbody>
+      </table>
+    </div></div>`;
+}
+
+// Spec comparison page
+app.get('/spec-diff', (req, res) => {
+  const { versions, published } = readSpecHistory();
+  const options = selected => versions.slice().reverse().map(v =>
+    `<option value="${v.id}" ${v.id === selected ? 'selected' : ''}>v${v.version} — ${escapeHtml(v.environment)} (${escapeHtml(v.mode)})${v.id === published ? ' [published]' : ''}</option>`).join('');
+  
+  const baseId = req.query.base === 'published' ? published : req.query.base;
+  const targetId = req.query.target === 'current' ? req.session.currentSpecId : req.query.target;
+  
+  let report = '';
+  if (req.query.base && req.query.target) {
+    const base = resolveSpecReference(req.query.base, req);
+    const target = resolveSpecReference(req.query.target, req);
+    report = base && target
+      ? renderSpecComparisonHtml(compareOpenApiSpecs(base.spec, target.spec), describeStoredSpec(base), describeStoredSpec(target)) +
+        `<p class="mt-3"><a href="/api/spec-diff?base=${encodeURIComponent(base.id)}&target=${encodeURIComponent(target.id)}">Download JSON</a></p>`
+      : '<div class="alert alert-warning">One of the selected specs is no longer available.</div>';
+  }
+  
+  res.send(renderAgencyPage({
+    title: 'Compare Specs',
+    styles: '.container-report { max-width: 1200px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Breaking Changes</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/spec-diff" class="row g-2 align-items-end">
+          <div class="col-md-5">
+            <label for="base" class="form-label">Base (what consumers use today)</label>
+            <select class="form-select" id="base" name="base" required>${options(baseId || published)}</select>
+          </div>
+          <div class="col-md-5">
+            <label for="target" class="form-label">Target (new spec)</label>
+            <select class="form-select" id="target" name="target" required>${options(targetId || versions[versions.length - 1]?.id)}</select>
+          </div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary" ${versions.length ? '' : 'disabled'}>Compare</button></div>
+        </form>
+        ${versions.length ? '' : '<small class="text-muted">Generate documentation first; specs are listed from the spec history.</small>'}
+      </div></div>
+      ${report}
+    </div>`
+  }));
+});
+
+// Spec comparison API: GET with stored spec IDs ("published", "current" or an ID), or POST with two specs
+// ?strict=true responds 409 when breaking changes are found
+app.get('/api/spec-diff', (req, res) => {
+  if (!req.query.base || !req.query.target) return res.status(400).json({ error: 'base and target spec IDs required' });
+  const base = resolveSpecReference(req.query.base, req);
+  const target = resolveSpecReference(req.query.target, req);
+  if (!base || !target) return res.status(404).json({ error: `Spec not found: ${!base ? req.query.base : req.query.target}` });
+  
+  const comparison = compareOpenApiSpecs(base.spec, target.spec);
+  const { spec: _baseSpec, ...baseDetails } = base;
+  const { spec: _targetSpec, ...targetDetails } = target;
+  res.status(req.query.strict === 'true' && comparison.summary.hasBreakingChanges ? 409 : 200)
+    .json({ base: baseDetails, target: targetDetails, ...comparison });
+});
+
+app.post('/api/spec-diff', (req, res) => {
+  const { base, target } = req.body;
+  if (!base?.paths || !target?.paths) return res.status(400).json({ error: 'base and target OpenAPI specs required' });
+  const comparison = compareOpenApiSpecs(base, target);
+  res.status(req.query.strict === 'true' && comparison.summary.hasBreakingChanges ? 409 : 200).json(comparison);
+});
+
+// =============================================================================
+// SCHEMA FILE VALIDATION
+// =============================================================================
+
+/**
+ * Render schema file validation errors as an HTML alert
+ */
+function renderSchemaFileErrorsHtml(errors) {
+  return `<div class="alert alert-danger">
+    <strong>Schema file is invalid (${errors.length} error${errors.length === 1 ? '' : 's'})</strong>
+    <ul class="mb-0 mt-2 small">${errors.map(e => `<li>${escapeHtml(formatSchemaFileError(e))}</li>`).join('')}</ul>
+    <small class="d-block mt-2">Format reference: <a href="/schema-file.schema.json">schema-file.schema.json</a></small>
+  </div>`;
+}
+
+// Published JSON Schema for the schema file format
+app.get('/schema-file.schema.json', (req, res) => {
+  res.sendFile(path.join(__dirname, 'schema-file.schema.json'));
+});
+
+// Validate the configured schema file
+app.get('/api/schema-file/validate', (req, res) => {
+  if (!SCHEMA_FILE_PATH) return res.status(400).json({ error: 'SCHEMA_FILE_PATH is not configured' });
+  try {
+    const schema = loadSchemaFile(SCHEMA_FILE_PATH);
+    res.json({ file: path.basename(SCHEMA_FILE_PATH), valid: true, tables: schema.tables.length, errors: [] });
+  } catch (error) {
+    res.status(422).json({ file: path.basename(SCHEMA_FILE_PATH), valid: false, errors: error.validationErrors || [{ path: '/', message: error.message }] });
+  }
+});
+
+// Validate an uploaded schema file (multipart field "file")
+app.post('/api/schema-file/validate', schemaUpload.single('file'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  const { schema, errors } = validateSchemaFileText(req.file.buffer.toString('utf8'));
+  res.status(errors.length ? 422 : 200).json({
+    file: req.file.originalname,
+    valid: errors.length === 0,
+    tables: errors.length ? undefined : schema.tables.length,
+    errors
+  });
+});
+
+// =============================================================================
+// SCHEMA FILE LIBRARY
+// =============================================================================
+
+// Selection value that refers to the schema file configured in SCHEMA_FILE_PATH
+const DEFAULT_SCHEMA_FILE = 'default';
+
+/**
+ * Read the schema library index
+ * @returns {Array<Object>} Entries { name, originalName, prefix, tables, uploadedAt, uploadedBy }
+ */
+function readSchemaLibrary() {
+  const indexPath = path.join(schemaLibraryDir, 'index.json');
+  if (!fs.existsSync(indexPath)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8')).files || [];
+  } catch (error) {
+    console.error(`Error reading schema library index: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write the schema library index
+ */
+function writeSchemaLibrary(files) {
+  fs.writeFileSync(path.join(schemaLibraryDir, 'index.json'), JSON.stringify({ files }, null, 2));
+}
+
+/**
+ * Turn a user-supplied name into a safe library name (lowercase letters, digits, "-" and "_")
+ */
+function normalizeSchemaLibraryName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\.json$/, '').replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+/**
+ * Validate and store a schema file in the library (replacing an entry with the same name)
+ * @param {string} name - Library name
+ * @param {string} content - Schema file JSON text
+ * @param {Object} details - { originalName, prefix, uploadedBy }
+ * @returns {Object} The library entry
+ * @throws {Error} When the name is not usable or the file is invalid (`validationErrors`)
+ */
+function saveSchemaFileToLibrary(name, content, { originalName, prefix, uploadedBy } = {}) {
+  const libraryName = normalizeSchemaLibraryName(name || originalName);
+  if (!libraryName || libraryName === DEFAULT_SCHEMA_FILE) {
+    throw new Error(`"${name || originalName || ''}" cannot be used as a schema file name`);
+  }
+  
+  const { schema, errors } = validateSchemaFileText(content);
+  if (errors.length) {
+    const error = new Error(`Schema file ${originalName || libraryName} is invalid: ${errors.map(formatSchemaFileError).join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  
+  fs.writeFileSync(path.join(schemaLibraryDir, `${libraryName}.json`), content);
+  
+  const entry = {
+    name: libraryName,
+    originalName: originalName || `${libraryName}.json`,
+    prefix: (prefix || '').replace(/_$/, ''),
+    tables: schema.tables.length,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: uploadedBy || null
+  };
+  writeSchemaLibrary(readSchemaLibrary().filter(f => f.name !== libraryName).concat(entry));
+  console.log(`Schema file "${libraryName}" saved to the library (${entry.tables} tables)`);
+  return entry;
+}
+
+/**
+ * Remove a schema file from the library
+ * @returns {boolean} Whether the entry existed
+ */
+function deleteSchemaFileFromLibrary(name) {
+  const files = readSchemaLibrary();
+  if (!files.some(f => f.name === name)) return false;
+  
+  const filePath = path.join(schemaLibraryDir, `${name}.json`);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  writeSchemaLibrary(files.filter(f => f.name !== name));
+  console.log(`Schema file "${name}" removed from the library`);
+  return true;
+}
+
+/**
+ * Resolve a schema file selection to a path and default publisher prefix
+ * @param {string} name - DEFAULT_SCHEMA_FILE for SCHEMA_FILE_PATH, or a library name
+ * @returns {Object|null} { name, path, prefix, source } or null when nothing matches
+ */
+function resolveSchemaFileSelection(name) {
+  if (name === DEFAULT_SCHEMA_FILE) {
+    return SCHEMA_FILE_PATH
+      ? { name: path.basename(SCHEMA_FILE_PATH), path: SCHEMA_FILE_PATH, prefix: PUBLISHER_PREFIX, source: 'environment' }
+      : null;
+  }
+  const entry = readSchemaLibrary().find(f => f.name === name);
+  return entry
+    ? { name: entry.name, path: path.join(schemaLibraryDir, `${entry.name}.json`), prefix: entry.prefix, source: 'library' }
+    : null;
+}
+
+/**
+ * Render the schema file manager page
+ */
+function renderSchemaLibraryPage({ message = '', files = readSchemaLibrary() } = {}) {
+  const rows = files.map(f => `
+    <tr>
+      <td><strong>${escapeHtml(f.name)}</strong><small class="d-block text-muted">${escapeHtml(f.originalName)}</small></td>
+      <td>${f.prefix ? `<code>${escapeHtml(f.prefix)}_</code>` : '<span class="text-muted">—</span>'}</td>
+      <td>${f.tables}</td>
+      <td><small>${escapeHtml(new Date(f.uploadedAt).toLocaleString())}${f.uploadedBy ? `<span class="d-block text-muted">${escapeHtml(f.uploadedBy)}</span>` : ''}</small></td>
+      <td class="text-end">
+        <a class="btn btn-sm btn-outline-secondary" href="/schema-files/${encodeURIComponent(f.name)}/download">Download</a>
+        <form method="POST" action="/schema-files/${encodeURIComponent(f.name)}/delete" class="d-inline" onsubmit="return confirm('Delete ${escapeHtml(f.name)}?');">
+          <button type="submit" class="btn btn-sm btn-outline-danger">Delete</button>
+        </form>
+      </td>
+    </tr>`).join('');
+  
+  return renderAgencyPage({
+    title: 'Schema Files',
+    styles: '.container-report { max-width: 1000px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Schema Files</h1>
+      ${message}
+      ${SCHEMA_FILE_PATH ? `<div class="alert alert-info py-2"><small>Default (from <code>SCHEMA_FILE_PATH</code>): <code>${escapeHtml(path.basename(SCHEMA_FILE_PATH))}</code></small></div>` : ''}
+      <div class="card mb-4"><div class="card-body p-0">
+        <table class="table mb-0">
+          <thead><tr><th>Name</th><th>Prefix</th><th>Tables</th><th>Uploaded</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="5" class="text-muted text-center py-4">No schema files uploaded yet</td></tr>'}</tbody>
+        </table>
+      </div></div>
+      <div class="card"><div class="card-body">
+        <h5 class="card-title mb-3">Upload Schema File</h5>
+        <form method="POST" action="/schema-files" enctype="multipart/form-data" class="row g-2 align-items-end">
+          <div class="col-md-4">
+            <label for="file" class="form-label">JSON file</label>
+            <input type="file" class="form-control" id="file" name="file" accept=".json,application/json" required>
+          </div>
+          <div class="col-md-3">
+            <label for="name" class="form-label">Name</label>
+            <input type="text" class="form-control" id="name" name="name" placeholder="From file name">
+          </div>
+          <div class="col-md-2">
+            <label for="prefix" class="form-label">Publisher Prefix</label>
+            <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(PUBLISHER_PREFIX)}">
+          </div>
+          <div class="col-md-3"><button type="submit" class="w-100 btn btn-agency-primary">Upload</button></div>
+        </form>
+        <small class="text-muted">Files are validated against <a href="/schema-file.schema.json">schema-file.schema.json</a>. Uploading with an existing name replaces that file.</small>
+      </div></div>
+    </div>`
+  });
+}
+
+// Schema file manager page
+app.get('/schema-files', (req, res) => {
+  const message = req.query.uploaded
+    ? `<div class="alert alert-success">Schema file <strong>${escapeHtml(req.query.uploaded)}</strong> uploaded. Select it on the dashboard to generate documentation from it.</div>`
+    : '';
+  res.send(renderSchemaLibraryPage({ message }));
+});
+
+// Upload a schema file from the manager page
+app.post('/schema-files', schemaUpload.single('file'), (req, res) => {
+  if (!req.file) return res.redirect('/schema-files');
+  try {
+    const entry = saveSchemaFileToLibrary(req.body.name, req.file.buffer.toString('utf8'), {
+      originalName: req.file.originalname,
+      prefix: req.body.prefix,
+      uploadedBy: req.session.username || null
+    });
+    res.redirect(`/schema-files?uploaded=${encodeURIComponent(entry.name)}`);
+  } catch (error) {
+    const message = error.validationErrors
+      ? renderSchemaFileErrorsHtml(error.validationErrors)
+      : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    res.status(error.validationErrors ? 422 : 400).send(renderSchemaLibraryPage({ message }));
+  }
+});
+
+// Delete a schema file from the manager page
+app.post('/schema-files/:name/delete', (req, res) => {
+  deleteSchemaFileFromLibrary(req.params.name);
+  res.redirect('/schema-files');
+});
+
+// Download a schema file from the library
+app.get('/schema-files/:name/download', (req, res) => {
+  const selection = resolveSchemaFileSelection(req.params.name);
+  if (!selection || selection.source !== 'library') return res.status(404).send('Schema file not found');
+  res.download(selection.path, `${selection.name}.json`);
+});
+
+// Schema library API
+app.get('/api/schema-files', (req, res) => {
+  res.json({
+    default: SCHEMA_FILE_PATH ? { name: DEFAULT_SCHEMA_FILE, file: path.basename(SCHEMA_FILE_PATH), prefix: PUBLISHER_PREFIX } : null,
+    files: readSchemaLibrary()
+  });
+});
+
+app.post('/api/schema-files', schemaUpload.single('file'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  try {
+    const entry = saveSchemaFileToLibrary(req.body.name, req.file.buffer.toString('utf8'), {
+      originalName: req.file.originalname,
+      prefix: req.body.prefix,
+      uploadedBy: req.session.username || null
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schema-files/:name', (req, res) => {
+  if (!deleteSchemaFileFromLibrary(req.params.name)) return res.status(404).json({ error: 'Schema file not found' });
+  res.json({ success: true });
+});
+
+// =============================================================================
+// SCHEMA DRIFT REPORT
+// =============================================================================
+
+// Attribute metadata types cast to read MaxLength / MinValue / MaxValue
+const DRIFT_DETAIL_METADATA_TYPES = [
+  { type: 'StringAttributeMetadata', select: 'LogicalName,MaxLength' },
+  { type: 'MemoAttributeMetadata', select: 'LogicalName,MaxLength' },
+  { type: 'IntegerAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'BigIntAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'DecimalAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'DoubleAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'MoneyAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' }
+];
+
+/**
+ * Fetch the attributes of a table with type, required level, max length and range
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} logicalName - Table logical name
+ * @param {Array<Object>} [detailTypes] - Attribute metadata casts ({ type, select, expand }) merged into each attribute
+ * @returns {Promise<Object|null>} Map of attribute LogicalName to details, or null when the table does not exist
+ */
+async function fetchTableAttributeDetails(apiUrl, token, logicalName, detailTypes = DRIFT_DETAIL_METADATA_TYPES) {
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const entityUrl = `${apiUrl}EntityDefinitions(LogicalName='${logicalName}')`;
+  
+  let baseResponse;
+  try {
+    baseResponse = await axios.get(`${entityUrl}/Attributes?$select=LogicalName,SchemaName,AttributeType,AttributeTypeName,DisplayName,Description,RequiredLevel,IsCustomAttribute,AttributeOf,IsPrimaryId,IsPrimaryName,IsValidForCreate,IsValidForUpdate`, { headers });
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+  
+  const attributes = {};
+  (baseResponse.data?.value || []).forEach(a => {
+    attributes[a.LogicalName] = { ...a, RequiredLevel: a.RequiredLevel?.Value || 'None' };
+  });
+  
+  await Promise.all(detailTypes.map(async ({ type, select, expand }) => {
+    const response = await axios.get(`${entityUrl}/Attributes/Microsoft.Dynamics.CRM.${type}?$select=${select}${expand ? `&$expand=${expand}` : ''}`, { headers });
+    (response.data?.value || []).forEach(a => {
+      if (attributes[a.LogicalName]) Object.assign(attributes[a.LogicalName], a);
+    });
+  }));
+  
+  return attributes;
+}
+
+/**
+ * Compare the schema file with the tables and columns of a live environment
+ * Added = present in the environment only (custom components under the prefix), removed = present in
+ * the file only, changed = type, maxLength, minValue, maxValue or required level differs.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} schemaPath - Path to the JSON schema file
+ * @param {string} publisherPrefix - Publisher prefix (e.g., "cs")
+ * @returns {Promise<Object>} Drift report with summary, tables and columns
+ */
+async function diffSchemaFileAgainstEnvironment(apiUrl, token, schemaPath, publisherPrefix = '') {
+  const schema = loadSchemaFile(schemaPath);
+  
+  const prefix = normalizePublisherPrefix(publisherPrefix);
+  const report = {
+    schemaFile: path.basename(schemaPath),
+    environment: apiUrl,
+    prefix: prefix || null,
+    generatedAt: new Date().toISOString(),
+    tables: { added: [], removed: [], changed: [] }
+  };
+  
+  const fileTableNames = schema.tables.map(t => `${prefix}${t.logicalName}`);
+  
+  // Tables created in the environment under the prefix but absent from the file
+  if (prefix) {
+    const response = await axios.get(`${apiUrl}EntityDefinitions?$select=LogicalName,IsCustomEntity`, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' }
+    });
+    report.tables.added = (response.data?.value || [])
+      .filter(e => e.IsCustomEntity && e.LogicalName.startsWith(prefix) && !fileTableNames.includes(e.LogicalName))
+      .map(e => e.LogicalName)
+      .sort();
+  }
+  
+  for (const table of schema.tables) {
+    const tableName = `${prefix}${table.logicalName}`;
+    const liveAttributes = await fetchTableAttributeDetails(apiUrl, token, tableName);
+    if (!liveAttributes) {
+      report.tables.removed.push(tableName);
+      continue;
+    }
+    
+    const fileColumns = [];
+    if (table.primaryAttribute) {
+      fileColumns.push({
+        type: 'String',
+        requiredLevel: 'ApplicationRequired',
+        ...table.primaryAttribute,
+        logicalName: `${prefix}${table.primaryAttribute.schemaName.toLowerCase()}`
+      });
+    }
+    (table.attributes || []).forEach(attr => fileColumns.push({ ...attr, logicalName: `${prefix}${attr.logicalName}` }));
+    
+    const columns = { added: [], removed: [], changed: [] };
+    const fileColumnNames = fileColumns.map(c => c.logicalName);
+    
+    columns.added = Object.entries(liveAttributes)
+      .filter(([name, a]) => a.IsCustomAttribute && !a.AttributeOf && (!prefix || name.startsWith(prefix)) && !fileColumnNames.includes(name))
+      .filter(([name]) => name !== `${tableName}id`)
+      .map(([name, a]) => ({ column: name, type: a.AttributeType }));
+    
+    fileColumns.forEach(column => {
+      const live = liveAttributes[column.logicalName];
+      if (!live) {
+        columns.removed.push({ column: column.logicalName, type: column.type || 'String' });
+        return;
+      }
+      
+      const differences = [];
+      const expectedType = column.type || 'String';
+      if (live.AttributeType !== (SCHEMA_TYPE_TO_ATTRIBUTE_TYPE[expectedType] || expectedType)) {
+        differences.push({ field: 'type', expected: expectedType, actual: live.AttributeType });
+      }
+      if (column.maxLength !== undefined && live.MaxLength !== undefined && column.maxLength !== live.MaxLength) {
+        differences.push({ field: 'maxLength', expected: column.maxLength, actual: live.MaxLength });
+      }
+      if (column.minValue !== undefined && live.MinValue !== undefined && column.minValue !== live.MinValue) {
+        differences.push({ field: 'minValue', expected: column.minValue, actual: live.MinValue });
+      }
+      if (column.maxValue !== undefined && live.MaxValue !== undefined && column.maxValue !== live.MaxValue) {
+        differences.push({ field: 'maxValue', expected: column.maxValue, actual: live.MaxValue });
+      }
+      const expectedRequired = REQUIRED_LEVELS.includes(column.requiredLevel);
+      const actualRequired = REQUIRED_LEVELS.includes(live.RequiredLevel);
+      if (expectedRequired !== actualRequired) {
+        differences.push({ field: 'required', expected: expectedRequired, actual: actualRequired });
+      }
+      
+      if (differences.length) columns.changed.push({ column: column.logicalName, differences });
+    });
+    
+    if (columns.added.length || columns.removed.length || columns.changed.length) {
+      report.tables.changed.push({ table: tableName, columns });
+    }
+  }
+  
+  const count = key => report.tables.changed.reduce((n, t) => n + t.columns[key].length, 0);
+  const summary = {
+    tablesAdded: report.tables.added.length,
+    tablesRemoved: report.tables.removed.length,
+    tablesChanged: report.tables.changed.length,
+    columnsAdded: count('added'),
+    columnsRemoved: count('removed'),
+    columnsChanged: count('changed')
+  };
+  summary.totalDifferences = summary.tablesAdded + summary.tablesRemoved + summary.columnsAdded + summary.columnsRemoved + summary.columnsChanged;
+  summary.inSync = summary.totalDifferences === 0;
+  summary.exitCode = summary.inSync ? 0 : 1;
+  report.summary = summary;
+  
+  console.log(`Schema drift: ${summary.totalDifferences} differences (${schema.tables.length} tables checked)`);
+  return report;
+}
+
+/**
+ * Format a drift report summary as plain text for pipeline logs
+ */
+function formatDriftSummary(report) {
+  const s = report.summary;
+  return [
+    `Schema drift report: ${report.schemaFile} vs ${report.environment}`,
+    `Tables  - added: ${s.tablesAdded}, removed: ${s.tablesRemoved}, changed: ${s.tablesChanged}`,
+    `Columns - added: ${s.columnsAdded}, removed: ${s.columnsRemoved}, changed: ${s.columnsChanged}`,
+    s.inSync ? 'RESULT: IN SYNC' : `RESULT: DRIFT DETECTED (${s.totalDifferences} differences)`,
+    `EXIT_CODE=${s.exitCode}`
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render a drift report as HTML
+ */
+function renderDriftReportHtml(report) {
+  const s = report.summary;
+  const formatValue = v => escapeHtml(typeof v === 'boolean' ? (v ? 'required' : 'optional') : v);
+  const tableList = (items, badge) => items.length
+    ? `<ul class="mb-0">${items.map(t => `<li><span class="badge ${badge}">${escapeHtml(t)}</span></li>`).join('')}</ul>`
+    : '<p class="text-muted mb-0">None</p>';
+  
+  const changedTables = report.tables.changed.map(t => `
+    <div class="card mb-3">
+      <div class="card-header"><strong>${escapeHtml(t.table)}</strong></div>
+      <div class="card-body p-0">
+        <table class="table table-sm mb-0">
+          <thead><tr><th>Column</th><th>Change</th><th>Schema file</th><th>Environment</th></tr></thead>
+          <tbody>
+            ${t.columns.added.map(c => `<tr class="table-info"><td><code>${escapeHtml(c.column)}</code></td><td>Added</td><td>—</td><td>${escapeHtml(c.type)}</td></tr>`).join('')}
+            ${t.columns.removed.map(c => `<tr class="table-danger"><td><code>${escapeHtml(c.column)}</code></td><td>Removed</td><td>${escapeHtml(c.type)}</td><td>—</td></tr>`).join('')}
+            ${t.columns.changed.map(c => c.differences.map(d => `<tr class="table-warning"><td><code>${escapeHtml(c.column)}</code></td><td>${escapeHtml(d.field)}</td><td>${formatValue(d.expected)}</td><td>${formatValue(d.actual)}</td></tr>`).join('')).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>`).join('');
+  
+  return `
+    <div class="alert ${s.inSync ? 'alert-success' : 'alert-warning'}">
+      <strong>${s.inSync ? '✓ In sync' : `⚠️ ${s.totalDifferences} difference(s)`}</strong> —
+      <code>${escapeHtml(report.schemaFile)}</code> vs <code>${escapeHtml(report.environment)}</code>
+      <small class="d-block text-muted">Generated ${escapeHtml(report.generatedAt)}</small>
+    </div>
+    <div class="row mb-3">
+      <div class="col-md-6"><div class="card"><div class="card-body"><h6>Tables added in environment</h6>${tableList(report.tables.added, 'bg-info')}</div></div></div>
+      <div class="col-md-6"><div class="card"><div class="card-body"><h6>Tables missing from environment</h6>${tableList(report.tables.removed, 'bg-danger')}</div></div></div>
+    </div>
+    <h5 class="page-title">Changed tables (${report.tables.changed.length})</h5>
+    ${changedTables || '<p class="text-muted">No column differences.</p>'}`;
+}
+
+// Schema drift page
+app.get('/schema-diff', async (req, res) => {
+  const envUrl = req.query.url || process.env.dataverse_url || '';
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  
+  let reportHtml = '';
+  if (!SCHEMA_FILE_PATH) {
+    reportHtml = '<div class="alert alert-info">Set <code>SCHEMA_FILE_PATH</code> to compare a schema file with an environment.</div>';
+  } else if (req.query.url && !isTrustedEnvironment(req, normalizeDataverseUrl(envUrl))) {
+    res.status(403);
+    reportHtml = `<div class="alert alert-danger">Your token is not sent to <code>${escapeHtml(envUrl)}</code>; add its host to <code>DATAVERSE_ALLOWED_HOSTS</code>.</div>`;
+  } else if (req.query.url) {
+    try {
+      const report = await diffSchemaFileAgainstEnvironment(normalizeDataverseUrl(envUrl), req.session.token, SCHEMA_FILE_PATH, prefix);
+      reportHtml = renderDriftReportHtml(report) +
+        `<p class="mt-3"><a href="/api/schema-diff?url=${encodeURIComponent(envUrl)}&prefix=${encodeURIComponent(prefix)}">Download JSON</a></p>`;
+    } catch (error) {
+      console.error('Schema diff error:', error.message);
+      reportHtml = error.validationErrors
+        ? renderSchemaFileErrorsHtml(error.validationErrors)
+        : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  res.send(renderAgencyPage({
+    title: 'Schema Drift',
+    styles: '.container-report { max-width: 1100px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Schema Drift Report</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/schema-diff" class="row g-2 align-items-end">
+          <div class="col-md-7">
+            <label for="url" class="form-label">Dataverse Environment URL</label>
+            <input type="text" class="form-control" id="url" name="url" value="${escapeHtml(envUrl)}" required>
+          </div>
+          <div class="col-md-3">
+            <label for="prefix" class="form-label">Publisher Prefix</label>
+            <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(prefix)}">
+          </div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary" ${SCHEMA_FILE_PATH ? '' : 'disabled'}>Compare</button></div>
+        </form>
+        ${SCHEMA_FILE_PATH ? `<small class="text-muted">Schema file: <code>${escapeHtml(path.basename(SCHEMA_FILE_PATH))}</code></small>` : ''}
+      </div></div>
+      ${reportHtml}
+    </div>`
+  }));
+});
+
+// Schema drift API endpoint
+// ?format=text returns a plain-text summary ending in EXIT_CODE=<0|1>; ?strict=true responds 409 on drift
+app.get('/api/schema-diff', async (req, res) => {
+  if (!SCHEMA_FILE_PATH) return res.status(400).json({ error: 'SCHEMA_FILE_PATH is not configured' });
+  const envUrl = req.query.url || process.env.dataverse_url;
+  if (!envUrl) return res.status(400).json({ error: 'Dataverse URL required' });
+  const apiUrl = normalizeDataverseUrl(envUrl);
+  if (!isTrustedEnvironment(req, apiUrl)) return res.status(403).json({ error: `Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS` });
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  
+  try {
+    const report = await diffSchemaFileAgainstEnvironment(apiUrl, req.session.token, SCHEMA_FILE_PATH, prefix);
+    const status = req.query.strict === 'true' && !report.summary.inSync ? 409 : 200;
+    if (req.query.format === 'text') return res.status(status).type('text/plain').send(formatDriftSummary(report));
+    res.status(status).json(report);
+  } catch (error) {
+    console.error('Schema diff error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// SCHEMA DEPLOYMENT (PROVISION TABLES AND COLUMNS)
+// =============================================================================
+
+const DEPLOY_LANGUAGE_CODE = 1033;
+
+// Schema file types mapped to the attribute metadata type used when creating the column
+const SCHEMA_TYPE_TO_ATTRIBUTE_METADATA = {
+  'String': 'StringAttributeMetadata',
+  'Memo': 'MemoAttributeMetadata',
+  'Integer': 'IntegerAttributeMetadata',
+  'BigInt': 'BigIntAttributeMetadata',
+  'Decimal': 'DecimalAttributeMetadata',
+  'Double': 'DoubleAttributeMetadata',
+  'Money': 'MoneyAttributeMetadata',
+  'Boolean': 'BooleanAttributeMetadata',
+  'DateTime': 'DateTimeAttributeMetadata',
+  'Date': 'DateTimeAttributeMetadata',
+  'Picklist': 'PicklistAttributeMetadata',
+  'MultiSelectPicklist': 'MultiSelectPicklistAttributeMetadata'
+};
+
+/**
+ * Build a metadata Label for the deployment language
+ */
+function metadataLabel(text) {
+  return {
+    '@odata.type': 'Microsoft.Dynamics.CRM.Label',
+    LocalizedLabels: text ? [{ '@odata.type': 'Microsoft.Dynamics.CRM.LocalizedLabel', Label: text, LanguageCode: DEPLOY_LANGUAGE_CODE }] : []
+  };
+}
+
+/**
+ * Build the attribute metadata payload for a schema file column
+ * @param {Object} attr - Schema file attribute
+ * @param {string} prefix - Normalized publisher prefix (e.g., "cs_")
+ * @returns {Object|null} Attribute metadata, or null when the type cannot be created as a column
+ */
+function buildAttributeMetadataPayload(attr, prefix) {
+  const type = attr.type || 'String';
+  const metadataType = SCHEMA_TYPE_TO_ATTRIBUTE_METADATA[type];
+  if (!metadataType) return null;
+  
+  const payload = {
+    '@odata.type': `Microsoft.Dynamics.CRM.${metadataType}`,
+    SchemaName: withPublisherPrefix(attr.schemaName || attr.logicalName, prefix),
+    DisplayName: metadataLabel(attr.displayName || attr.schemaName || attr.logicalName),
+    Description: metadataLabel(attr.description),
+    RequiredLevel: { Value: attr.requiredLevel || 'None' }
+  };
+  
+  switch (type) {
+    case 'String':
+      payload.MaxLength = attr.maxLength || 100;
+      payload.FormatName = { Value: ['Email', 'Url', 'Phone'].includes(attr.format) ? attr.format : 'Text' };
+      break;
+    case 'Memo':
+      payload.MaxLength = attr.maxLength || 2000;
+      payload.Format = 'TextArea';
+      break;
+    case 'Integer':
+      payload.Format = 'None';
+      if (attr.minValue !== undefined) payload.MinValue = attr.minValue;
+      if (attr.maxValue !== undefined) payload.MaxValue = attr.maxValue;
+      break;
+    case 'BigInt':
+      break;
+    case 'Decimal':
+    case 'Double':
+    case 'Money':
+      // Dataverse Precision is the number of decimal places, which the schema file calls "scale"
+      payload.Precision = attr.scale !== undefined ? attr.scale : 2;
+      if (type === 'Money') payload.PrecisionSource = 0;
+      if (attr.minValue !== undefined) payload.MinValue = attr.minValue;
+      if (attr.maxValue !== undefined) payload.MaxValue = attr.maxValue;
+      break;
+    case 'Boolean':
+      payload.OptionSet = {
+        '@odata.type': 'Microsoft.Dynamics.CRM.BooleanOptionSetMetadata',
+        TrueOption: { Value: 1, Label: metadataLabel('Yes') },
+        FalseOption: { Value: 0, Label: metadataLabel('No') },
+        OptionSetType: 'Boolean'
+      };
+      break;
+    case 'DateTime':
+    case 'Date':
+      payload.Format = type === 'Date' || attr.format === 'DateOnly' ? 'DateOnly' : 'DateAndTime';
+      break;
+    case 'Picklist':
+    case 'MultiSelectPicklist':
+      payload.OptionSet = {
+        '@odata.type': 'Microsoft.Dynamics.CRM.OptionSetMetadata',
+        IsGlobal: false,
+        OptionSetType: 'Picklist',
+        Options: normalizeOptions(attr.options).map(o => ({ Value: o.value, Label: metadataLabel(o.label) }))
+      };
+      break;
+  }
+  
+  return payload;
+}
+
+/**
+ * Build the EntityMetadata payload for a schema file table (created together with its primary name column)
+ */
+function buildEntityMetadataPayload(table, prefix) {
+  const primary = table.primaryAttribute || { schemaName: 'Name', displayName: 'Name' };
+  const baseSchemaName = table.schemaName || table.logicalName.charAt(0).toUpperCase() + table.logicalName.slice(1);
+  
+  return {
+    '@odata.type': 'Microsoft.Dynamics.CRM.EntityMetadata',
+    SchemaName: withPublisherPrefix(baseSchemaName, prefix),
+    DisplayName: metadataLabel(table.displayName || baseSchemaName),
+    DisplayCollectionName: metadataLabel(table.displayNamePlural || table.displayName || baseSchemaName),
+    Description: metadataLabel(table.description),
+    OwnershipType: table.ownershipType || 'UserOwned',
+    IsActivity: false,
+    HasActivities: false,
+    HasNotes: false,
+    Attributes: [{
+      '@odata.type': 'Microsoft.Dynamics.CRM.StringAttributeMetadata',
+      SchemaName: withPublisherPrefix(primary.schemaName, prefix),
+      IsPrimaryName: true,
+      MaxLength: primary.maxLength || 100,
+      FormatName: { Value: 'Text' },
+      RequiredLevel: { Value: 'ApplicationRequired' },
+      DisplayName: metadataLabel(primary.displayName || primary.schemaName),
+      Description: metadataLabel(primary.description)
+    }]
+  };
+}
+
+/**
+ * Build the one-to-many relationship payload that creates a lookup column
+ */
+function buildLookupRelationshipPayload(attr, tableName, targetName, prefix) {
+  const schemaName = withPublisherPrefix(attr.schemaName || attr.logicalName, prefix);
+  return {
+    '@odata.type': 'Microsoft.Dynamics.CRM.OneToManyRelationshipMetadata',
+    SchemaName: lookupRelationshipSchemaName(attr, tableName, targetName, prefix),
+    ReferencedEntity: targetName,
+    ReferencingEntity: tableName,
+    Lookup: {
+      '@odata.type': 'Microsoft.Dynamics.CRM.LookupAttributeMetadata',
+      AttributeType: 'Lookup',
+      AttributeTypeName: { Value: 'LookupType' },
+      SchemaName: schemaName,
+      DisplayName: metadataLabel(attr.displayName || attr.schemaName || attr.logicalName),
+      Description: metadataLabel(attr.description),
+      RequiredLevel: { Value: attr.requiredLevel || 'None' }
+    }
+  };
+}
+
+/**
+ * Schema name of the 1:N relationship created for a schema-file lookup
+ * Dataverse also uses it as the collection-valued navigation property name on the target table.
+ */
+function lookupRelationshipSchemaName(attr, tableName, targetName, prefix) {
+  return `${prefix}${targetName.replace(prefix, '')}_${tableName.replace(prefix, '')}_${(attr.schemaName || attr.logicalName).toLowerCase()}`;
+}
+
+/**
+ * Plan the Web API calls that provision the schema file in an environment
+ * Existing tables and columns are skipped, so running a deployment twice is safe.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} schemaPath - Path to the JSON schema file
+ * @param {string} publisherPrefix - Publisher prefix (e.g., "cs")
+ * @param {string} [solutionName] - Unique name of the solution that receives the components
+ * @returns {Promise<Object>} { solution, prefix, warnings, steps, summary }
+ */
+async function planSchemaDeployment(apiUrl, token, schemaPath, publisherPrefix, solutionName) {
+  const schema = loadSchemaFile(schemaPath);
+  
+  const prefix = normalizePublisherPrefix(publisherPrefix);
+  if (!prefix) throw new Error('A publisher prefix is required to deploy the schema file');
+  
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const warnings = [];
+  
+  if (solutionName) {
+    const response = await axios.get(`${apiUrl}solutions?$select=uniquename,friendlyname&$expand=publisherid($select=customizationprefix)&$filter=uniquename eq '${solutionName.replace(/'/g, "''")}'`, { headers });
+    const solution = (response.data?.value || [])[0];
+    if (!solution) throw new Error(`Solution "${solutionName}" was not found in this environment`);
+    const solutionPrefix = solution.publisherid?.customizationprefix;
+    if (solutionPrefix && `${solutionPrefix}_` !== prefix) {
+      warnings.push(`Solution publisher prefix is "${solutionPrefix}" but components will be created with "${prefix}"`);
+    }
+  } else {
+    warnings.push('No solution selected: components will be added to the default solution');
+  }
+  
+  const tableNames = schema.tables.map(t => `${prefix}${t.logicalName}`);
+  const steps = [];
+  const relationshipSteps = [];
+  
+  for (const table of schema.tables) {
+    const tableName = `${prefix}${table.logicalName}`;
+    let existingColumns = null;
+    try {
+      const response = await axios.get(`${apiUrl}EntityDefinitions(LogicalName='${tableName}')?$select=LogicalName&$expand=Attributes($select=LogicalName)`, { headers });
+      existingColumns = (response.data?.Attributes || []).map(a => a.LogicalName);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+    
+    steps.push({
+      kind: 'table',
+      table: tableName,
+      name: tableName,
+      action: existingColumns ? 'skip' : 'create',
+      reason: existingColumns ? 'Table already exists' : null,
+      method: 'POST',
+      path: 'EntityDefinitions',
+      payload: existingColumns ? null : buildEntityMetadataPayload(table, prefix)
+    });
+    
+    for (const attr of table.attributes || []) {
+      const columnName = `${prefix}${attr.logicalName}`;
+      const exists = existingColumns && existingColumns.includes(columnName);
+      const step = { kind: 'column', table: tableName, name: columnName, action: 'create', reason: null, method: 'POST', path: `EntityDefinitions(LogicalName='${tableName}')/Attributes`, payload: null };
+      
+      if (exists) {
+        Object.assign(step, { action: 'skip', reason: 'Column already exists' });
+      } else if (attr.type === 'Lookup') {
+        if (!attr.target) {
+          Object.assign(step, { action: 'unsupported', reason: 'Lookup columns need a "target" table' });
+        } else {
+          const targetName = tableNames.includes(`${prefix}${attr.target}`) ? `${prefix}${attr.target}` : attr.target;
+          Object.assign(step, { kind: 'relationship', path: 'RelationshipDefinitions', payload: buildLookupRelationshipPayload(attr, tableName, targetName, prefix) });
+        }
+      } else {
+        step.payload = buildAttributeMetadataPayload(attr, prefix);
+        if (!step.payload) Object.assign(step, { action: 'unsupported', reason: `Type "${attr.type}" cannot be created from the schema file` });
+      }
+      
+      // Lookups run after every table exists so that targets in the same file can be referenced
+      (step.kind === 'relationship' ? relationshipSteps : steps).push(step);
+    }
+  }
+  
+  const allSteps = steps.concat(relationshipSteps).map((step, index) => ({ step: index + 1, ...step }));
+  return {
+    schemaFile: path.basename(schemaPath),
+    environment: apiUrl,
+    solution: solutionName || null,
+    prefix,
+    warnings,
+    steps: allSteps,
+    summary: {
+      create: allSteps.filter(s => s.action === 'create').length,
+      skip: allSteps.filter(s => s.action === 'skip').length,
+      unsupported: allSteps.filter(s => s.action === 'unsupported').length
+    }
+  };
+}
+
+/**
+ * Execute a deployment plan one step at a time and record the outcome of each step
+ * Columns of a table that failed to create are skipped.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {Object} plan - Plan returned by planSchemaDeployment
+ * @returns {Promise<Object>} The plan with a status, message and duration on every step
+ */
+async function executeSchemaDeployment(apiUrl, token, plan) {
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'OData-MaxVersion': '4.0',
+    'OData-Version': '4.0'
+  };
+  if (plan.solution) headers['MSCRM.SolutionUniqueName'] = plan.solution;
+  
+  const failedTables = new Set();
+  
+  for (const step of plan.steps) {
+    const started = Date.now();
+    if (step.action === 'skip') {
+      Object.assign(step, { status: 'skipped', message: step.reason });
+    } else if (step.action === 'unsupported') {
+      Object.assign(step, { status: 'unsupported', message: step.reason });
+    } else if (failedTables.has(step.table) || (step.kind === 'relationship' && failedTables.has(step.payload.ReferencedEntity))) {
+      Object.assign(step, { status: 'skipped', message: 'Table was not created' });
+    } else {
+      try {
+        await axios.post(`${apiUrl}${step.path}`, step.payload, { headers });
+        Object.assign(step, { status: 'created', message: `Created ${step.kind} ${step.name}` });
+      } catch (error) {
+        if (error.response?.status === 401) throw error;
+        const message = error.response?.data?.error?.message || error.message;
+        Object.assign(step, { status: 'failed', message });
+        if (step.kind === 'table') failedTables.add(step.table);
+      }
+    }
+    step.durationMs = Date.now() - started;
+    console.log(`Deploy step ${step.step} (${step.kind} ${step.name}): ${step.status}`);
+  }
+  
+  plan.executedAt = new Date().toISOString();
+  plan.summary.created = plan.steps.filter(s => s.status === 'created').length;
+  plan.summary.failed = plan.steps.filter(s => s.status === 'failed').length;
+  return plan;
+}
+
+/**
+ * Render a deployment plan (or its results when executed) as HTML
+ */
+function renderDeploymentHtml(plan) {
+  const executed = Boolean(plan.executedAt);
+  const badge = step => {
+    const value = executed ? step.status : step.action;
+    const classes = { create: 'bg-primary', created: 'bg-success', skip: 'bg-secondary', skipped: 'bg-secondary', unsupported: 'bg-warning text-dark', failed: 'bg-danger' };
+    return `<span class="badge ${classes[value] || 'bg-secondary'}">${escapeHtml(value)}</span>`;
+  };
+  
+  const rows = plan.steps.map(step => `
+    <tr>
+      <td>${step.step}</td>
+      <td>${badge(step)}</td>
+      <td>${escapeHtml(step.kind)}</td>
+      <td><code>${escapeHtml(step.name)}</code></td>
+      <td><small><code>${escapeHtml(step.method)} ${escapeHtml(step.path)}</code></small></td>
+      <td><small>${escapeHtml(executed ? step.message : step.reason || '')}${executed ? ` <span class="text-muted">(${step.durationMs} ms)</span>` : ''}</small></td>
+    </tr>`).join('');
+  
+  const s = plan.summary;
+  return `
+    ${plan.warnings.map(w => `<div class="alert alert-warning py-2">⚠️ ${escapeHtml(w)}</div>`).join('')}
+    <div class="alert ${executed ? (s.failed ? 'alert-danger' : 'alert-success') : 'alert-info'}">
+      ${executed
+        ? `<strong>Deployment finished:</strong> ${s.created} created, ${s.failed} failed, ${s.skip} skipped, ${s.unsupported} unsupported`
+        : `<strong>Dry run:</strong> ${s.create} component(s) to create, ${s.skip} already present, ${s.unsupported} unsupported`}
+      <small class="d-block text-muted">Prefix <code>${escapeHtml(plan.prefix)}</code> · Solution <code>${escapeHtml(plan.solution || 'Default')}</code></small>
+    </div>
+    <div class="card mb-3"><div class="card-body p-0">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>#</th><th>${executed ? 'Result' : 'Action'}</th><th>Kind</th><th>Name</th><th>Request</th><th>${executed ? 'Log' : 'Notes'}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div></div>`;
+}
+
+/**
+ * Render the deploy schema page
+ */
+function renderDeployPage({ envUrl, prefix, solution, content }) {
+  return renderAgencyPage({
+    title: 'Deploy Schema',
+    styles: '.container-report { max-width: 1200px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Deploy Schema</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/deploy-schema" class="row g-2 align-items-end">
+          <div class="col-md-5">
+            <label for="url" class="form-label">Dataverse Environment URL</label>
+            <input type="text" class="form-control" id="url" name="url" value="${escapeHtml(envUrl)}" required>
+          </div>
+          <div class="col-md-2">
+            <label for="prefix" class="form-label">Publisher Prefix</label>
+            <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(prefix)}" required>
+          </div>
+          <div class="col-md-3">
+            <label for="solution" class="form-label">Solution (unique name)</label>
+            <input type="text" class="form-control" id="solution" name="solution" value="${escapeHtml(solution)}">
+          </div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary" ${SCHEMA_FILE_PATH ? '' : 'disabled'}>Preview Plan</button></div>
+        </form>
+        ${SCHEMA_FILE_PATH ? `<small class="text-muted">Schema file: <code>${escapeHtml(path.basename(SCHEMA_FILE_PATH))}</code></small>` : ''}
+      </div></div>
+      ${content}
+    </div>`
+  });
+}
+
+// Deploy schema page (dry-run plan)
+app.get('/deploy-schema', async (req, res) => {
+  const envUrl = req.query.url || process.env.dataverse_url || '';
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  const solution = req.query.solution || '';
+  
+  let content = '';
+  if (!SCHEMA_FILE_PATH) {
+    content = '<div class="alert alert-info">Set <code>SCHEMA_FILE_PATH</code> to deploy a schema file.</div>';
+  } else if (req.query.url && !isTrustedEnvironment(req, normalizeDataverseUrl(envUrl))) {
+    res.status(403);
+    content = `<div class="alert alert-danger">Your token is not sent to <code>${escapeHtml(envUrl)}</code>; add its host to <code>DATAVERSE_ALLOWED_HOSTS</code>.</div>`;
+  } else if (req.query.url) {
+    try {
+      const plan = await planSchemaDeployment(normalizeDataverseUrl(envUrl), req.session.token, SCHEMA_FILE_PATH, prefix, solution);
+      // The deploy form carries a one-time token so that another site cannot post it on the user's behalf
+      req.session.deployToken = crypto.randomUUID();
+      content = renderDeploymentHtml(plan) + (plan.summary.create ? `
+        <form method="POST" action="/deploy-schema" onsubmit="this.querySelector('button').disabled = true; this.querySelector('button').textContent = 'Deploying...';">
+          <input type="hidden" name="token" value="${req.session.deployToken}">
+          <input type="hidden" name="url" value="${escapeHtml(envUrl)}">
+          <input type="hidden" name="prefix" value="${escapeHtml(prefix)}">
+          <input type="hidden" name="solution" value="${escapeHtml(solution)}">
+          <button type="submit" class="btn btn-agency-secondary">Deploy ${plan.summary.create} component(s)</button>
+        </form>` : '<p class="text-muted">Nothing to deploy.</p>');
+    } catch (error) {
+      console.error('Deploy plan error:', error.message);
+      content = error.validationErrors
+        ? renderSchemaFileErrorsHtml(error.validationErrors)
+        : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  res.send(renderDeployPage({ envUrl, prefix, solution, content }));
+});
+
+// Deploy schema (execute)
+app.post('/deploy-schema', async (req, res) => {
+  const { url: envUrl = '', prefix = '', solution = '', token = '' } = req.body;
+  if (!SCHEMA_FILE_PATH || !envUrl) return res.redirect('/deploy-schema');
+  const apiUrl = normalizeDataverseUrl(envUrl);
+  const refusal = !isTrustedEnvironment(req, apiUrl)
+    ? `Your token is not sent to <code>${escapeHtml(envUrl)}</code>; add its host to <code>DATAVERSE_ALLOWED_HOSTS</code>.`
+    : (!req.session.deployToken || token !== req.session.deployToken ? 'Preview the plan again before deploying.' : null);
+  if (refusal) {
+    return res.status(403).send(renderDeployPage({ envUrl, prefix, solution, content: `<div class="alert alert-danger">${refusal}</div>` }));
+  }
+  req.session.deployToken = null;
+  
+  let content;
+  try {
+    const plan = await planSchemaDeployment(apiUrl, req.session.token, SCHEMA_FILE_PATH, prefix, solution);
+    content = renderDeploymentHtml(await executeSchemaDeployment(apiUrl, req.session.token, plan));
+  } catch (error) {
+    console.error('Deploy error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.redirect('/auth/login');
+    }
+    content = error.validationErrors
+      ? renderSchemaFileErrorsHtml(error.validationErrors)
+      : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+  }
+  
+  res.send(renderDeployPage({ envUrl, prefix, solution, content }));
+});
+
+// Deploy schema API endpoint (dry run unless "dryRun": false)
+app.post('/api/deploy-schema', async (req, res) => {
+  if (!SCHEMA_FILE_PATH) return res.status(400).json({ error: 'SCHEMA_FILE_PATH is not configured' });
+  const envUrl = req.body.url || process.env.dataverse_url;
+  if (!envUrl) return res.status(400).json({ error: 'Dataverse URL required' });
+  const apiUrl = normalizeDataverseUrl(envUrl);
+  if (!isTrustedEnvironment(req, apiUrl)) return res.status(403).json({ error: `Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS` });
+  const prefix = req.body.prefix !== undefined ? req.body.prefix : PUBLISHER_PREFIX;
+  
+  try {
+    const plan = await planSchemaDeployment(apiUrl, req.session.token, SCHEMA_FILE_PATH, prefix, req.body.solution);
+    if (req.body.dryRun !== false) return res.json({ dryRun: true, ...plan });
+    
+    const result = await executeSchemaDeployment(apiUrl, req.session.token, plan);
+    res.status(result.summary.failed ? 207 : 200).json({ dryRun: false, ...result });
+  } catch (error) {
+    console.error('Deploy error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// SCHEMA FILE EXPORT (REVERSE-ENGINEER FROM AN ENVIRONMENT)
+// =============================================================================
+
+// Attribute metadata casts needed to describe columns in the schema file format
+const EXPORT_DETAIL_METADATA_TYPES = [
+  { type: 'StringAttributeMetadata', select: 'LogicalName,MaxLength,FormatName' },
+  { type: 'MemoAttributeMetadata', select: 'LogicalName,MaxLength' },
+  { type: 'IntegerAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'BigIntAttributeMetadata', select: 'LogicalName,MinValue,MaxValue' },
+  { type: 'DecimalAttributeMetadata', select: 'LogicalName,MinValue,MaxValue,Precision' },
+  { type: 'DoubleAttributeMetadata', select: 'LogicalName,MinValue,MaxValue,Precision' },
+  { type: 'MoneyAttributeMetadata', select: 'LogicalName,MinValue,MaxValue,Precision' },
+  { type: 'DateTimeAttributeMetadata', select: 'LogicalName,Format' },
+  { type: 'LookupAttributeMetadata', select: 'LogicalName,Targets' },
+  { type: 'PicklistAttributeMetadata', select: 'LogicalName', expand: 'OptionSet($select=Options),GlobalOptionSet($select=Options)' },
+  { type: 'MultiSelectPicklistAttributeMetadata', select: 'LogicalName', expand: 'OptionSet($select=Options),GlobalOptionSet($select=Options)' }
+];
+
+// Attribute types that can be written to the schema file
+const EXPORTABLE_ATTRIBUTE_TYPES = ['String', 'Memo', 'Integer', 'BigInt', 'Decimal', 'Double', 'Money', 'Boolean', 'DateTime', 'Picklist', 'Lookup', 'Customer', 'Uniqueidentifier'];
+
+/**
+ * Read the user-localized label of a metadata Label
+ */
+function metadataLabelText(label) {
+  return label?.UserLocalizedLabel?.Label || label?.LocalizedLabels?.[0]?.Label || undefined;
+}
+
+/**
+ * Convert live attribute metadata to a schema file attribute
+ * @param {Object} attr - Attribute details from fetchTableAttributeDetails
+ * @param {string} prefix - Normalized publisher prefix (stripped from names)
+ * @param {Array<string>} exportedTables - Logical names of the tables being exported
+ * @returns {Object|null} Schema file attribute, or null when the type cannot be described
+ */
+function attributeMetadataToSchemaAttribute(attr, prefix, exportedTables) {
+  const strip = name => prefix && name.toLowerCase().startsWith(prefix) ? name.slice(prefix.length) : name;
+  
+  let type = attr.AttributeType;
+  if (type === 'Virtual' && attr.AttributeTypeName?.Value === 'MultiSelectPicklistType') type = 'MultiSelectPicklist';
+  if (type !== 'MultiSelectPicklist' && !EXPORTABLE_ATTRIBUTE_TYPES.includes(type)) return null;
+  
+  const result = {
+    logicalName: strip(attr.LogicalName),
+    schemaName: strip(attr.SchemaName || attr.LogicalName),
+    displayName: metadataLabelText(attr.DisplayName),
+    description: metadataLabelText(attr.Description),
+    type
+  };
+  
+  const format = attr.FormatName?.Value;
+  if (['Email', 'Url', 'Phone'].includes(format)) result.format = format;
+  if (type === 'DateTime') result.format = attr.Format === 'DateOnly' ? 'DateOnly' : 'DateAndTime';
+  if (attr.MaxLength !== undefined && attr.MaxLength !== null) result.maxLength = attr.MaxLength;
+  if (attr.MinValue !== undefined && attr.MinValue !== null) result.minValue = attr.MinValue;
+  if (attr.MaxValue !== undefined && attr.MaxValue !== null) result.maxValue = attr.MaxValue;
+  // Dataverse Precision is the number of decimal places: the schema file's "scale"
+  if (attr.Precision !== undefined && attr.Precision !== null) result.scale = attr.Precision;
+  
+  const optionSet = attr.OptionSet || attr.GlobalOptionSet;
+  if (optionSet?.Options) {
+    result.options = normalizeOptions(optionSet.Options).map(o => ({ value: o.value, label: o.label }));
+  }
+  if (type === 'Lookup' && attr.Targets?.length) {
+    result.target = exportedTables.includes(attr.Targets[0]) ? strip(attr.Targets[0]) : attr.Targets[0];
+  }
+  
+  if (attr.RequiredLevel && attr.RequiredLevel !== 'None') result.requiredLevel = attr.RequiredLevel;
+  if (attr.IsValidForCreate === false) result.isValidForCreate = false;
+  if (attr.IsValidForUpdate === false) result.isValidForUpdate = false;
+  
+  Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+  return result;
+}
+
+/**
+ * Build a schema file (the format loadSchemaFile accepts) from the custom tables of an environment
+ * Only tables and custom columns under the publisher prefix are exported; names are written without the prefix.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} publisherPrefix - Publisher prefix (e.g., "cs")
+ * @returns {Promise<Object|null>} Schema file content, or null when no custom table is under the prefix
+ */
+async function exportSchemaFileFromEnvironment(apiUrl, token, publisherPrefix) {
+  const prefix = normalizePublisherPrefix(publisherPrefix).toLowerCase();
+  if (!prefix) throw new Error('A publisher prefix is required to export a schema file');
+  
+  const response = await axios.get(`${apiUrl}EntityDefinitions?$select=LogicalName,SchemaName,EntitySetName,PrimaryIdAttribute,PrimaryNameAttribute,DisplayName,DisplayCollectionName,Description,IsCustomEntity`, {
+    headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' }
+  });
+  const entities = (response.data?.value || [])
+    .filter(e => e.IsCustomEntity && e.LogicalName.startsWith(prefix))
+    .sort((a, b) => a.LogicalName.localeCompare(b.LogicalName));
+  // A schema file needs at least one table
+  if (!entities.length) return null;
+  const exportedTables = entities.map(e => e.LogicalName);
+  
+  const tables = [];
+  for (const entity of entities) {
+    const attributes = await fetchTableAttributeDetails(apiUrl, token, entity.LogicalName, EXPORT_DETAIL_METADATA_TYPES) || {};
+    const primaryName = attributes[entity.PrimaryNameAttribute];
+    const logicalName = entity.LogicalName.slice(prefix.length);
+    
+    const table = {
+      logicalName,
+      displayName: metadataLabelText(entity.DisplayName),
+      displayNamePlural: metadataLabelText(entity.DisplayCollectionName),
+      description: metadataLabelText(entity.Description)
+    };
+    if (entity.EntitySetName && entity.EntitySetName !== guessEntitySetName(entity.LogicalName)) table.entitySetName = entity.EntitySetName;
+    if (entity.PrimaryIdAttribute && entity.PrimaryIdAttribute !== `${entity.LogicalName}id`) table.primaryIdAttribute = entity.PrimaryIdAttribute;
+    if (primaryName) {
+      table.primaryAttribute = {
+        schemaName: (primaryName.SchemaName || primaryName.LogicalName).replace(new RegExp(`^${prefix}`, 'i'), ''),
+        displayName: metadataLabelText(primaryName.DisplayName),
+        description: metadataLabelText(primaryName.Description),
+        maxLength: primaryName.MaxLength
+      };
+    }
+    table.attributes = Object.values(attributes)
+      .filter(a => a.IsCustomAttribute && !a.AttributeOf && !a.IsPrimaryId && !a.IsPrimaryName && a.LogicalName.startsWith(prefix))
+      .sort((a, b) => a.LogicalName.localeCompare(b.LogicalName))
+      .map(a => attributeMetadataToSchemaAttribute(a, prefix, exportedTables))
+      .filter(Boolean);
+    
+    Object.keys(table).forEach(key => table[key] === undefined && delete table[key]);
+    tables.push(table);
+  }
+  
+  console.log(`Exported schema file with ${tables.length} tables for prefix ${prefix}`);
+  return { tables };
+}
+
+// Schema file export endpoint (downloads a file usable as SCHEMA_FILE_PATH)
+app.get('/api/export-schema', async (req, res) => {
+  const envUrl = req.query.url || process.env.dataverse_url;
+  if (!envUrl) return res.status(400).json({ error: 'Dataverse URL required' });
+  const prefix = req.query.prefix || PUBLISHER_PREFIX;
+  if (!prefix) return res.status(400).json({ error: 'Publisher prefix required' });
+  const apiUrl = normalizeDataverseUrl(envUrl);
+  if (!isTrustedEnvironment(req, apiUrl)) return res.status(403).json({ error: `Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS` });
+  
+  try {
+    const schema = await exportSchemaFileFromEnvironment(apiUrl, req.session.token, prefix);
+    if (!schema) return res.status(404).json({ error: `No custom tables under prefix ${prefix}` });
+    const fileName = `${prefix.replace(/_$/, '')}-schema.json`;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(JSON.stringify(schema, null, 2));
+  } catch (error) {
+    console.error('Schema export error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// MULTI-ENVIRONMENT COMPARISON
+// =============================================================================
+// Generates the spec for several environments with the current token and lines
+// up tables and columns side by side, e.g. dev / test / prod.
+
+/**
+ * Extract tables and their column types from a generated spec, keyed by table SchemaName
+ */
+function extractSpecTables(spec) {
+  const schemas = spec.components?.schemas || {};
+  const tables = {};
+  Object.keys(schemas)
+    .filter(name => name.endsWith('Read') && schemas[`${name.slice(0, -4)}Create`])
+    .forEach(name => {
+      const columns = {};
+      Object.entries(schemas[name].properties || {}).forEach(([column, schema]) => {
+        columns[column] = describeSchemaType(schema);
+      });
+      tables[name.slice(0, -4)] = columns;
+    });
+  return tables;
+}
+
+/**
+ * Get a token for an environment other than the one the session signed in to
+ * The session token is issued for the `scopes` resource only; other environments get a token for their
+ * own resource from the same app registration (client credentials, or the signed-in account's cached
+ * refresh token). The session token is never sent to another environment.
+ * 
+ * @param {Object} req - Express request (session)
+ * @param {string} apiUrl - Normalized environment URL
+ * @returns {Promise<string>} Bearer token
+ * @throws {Error} When the environment is not trusted or no token can be acquired for it
+ */
+async function acquireEnvironmentToken(req, apiUrl) {
+  if (!isTrustedEnvironment(req, apiUrl)) {
+    throw new Error(`Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS`);
+  }
+  const origin = environmentOrigin(apiUrl);
+  if (azureConfig.scopes.some(scope => environmentOrigin(scope) === origin)) return req.session.token;
+  
+  const scopes = [`${origin}/.default`];
+  try {
+    let response = null;
+    if (req.session.authType === 'application') {
+      response = await cca.acquireTokenByClientCredential({ scopes });
+    } else if (req.session.homeAccountId) {
+      const account = await cca.getTokenCache().getAccountByHomeId(req.session.homeAccountId);
+      if (account) response = await cca.acquireTokenSilent({ account, scopes });
+    }
+    if (response?.accessToken) return response.accessToken;
+  } catch (error) {
+    console.warn(`Could not acquire a token for ${origin}:`, error.message);
+  }
+  throw new Error(`Could not get a token for ${origin}; sign in again or grant the app registration access to this environment`);
+}
+
+/**
+ * Generate the spec for each environment and build tables × environments and columns × environments matrices
+ * An environment that fails to generate, including one that refuses the token, is reported with its error.
+ * 
+ * @param {string[]} envUrls - Dataverse environment URLs
+ * @param {Function} getToken - async (apiUrl) => bearer token for that environment
+ * @param {string} prefix - Publisher prefix filter
+ * @returns {Promise<Object>} { environments, tables, columns, summary }
+ */
+async function compareEnvironments(envUrls, getToken, prefix) {
+  const environments = [];
+  const tablesByEnvironment = [];
+  
+  // One environment at a time: each generation already fans out in batches
+  for (const envUrl of envUrls) {
+    const apiUrl = normalizeDataverseUrl(envUrl);
+    try {
+      const spec = await generateSimpleOpenApiSpec(apiUrl, await getToken(apiUrl), prefix);
+      const tables = extractSpecTables(spec);
+      environments.push({ url: apiUrl, tables: Object.keys(tables).length, error: null });
+      tablesByEnvironment.push(tables);
+    } catch (error) {
+      const status = error.response?.status;
+      const message = status === 401 || status === 403
+        ? `Access denied (${status}): your sign-in has no access to this environment`
+        : error.message;
+      console.error(`Environment comparison failed for ${apiUrl}:`, error.message);
+      environments.push({ url: apiUrl, tables: 0, error: message });
+      tablesByEnvironment.push(null);
+    }
+  }
+  
+  const available = tablesByEnvironment.filter(Boolean);
+  const tableNames = [...new Set(available.flatMap(t => Object.keys(t)))].sort();
+  
+  const tables = tableNames.map(table => {
+    const presence = tablesByEnvironment.map(t => t ? Boolean(t[table]) : null);
+    return { table, presence, mismatch: presence.some(p => p === false) };
+  });
+  
+  const columns = [];
+  tableNames.forEach(table => {
+    const columnNames = [...new Set(available.flatMap(t => Object.keys(t[table] || {})))].sort();
+    columnNames.forEach(column => {
+      const types = tablesByEnvironment.map(t => t ? (t[table]?.[column] || '') : null);
+      const found = types.filter(Boolean);
+      columns.push({
+        table,
+        column,
+        types,
+        mismatch: types.some(t => t === '') || new Set(found).size > 1
+      });
+    });
+  });
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    prefix: prefix || '',
+    environments,
+    tables,
+    columns,
+    summary: {
+      environments: environments.length,
+      failed: environments.filter(e => e.error).length,
+      tables: tables.length,
+      tableMismatches: tables.filter(t => t.mismatch).length,
+      columns: columns.length,
+      columnMismatches: columns.filter(c => c.mismatch).length
+    }
+  };
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an environment comparison into CSV rows (one row per table and per column)
+ */
+function formatEnvironmentComparisonCsv(comparison) {
+  const cell = value => value === null ? 'error' : (value === true ? 'yes' : (value === false || value === '' ? 'missing' : value));
+  const rows = [['Kind', 'Table', 'Column', ...comparison.environments.map(e => e.url), 'Mismatch']];
+  comparison.tables.forEach(t => rows.push(['table', t.table, '', ...t.presence.map(cell), t.mismatch ? 'yes' : 'no']));
+  comparison.columns.forEach(c => rows.push(['column', c.table, c.column, ...c.types.map(cell), c.mismatch ? 'yes' : 'no']));
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render the comparison matrices as HTML, mismatched rows highlighted
+ */
+function renderEnvironmentComparisonHtml(comparison, mismatchesOnly) {
+  const s = comparison.summary;
+  const headers = comparison.environments.map(e => `<th title="${escapeHtml(e.url)}">${escapeHtml(e.url.replace(/^https?:\/\//, '').split('/')[0])}</th>`).join('');
+  const cell = value => value === null
+    ? '<td class="text-muted">error</td>'
+    : (value === false || value === '' ? '<td class="text-danger fw-bold">✗</td>' : `<td>${value === true ? '✓' : `<code>${escapeHtml(value)}</code>`}</td>`);
+  const tables = comparison.tables.filter(t => !mismatchesOnly || t.mismatch);
+  const columns = comparison.columns.filter(c => !mismatchesOnly || c.mismatch);
+  
+  const errors = comparison.environments.filter(e => e.error).map(e => `
+    <div class="alert alert-danger"><strong>${escapeHtml(e.url)}:</strong> ${escapeHtml(e.error)}</div>`).join('');
+  
+  return `
+    ${errors}
+    <div class="alert ${s.tableMismatches || s.columnMismatches ? 'alert-warning' : 'alert-success'}">
+      <strong>${s.tables} table(s), ${s.tableMismatches} mismatched · ${s.columns} column(s), ${s.columnMismatches} mismatched</strong>
+      <small class="d-block text-muted">Generated ${escapeHtml(comparison.generatedAt)}${comparison.prefix ? ` · prefix <code>${escapeHtml(comparison.prefix)}</code>` : ''}</small>
+    </div>
+    <h5 class="page-title">Tables × environments</h5>
+    <div class="table-responsive mb-4">
+      <table class="table table-sm table-bordered">
+        <thead><tr><th>Table</th>${headers}</tr></thead>
+        <tbody>${tables.map(t => `<tr class="${t.mismatch ? 'table-warning' : ''}"><td><strong>${escapeHtml(t.table)}</strong></td>${t.presence.map(cell).join('')}</tr>`).join('') || `<tr><td colspan="${comparison.environments.length + 1}" class="text-muted">No tables</td></tr>`}</tbody>
+      </table>
+    </div>
+    <h5 class="page-title">Columns × environments</h5>
+    <div class="table-responsive">
+      <table class="table table-sm table-bordered">
+        <thead><tr><th>Table</th><th>Column</th>${headers}</tr></thead>
+        <tbody>${columns.map(c => `<tr class="${c.mismatch ? 'table-warning' : ''}"><td>${escapeHtml(c.table)}</td><td><code>${escapeHtml(c.column)}</code></td>${c.types.map(cell).join('')}</tr>`).join('') || `<tr><td colspan="${comparison.environments.length + 2}" class="text-muted">No columns</td></tr>`}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Read environment URLs from a query/body value (array, or newline/comma separated string)
+ */
+function parseEnvironmentUrls(value) {
+  const urls = (Array.isArray(value) ? value : String(value || '').split(/[\r\n,]+/))
+    .map(u => String(u).trim())
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
+
+// Environment comparison page
+app.get('/compare-environments', async (req, res) => {
+  const urls = parseEnvironmentUrls(req.query.urls);
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  const mismatchesOnly = req.query.mismatchesOnly === 'true';
+  
+  let reportHtml = '';
+  if (urls.length === 1) {
+    reportHtml = '<div class="alert alert-info">Enter at least two environment URLs to compare.</div>';
+  } else if (urls.length > 1) {
+    try {
+      const comparison = await compareEnvironments(urls, apiUrl => acquireEnvironmentToken(req, apiUrl), prefix);
+      const query = `urls=${encodeURIComponent(urls.join('\n'))}&prefix=${encodeURIComponent(prefix)}`;
+      reportHtml = renderEnvironmentComparisonHtml(comparison, mismatchesOnly) +
+        `<p class="mt-3"><a href="/api/compare-environments?${query}&format=csv">Download CSV</a> · <a href="/api/compare-environments?${query}">Download JSON</a></p>`;
+    } catch (error) {
+      console.error('Environment comparison error:', error.message);
+      reportHtml = `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  const defaultUrls = urls.length ? urls.join('\n') : (process.env.dataverse_url || '');
+  res.send(renderAgencyPage({
+    title: 'Compare Environments',
+    styles: '.container-report { max-width: 1200px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Compare Environments</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/compare-environments" class="row g-2 align-items-end">
+          <div class="col-md-7">
+            <label for="urls" class="form-label">Dataverse Environment URLs <small class="text-muted">(one per line)</small></label>
+            <textarea class="form-control" id="urls" name="urls" rows="3" placeholder="https://dev.crm3.dynamics.com&#10;https://test.crm3.dynamics.com&#10;https://prod.crm3.dynamics.com" required>${escapeHtml(defaultUrls)}</textarea>
+          </div>
+          <div class="col-md-3">
+            <label for="prefix" class="form-label">Publisher Prefix</label>
+            <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(prefix)}">
+            <div class="form-check mt-2">
+              <input class="form-check-input" type="checkbox" id="mismatchesOnly" name="mismatchesOnly" value="true" ${mismatchesOnly ? 'checked' : ''}>
+              <label class="form-check-label" for="mismatchesOnly">Mismatches only</label>
+            </div>
+          </div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary">Compare</button></div>
+        </form>
+        <small class="text-muted">Each environment is read with your current sign-in; environments it cannot access are reported as errors.</small>
+      </div></div>
+      ${reportHtml}
+    </div>`
+  }));
+});
+
+// Environment comparison API endpoint
+// ?urls=<newline or comma separated>&prefix=...; ?format=csv downloads the matrices as CSV
+app.get('/api/compare-environments', async (req, res) => {
+  const urls = parseEnvironmentUrls(req.query.urls);
+  if (urls.length < 2) return res.status(400).json({ error: 'At least two environment URLs required' });
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  
+  try {
+    const comparison = await compareEnvironments(urls, apiUrl => acquireEnvironmentToken(req, apiUrl), prefix);
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="environment-comparison-${comparison.generatedAt.slice(0, 10)}.csv"`);
+      return res.type('text/csv').send(formatEnvironmentComparisonCsv(comparison));
+    }
+    res.json(comparison);
+  } catch (error) {
+    console.error('Environment comparison error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// DATA DICTIONARY EXPORT
+// =============================================================================
+// A readable list of tables and columns for business analysts, built from a
+// schema file or from live metadata, as Markdown or DOCX.
+
+/**
+ * Build a data dictionary from a schema file selection (see resolveSchemaFileSelection)
+ * @returns {Object} { title, source, sourceName, generatedAt, groups: [{ prefix, tables }] }
+ */
+function buildDataDictionaryFromSchemaFile(selection) {
+  const schema = loadSchemaFile(selection.path);
+  const prefix = normalizePublisherPrefix(selection.prefix);
+  
+  const tables = schema.tables.map(table => {
+    const { logicalName, entitySetName, primaryIdAttribute } = resolveSchemaTableNames(table, prefix);
+    const displayName = table.displayName || table.logicalName;
+    const columns = [];
+    if (!(table.attributes || []).some(attr => `${prefix}${attr.logicalName}` === primaryIdAttribute)) {
+      columns.push({ logicalName: primaryIdAttribute, displayName: `${displayName} ID`, description: `Unique identifier for ${displayName}`, type: 'Uniqueidentifier', requiredLevel: 'SystemRequired' });
+    }
+    if (table.primaryAttribute) {
+      columns.push({
+        logicalName: `${prefix}${table.primaryAttribute.schemaName.toLowerCase()}`,
+        displayName: table.primaryAttribute.displayName,
+        description: table.primaryAttribute.description,
+        type: 'String',
+        maxLength: table.primaryAttribute.maxLength || 200,
+        requiredLevel: 'ApplicationRequired'
+      });
+    }
+    (table.attributes || []).forEach(attr => columns.push({ ...attr, logicalName: `${prefix}${attr.logicalName}`, type: attr.type || 'String' }));
+    return { logicalName, entitySetName, displayName, displayNamePlural: table.displayNamePlural, description: table.description, columns };
+  });
+  
+  return {
+    title: 'Data Dictionary',
+    source: 'schema-file',
+    sourceName: selection.name,
+    generatedAt: new Date().toISOString(),
+    groups: [{ prefix: prefix.replace(/_$/, ''), tables }]
+  };
+}
+
+/**
+ * Build a data dictionary from the custom tables of an environment, grouped by the prefix of each table
+ * Lists custom columns plus the primary ID and primary name columns.
+ * 
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {string} publisherPrefix - Optional prefix filter; all custom tables when empty
+ */
+async function buildDataDictionaryFromEnvironment(apiUrl, token, publisherPrefix) {
+  const prefix = normalizePublisherPrefix(publisherPrefix).toLowerCase();
+  const response = await axios.get(`${apiUrl}EntityDefinitions?$select=LogicalName,SchemaName,EntitySetName,DisplayName,DisplayCollectionName,Description,IsCustomEntity`, {
+    headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' }
+  });
+  const entities = (response.data?.value || [])
+    .filter(e => e.IsCustomEntity && (!prefix || e.LogicalName.startsWith(prefix)))
+    .sort((a, b) => a.LogicalName.localeCompare(b.LogicalName));
+  const tableNames = entities.map(e => e.LogicalName);
+  
+  const groups = new Map();
+  for (const entity of entities) {
+    const attributes = await fetchTableAttributeDetails(apiUrl, token, entity.LogicalName, EXPORT_DETAIL_METADATA_TYPES) || {};
+    const columns = Object.values(attributes)
+      .filter(a => !a.AttributeOf && (a.IsCustomAttribute || a.IsPrimaryId || a.IsPrimaryName))
+      .sort((a, b) => (b.IsPrimaryId - a.IsPrimaryId) || (b.IsPrimaryName - a.IsPrimaryName) || a.LogicalName.localeCompare(b.LogicalName))
+      .map(a => attributeMetadataToSchemaAttribute(a, '', tableNames) || {
+        logicalName: a.LogicalName,
+        displayName: metadataLabelText(a.DisplayName),
+        description: metadataLabelText(a.Description),
+        type: a.AttributeType
+      });
+    
+    const group = entity.LogicalName.includes('_') ? entity.LogicalName.split('_')[0] : '';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push({
+      logicalName: entity.LogicalName,
+      entitySetName: entity.EntitySetName,
+      displayName: metadataLabelText(entity.DisplayName) || entity.LogicalName,
+      displayNamePlural: metadataLabelText(entity.DisplayCollectionName),
+      description: metadataLabelText(entity.Description),
+      columns
+    });
+  }
+  
+  return {
+    title: 'Data Dictionary',
+    source: 'environment',
+    sourceName: apiUrl,
+    generatedAt: new Date().toISOString(),
+    groups: [...groups].map(([groupPrefix, tables]) => ({ prefix: groupPrefix, tables }))
+  };
+}
+
+/**
+ * Describe a dictionary column's type, size/range and required level as text
+ */
+function describeDictionaryColumn(column) {
+  let type = column.type || 'String';
+  if (column.format) type += ` (${column.format})`;
+  if (column.target) type += ` → ${column.target}`;
+  
+  const size = [];
+  if (column.maxLength !== undefined) size.push(`max ${column.maxLength}`);
+  if (column.minValue !== undefined || column.maxValue !== undefined) size.push(`${column.minValue ?? '…'} to ${column.maxValue ?? '…'}`);
+  if (column.precision !== undefined) size.push(`${column.precision} digits`);
+  if (column.scale !== undefined) size.push(`${column.scale} decimal places`);
+  
+  const required = ['ApplicationRequired', 'SystemRequired'].includes(column.requiredLevel) ? 'Yes'
+    : column.requiredLevel === 'Recommended' ? 'Recommended' : 'No';
+  return { type, size: size.join(', '), required };
+}
+
+/**
+ * Format a data dictionary as Markdown
+ */
+function formatDataDictionaryMarkdown(dictionary) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const anchor = name => name.toLowerCase().replace(/[^a-z0-9_-]/g, '');
+  const lines = [
+    `# ${dictionary.title}`,
+    '',
+    `Source: ${dictionary.source === 'schema-file' ? 'schema file' : 'environment'} \`${dictionary.sourceName}\` — generated ${dictionary.generatedAt}`,
+    '',
+    '## Contents',
+    ''
+  ];
+  dictionary.groups.forEach(group => {
+    lines.push(`* Prefix \`${group.prefix || '(none)'}\` (${group.tables.length} tables)`);
+    group.tables.forEach(t => lines.push(`  * [${cell(t.displayName)}](#${anchor(t.logicalName)})`));
+  });
+  
+  dictionary.groups.forEach(group => {
+    lines.push('', `## Prefix \`${group.prefix || '(none)'}\``);
+    group.tables.forEach(t => {
+      lines.push('', `<a id="${anchor(t.logicalName)}"></a>`, '', `### ${t.displayName} (\`${t.logicalName}\`)`, '');
+      if (t.description) lines.push(t.description, '');
+      lines.push(`* Plural name: ${t.displayNamePlural || '—'}`, `* Entity set: \`${t.entitySetName || '—'}\``, `* Columns: ${t.columns.length}`, '');
+      lines.push('| Column | Display name | Type | Required | Length / range | Description |', '|--------|--------------|------|----------|----------------|-------------|');
+      t.columns.forEach(c => {
+        const d = describeDictionaryColumn(c);
+        lines.push(`| \`${c.logicalName}\` | ${cell(c.displayName)} | ${cell(d.type)} | ${d.required} | ${cell(d.size)} | ${cell(c.description)} |`);
+      });
+      t.columns.filter(c => c.options?.length).forEach(c => {
+        lines.push('', `**${cell(c.displayName || c.logicalName)}** (\`${c.logicalName}\`) choices:`, '');
+        c.options.forEach(o => lines.push(`* \`${o.value}\` ${o.label}`));
+      });
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a data dictionary as a DOCX document
+ * @returns {Promise<Buffer>}
+ */
+function formatDataDictionaryDocx(dictionary) {
+  const { Document, Packer, Paragraph, Table, TableRow, TableCell, TextRun, HeadingLevel, WidthType, ShadingType } = docx;
+  const textCell = text => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ''), size: 18 })] })]
+  });
+  const headerCell = text => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text, bold: true, size: 18, color: 'FFFFFF' })] })],
+    shading: { type: ShadingType.CLEAR, color: 'auto', fill: AGENCY_BRANDING.headerBgColor.replace('#', '') }
+  });
+  
+  const children = [
+    new Paragraph({ text: dictionary.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({ text: `Source: ${dictionary.source === 'schema-file' ? 'schema file' : 'environment'} ${dictionary.sourceName} — generated ${dictionary.generatedAt}` })
+  ];
+  
+  dictionary.groups.forEach(group => {
+    children.push(new Paragraph({ text: `Prefix ${group.prefix || '(none)'}`, heading: HeadingLevel.HEADING_1 }));
+    group.tables.forEach(t => {
+      children.push(new Paragraph({ text: `${t.displayName} (${t.logicalName})`, heading: HeadingLevel.HEADING_2 }));
+      if (t.description) children.push(new Paragraph({ text: t.description }));
+      children.push(new Paragraph({ text: `Plural name: ${t.displayNamePlural || '—'} · Entity set: ${t.entitySetName || '—'} · Columns: ${t.columns.length}` }));
+      children.push(new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+          new TableRow({ tableHeader: true, children: ['Column', 'Display name', 'Type', 'Required', 'Length / range', 'Description'].map(headerCell) }),
+          ...t.columns.map(c => {
+            const d = describeDictionaryColumn(c);
+            return new TableRow({ children: [c.logicalName, c.displayName, d.type, d.required, d.size, c.description].map(textCell) });
+          })
+        ]
+      }));
+      t.columns.filter(c => c.options?.length).forEach(c => {
+        children.push(new Paragraph({ children: [new TextRun({ text: `${c.displayName || c.logicalName} (${c.logicalName}) choices`, bold: true })] }));
+        c.options.forEach(o => children.push(new Paragraph({ text: `${o.value} — ${o.label}`, bullet: { level: 0 } })));
+      });
+    });
+  });
+  
+  const document = new Document({
+    creator: AGENCY_BRANDING.name,
+    title: dictionary.title,
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(document);
+}
+
+/**
+ * Build the dictionary requested by query parameters: ?schemaFile=<name> or ?url=<environment>&prefix=
+ */
+async function resolveDataDictionary(req) {
+  if (req.query.schemaFile) {
+    const selection = resolveSchemaFileSelection(req.query.schemaFile);
+    if (!selection) throw new Error(`Schema file "${req.query.schemaFile}" not found`);
+    return buildDataDictionaryFromSchemaFile(selection);
+  }
+  const envUrl = req.query.url || process.env.dataverse_url;
+  if (!envUrl) throw new Error('Dataverse URL or schema file required');
+  const apiUrl = normalizeDataverseUrl(envUrl);
+  if (!isTrustedEnvironment(req, apiUrl)) {
+    throw Object.assign(new Error(`Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS`), { status: 403 });
+  }
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  return buildDataDictionaryFromEnvironment(apiUrl, req.session.token, prefix);
+}
+
+// Data dictionary page
+app.get('/data-dictionary', async (req, res) => {
+  const envUrl = req.query.url || process.env.dataverse_url || '';
+  const prefix = req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX;
+  const schemaFile = req.query.schemaFile || '';
+  const schemaFiles = [
+    ...(SCHEMA_FILE_PATH ? [{ name: DEFAULT_SCHEMA_FILE, label: `${path.basename(SCHEMA_FILE_PATH)} (default)` }] : []),
+    ...readSchemaLibrary().map(f => ({ name: f.name, label: f.name }))
+  ];
+  
+  let content = '';
+  if (req.query.preview === 'true') {
+    try {
+      const dictionary = await resolveDataDictionary(req);
+      const query = new URLSearchParams(schemaFile ? { schemaFile } : { url: envUrl, prefix }).toString();
+      content = `
+        <p>
+          <a class="btn btn-agency-primary btn-sm" href="/api/data-dictionary?${escapeHtml(query)}&format=markdown">⬇️ Markdown</a>
+          <a class="btn btn-agency-primary btn-sm" href="/api/data-dictionary?${escapeHtml(query)}&format=docx">⬇️ Word (DOCX)</a>
+        </p>
+        <pre class="bg-light p-3 border" style="white-space: pre-wrap;">${escapeHtml(formatDataDictionaryMarkdown(dictionary))}</pre>`;
+    } catch (error) {
+      console.error('Data dictionary error:', error.message);
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        req.session.token = null;
+        return res.redirect('/auth/login');
+      }
+      if (error.status) res.status(error.status);
+      content = error.validationErrors
+        ? renderSchemaFileErrorsHtml(error.validationErrors)
+        : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  res.send(renderAgencyPage({
+    title: 'Data Dictionary',
+    styles: '.container-report { max-width: 1100px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Data Dictionary</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/data-dictionary" class="row g-2 align-items-end">
+          <input type="hidden" name="preview" value="true">
+          <div class="col-md-3">
+            <label for="schemaFile" class="form-label">Source</label>
+            <select class="form-select" id="schemaFile" name="schemaFile" onchange="document.getElementById('liveOptions').style.display = this.value ? 'none' : '';">
+              <option value="">Live metadata</option>
+              ${schemaFiles.map(f => `<option value="${escapeHtml(f.name)}" ${f.name === schemaFile ? 'selected' : ''}>Schema file: ${escapeHtml(f.label)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-7 row g-2" id="liveOptions" ${schemaFile ? 'style="display: none;"' : ''}>
+            <div class="col-md-8">
+              <label for="url" class="form-label">Dataverse Environment URL</label>
+              <input type="text" class="form-control" id="url" name="url" value="${escapeHtml(envUrl)}">
+            </div>
+            <div class="col-md-4">
+              <label for="prefix" class="form-label">Publisher Prefix</label>
+              <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(prefix)}" placeholder="All custom tables">
+            </div>
+          </div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary">Preview</button></div>
+        </form>
+      </div></div>
+      ${content}
+    </div>`
+  }));
+});
+
+// Data dictionary download: ?schemaFile=<name> or ?url=&prefix=; ?format=markdown (default), docx or json
+app.get('/api/data-dictionary', async (req, res) => {
+  if (req.query.schemaFile && !resolveSchemaFileSelection(req.query.schemaFile)) {
+    return res.status(404).json({ error: `Schema file "${req.query.schemaFile}" not found` });
+  }
+  if (!req.query.schemaFile && !req.query.url && !process.env.dataverse_url) {
+    return res.status(400).json({ error: 'Dataverse URL or schema file required' });
+  }
+  
+  try {
+    const dictionary = await resolveDataDictionary(req);
+    const fileName = `data-dictionary-${dictionary.generatedAt.slice(0, 10)}`;
+    if (req.query.format === 'json') return res.json(dictionary);
+    if (req.query.format === 'docx') {
+      const buffer = await formatDataDictionaryDocx(dictionary);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.docx"`);
+      return res.type('application/vnd.openxmlformats-officedocument.wordprocessingml.document').send(buffer);
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.md"`);
+    res.type('text/markdown').send(formatDataDictionaryMarkdown(dictionary));
+  } catch (error) {
+    console.error('Data dictionary error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// ENTITY RELATIONSHIP DIAGRAM
+// =============================================================================
+// Relationship metadata (1:N / N:1 and N:N) for the tables selected by the prefix
+// filter or the schema file, rendered with Mermaid and exported as Mermaid or PlantUML.
+
+/**
+ * Build the ERD model for a set of tables
+ * @param {string} apiUrl - The Dataverse API base URL
+ * @param {string} token - Bearer token
+ * @param {Object} options
+ * @param {string} [options.prefix] - Publisher prefix filter (live tables)
+ * @param {Object} [options.schemaFile] - Schema file selection; its tables are used instead of the prefix filter
+ * @param {boolean} [options.includeExternal] - Also show tables outside the selection that relate to it
+ * @returns {Promise<Object>} { tables: [{ logicalName, displayName, primaryIdAttribute, foreignKeys, external }], relationships: [{ schemaName, type, from, to, attribute, intersect, source }] }
+ */
+async function buildErdModel(apiUrl, token, { prefix = '', schemaFile = null, includeExternal = false } = {}) {
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const [entitiesResponse, oneToManyResponse, manyToManyResponse] = await Promise.all([
+    axios.get(`${apiUrl}EntityDefinitions?$select=LogicalName,SchemaName,DisplayName,PrimaryIdAttribute`, { headers }),
+    axios.get(`${apiUrl}RelationshipDefinitions/Microsoft.Dynamics.CRM.OneToManyRelationshipMetadata?$select=SchemaName,ReferencedEntity,ReferencedAttribute,ReferencingEntity,ReferencingAttribute`, { headers }),
+    axios.get(`${apiUrl}RelationshipDefinitions/Microsoft.Dynamics.CRM.ManyToManyRelationshipMetadata?$select=SchemaName,Entity1LogicalName,Entity2LogicalName,IntersectEntityName`, { headers })
+  ]);
+  const liveEntities = {};
+  (entitiesResponse.data?.value || []).forEach(e => { liveEntities[e.LogicalName] = e; });
+  
+  const tables = new Map();
+  const addTable = (logicalName, details = {}) => {
+    if (tables.has(logicalName)) return;
+    const live = liveEntities[logicalName];
+    tables.set(logicalName, {
+      logicalName,
+      displayName: details.displayName || metadataLabelText(live?.DisplayName) || logicalName,
+      primaryIdAttribute: live?.PrimaryIdAttribute || details.primaryIdAttribute || `${logicalName}id`,
+      foreignKeys: [],
+      external: Boolean(details.external)
+    });
+  };
+  
+  const relationships = [];
+  if (schemaFile) {
+    const schema = loadSchemaFile(schemaFile.path);
+    const filePrefix = normalizePublisherPrefix(schemaFile.prefix);
+    const fileTables = schema.tables.map(t => t.logicalName);
+    schema.tables.forEach(table => {
+      const names = resolveSchemaTableNames(table, filePrefix);
+      addTable(names.logicalName, { displayName: table.displayName, primaryIdAttribute: names.primaryIdAttribute });
+      // Lookups declared in the file, so tables that are not deployed yet still show their relationships
+      (table.attributes || []).filter(a => a.type === 'Lookup' && a.target).forEach(attr => {
+        relationships.push({
+          schemaName: `${names.logicalName}_${attr.logicalName}`,
+          type: 'OneToMany',
+          from: fileTables.includes(attr.target) ? `${filePrefix}${attr.target}` : attr.target,
+          to: names.logicalName,
+          attribute: `${filePrefix}${attr.logicalName}`,
+          source: 'schema-file'
+        });
+      });
+    });
+  } else {
+    Object.values(liveEntities)
+      .filter(e => !prefix || e.SchemaName?.toLowerCase().startsWith(prefix.toLowerCase()))
+      .forEach(e => addTable(e.LogicalName));
+  }
+  
+  const selected = new Set(tables.keys());
+  const relates = (a, b) => (selected.has(a) && selected.has(b)) || (includeExternal && (selected.has(a) || selected.has(b)));
+  
+  (oneToManyResponse.data?.value || []).forEach(r => {
+    if (!relates(r.ReferencedEntity, r.ReferencingEntity)) return;
+    const declared = relationships.findIndex(d => d.source === 'schema-file' && d.to === r.ReferencingEntity && d.attribute === r.ReferencingAttribute);
+    if (declared !== -1) relationships.splice(declared, 1);
+    relationships.push({ schemaName: r.SchemaName, type: 'OneToMany', from: r.ReferencedEntity, to: r.ReferencingEntity, attribute: r.ReferencingAttribute, source: 'environment' });
+  });
+  (manyToManyResponse.data?.value || []).forEach(r => {
+    if (!relates(r.Entity1LogicalName, r.Entity2LogicalName)) return;
+    relationships.push({ schemaName: r.SchemaName, type: 'ManyToMany', from: r.Entity1LogicalName, to: r.Entity2LogicalName, intersect: r.IntersectEntityName, source: 'environment' });
+  });
+  
+  // Declared lookups are kept only when both tables are in the diagram (or external tables are shown)
+  const model = { tables: [], relationships: relationships.filter(r => r.source !== 'schema-file' || relates(r.from, r.to)) };
+  model.relationships.forEach(r => {
+    [r.from, r.to].forEach(name => addTable(name, { external: true }));
+    if (r.attribute && !tables.get(r.to).foreignKeys.includes(r.attribute)) tables.get(r.to).foreignKeys.push(r.attribute);
+  });
+  model.tables = [...tables.values()].sort((a, b) => a.logicalName.localeCompare(b.logicalName));
+  model.relationships.sort((a, b) => a.schemaName.localeCompare(b.schemaName));
+  return model;
+}
+
+// The three functions below are self-contained so the ERD page can run the same code in the browser
+
+/**
+ * Keep only the given tables (and the relationships between them)
+ */
+function filterErdModel(model, tableNames, relationshipTypes) {
+  const keep = new Set(tableNames);
+  return {
+    tables: model.tables.filter(t => keep.has(t.logicalName)),
+    relationships: model.relationships.filter(r => keep.has(r.from) && keep.has(r.to) && (!relationshipTypes || relationshipTypes.includes(r.type)))
+  };
+}
+
+/**
+ * Mermaid erDiagram source for an ERD model
+ */
+function formatErdMermaid(model) {
+  const id = name => String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+  const lines = ['erDiagram'];
+  model.tables.forEach(t => {
+    lines.push(`  ${id(t.logicalName)} {`, `    uniqueidentifier ${id(t.primaryIdAttribute)} PK`);
+    t.foreignKeys.forEach(fk => lines.push(`    lookup ${id(fk)} FK`));
+    lines.push('  }');
+  });
+  model.relationships.forEach(r => {
+    const cardinality = r.type === 'ManyToMany' ? '}o--o{' : '||--o{';
+    lines.push(`  ${id(r.from)} ${cardinality} ${id(r.to)} : "${r.attribute || r.schemaName}"`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * PlantUML (IE notation) source for an ERD model
+ */
+function formatErdPlantUml(model) {
+  const id = name => String(name).replace(/[^A-Za-z0-9_]/g, '_');
+  const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+  model.tables.forEach(t => {
+    lines.push(`entity "${String(t.displayName).replace(/"/g, "'")}" as ${id(t.logicalName)} {`, `  * ${t.primaryIdAttribute} : uniqueidentifier <<PK>>`);
+    if (t.foreignKeys.length) lines.push('  --');
+    t.foreignKeys.forEach(fk => lines.push(`  ${fk} : lookup <<FK>>`));
+    lines.push('}', '');
+  });
+  model.relationships.forEach(r => {
+    const cardinality = r.type === 'ManyToMany' ? '}o--o{' : '||--o{';
+    lines.push(`${id(r.from)} ${cardinality} ${id(r.to)} : ${r.attribute || r.schemaName}`);
+  });
+  lines.push('@enduml');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read ERD options from the query string
+ * @returns {{ envUrl, prefix, schemaFile, includeExternal }} schemaFile is a resolved selection or null
+ */
+function readErdOptions(req) {
+  return {
+    envUrl: req.query.url || process.env.dataverse_url || '',
+    prefix: req.query.prefix !== undefined ? req.query.prefix : PUBLISHER_PREFIX,
+    schemaFile: req.query.schemaFile ? resolveSchemaFileSelection(req.query.schemaFile) : null,
+    includeExternal: req.query.includeExternal === 'true'
+  };
+}
+
+// ERD page
+app.get('/erd', async (req, res) => {
+  const options = readErdOptions(req);
+  const schemaFiles = [
+    ...(SCHEMA_FILE_PATH ? [{ name: DEFAULT_SCHEMA_FILE, label: `${path.basename(SCHEMA_FILE_PATH)} (default)` }] : []),
+    ...readSchemaLibrary().map(f => ({ name: f.name, label: f.name }))
+  ];
+  
+  let content = '';
+  let scripts = '';
+  if (req.query.url && !isTrustedEnvironment(req, normalizeDataverseUrl(options.envUrl))) {
+    res.status(403);
+    content = `<div class="alert alert-danger">Your token is not sent to <code>${escapeHtml(options.envUrl)}</code>; add its host to <code>DATAVERSE_ALLOWED_HOSTS</code>.</div>`;
+  } else if (req.query.url) {
+    try {
+      if (req.query.schemaFile && !options.schemaFile) throw new Error(`Schema file "${req.query.schemaFile}" not found`);
+      const model = await buildErdModel(normalizeDataverseUrl(options.envUrl), req.session.token, options);
+      const query = new URLSearchParams({ url: options.envUrl, prefix: options.prefix, schemaFile: req.query.schemaFile || '', includeExternal: String(options.includeExternal) }).toString();
+      content = `
+        <div class="row">
+          <div class="col-md-3">
+            <div class="card mb-3"><div class="card-body">
+              <h6>Tables (${model.tables.length})</h6>
+              <input type="search" class="form-control form-control-sm mb-2" placeholder="Filter…" oninput="filterTableList(this.value)">
+              <div class="mb-2"><a href="#" onclick="selectAll(true); return false;">All</a> · <a href="#" onclick="selectAll(false); return false;">None</a></div>
+              <div id="tableList" style="max-height: 420px; overflow-y: auto;">
+                ${model.tables.map(t => `<div class="form-check" data-name="${escapeHtml(t.logicalName.toLowerCase())} ${escapeHtml(String(t.displayName).toLowerCase())}">
+                  <input class="form-check-input erd-table" type="checkbox" value="${escapeHtml(t.logicalName)}" id="t_${escapeHtml(t.logicalName)}" checked onchange="renderErd()">
+                  <label class="form-check-label small ${t.external ? 'text-muted' : ''}" for="t_${escapeHtml(t.logicalName)}">${escapeHtml(t.displayName)} <code>${escapeHtml(t.logicalName)}</code></label>
+                </div>`).join('')}
+              </div>
+              <hr>
+              <div class="form-check"><input class="form-check-input erd-type" type="checkbox" value="OneToMany" id="r1n" checked onchange="renderErd()"><label class="form-check-label small" for="r1n">1:N / N:1</label></div>
+              <div class="form-check"><input class="form-check-input erd-type" type="checkbox" value="ManyToMany" id="rnn" checked onchange="renderErd()"><label class="form-check-label small" for="rnn">N:N</label></div>
+            </div></div>
+          </div>
+          <div class="col-md-9">
+            <div class="mb-2">
+              <button class="btn btn-sm btn-outline-secondary" onclick="zoom(0.2)">＋</button>
+              <button class="btn btn-sm btn-outline-secondary" onclick="zoom(-0.2)">－</button>
+              <button class="btn btn-sm btn-agency-primary" onclick="download('mermaid')">⬇️ Mermaid</button>
+              <button class="btn btn-sm btn-agency-primary" onclick="download('plantuml')">⬇️ PlantUML</button>
+              <button class="btn btn-sm btn-outline-secondary" onclick="copySource()">📋 Copy Mermaid</button>
+              <small class="text-muted ms-2">${model.relationships.length} relationship(s) · <a href="/api/erd?${escapeHtml(query)}">JSON</a></small>
+            </div>
+            <div class="card"><div class="card-body" style="overflow: auto; max-height: 75vh;"><div id="erd" style="transform-origin: 0 0;"></div></div></div>
+          </div>
+        </div>`;
+      scripts = `
+  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+  <script>
+    const model = ${JSON.stringify(model).replace(/</g, '\\u003c')};
+    ${filterErdModel.toString()}
+    ${formatErdMermaid.toString()}
+    ${formatErdPlantUml.toString()}
+    let scale = 1;
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', er: { useMaxWidth: false } });
+    function currentModel() {
+      const tables = [...document.querySelectorAll('.erd-table:checked')].map(c => c.value);
+      const types = [...document.querySelectorAll('.erd-type:checked')].map(c => c.value);
+      return filterErdModel(model, tables, types);
+    }
+    async function renderErd() {
+      const selection = currentModel();
+      const target = document.getElementById('erd');
+      if (!selection.tables.length) { target.innerHTML = '<p class="text-muted">No tables selected.</p>'; return; }
+      const { svg } = await mermaid.render('erdSvg' + Date.now(), formatErdMermaid(selection));
+      target.innerHTML = svg;
+    }
+    function zoom(delta) {
+      scale = Math.min(3, Math.max(0.2, scale + delta));
+      document.getElementById('erd').style.transform = 'scale(' + scale + ')';
+    }
+    function selectAll(checked) {
+      document.querySelectorAll('#tableList .form-check').forEach(row => {
+        if (row.style.display !== 'none') row.querySelector('input').checked = checked;
+      });
+      renderErd();
+    }
+    function filterTableList(text) {
+      document.querySelectorAll('#tableList .form-check').forEach(row => {
+        row.style.display = row.dataset.name.includes(text.toLowerCase()) ? '' : 'none';
+      });
+    }
+    function download(format) {
+      const source = format === 'plantuml' ? formatErdPlantUml(currentModel()) : formatErdMermaid(currentModel());
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([source], { type: 'text/plain' }));
+      link.download = format === 'plantuml' ? 'erd.puml' : 'erd.mmd';
+      link.click();
+    }
+    async function copySource() {
+      await navigator.clipboard.writeText(formatErdMermaid(currentModel()));
+    }
+    renderErd();
+  </script>`;
+    } catch (error) {
+      console.error('ERD error:', error.message);
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        req.session.token = null;
+        return res.redirect('/auth/login');
+      }
+      content = error.validationErrors
+        ? renderSchemaFileErrorsHtml(error.validationErrors)
+        : `<div class="alert alert-danger"><strong>Error:</strong> ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  res.send(renderAgencyPage({
+    title: 'Entity Relationships',
+    styles: '.container-report { max-width: 1400px; margin: 0 auto; }',
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Entity Relationship Diagram</h1>
+      <div class="card mb-4"><div class="card-body">
+        <form method="GET" action="/erd" class="row g-2 align-items-end">
+          <div class="col-md-4">
+            <label for="url" class="form-label">Dataverse Environment URL</label>
+            <input type="text" class="form-control" id="url" name="url" value="${escapeHtml(options.envUrl)}" required>
+          </div>
+          <div class="col-md-3">
+            <label for="schemaFile" class="form-label">Tables</label>
+            <select class="form-select" id="schemaFile" name="schemaFile" onchange="document.getElementById('prefixOption').style.display = this.value ? 'none' : '';">
+              <option value="">Prefix filter</option>
+              ${schemaFiles.map(f => `<option value="${escapeHtml(f.name)}" ${f.name === req.query.schemaFile ? 'selected' : ''}>Schema file: ${escapeHtml(f.label)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-2" id="prefixOption" ${req.query.schemaFile ? 'style="display: none;"' : ''}>
+            <label for="prefix" class="form-label">Publisher Prefix</label>
+            <input type="text" class="form-control" id="prefix" name="prefix" value="${escapeHtml(options.prefix)}">
+          </div>
+          <div class="col-md-2">
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" id="includeExternal" name="includeExternal" value="true" ${options.includeExternal ? 'checked' : ''}>
+              <label class="form-check-label small" for="includeExternal">Include related tables outside the selection</label>
+            </div>
+          </div>
+          <div class="col-md-1"><button type="submit" class="w-100 btn btn-agency-primary">Show</button></div>
+        </form>
+      </div></div>
+      ${content}
+    </div>`,
+    scripts
+  }));
+});
+
+// ERD API endpoint: ?url=&prefix= or ?schemaFile=; &tables=a,b to limit; ?format=json (default), mermaid or plantuml
+app.get('/api/erd', async (req, res) => {
+  const options = readErdOptions(req);
+  if (!options.envUrl) return res.status(400).json({ error: 'Dataverse URL required' });
+  if (req.query.schemaFile && !options.schemaFile) return res.status(404).json({ error: `Schema file "${req.query.schemaFile}" not found` });
+  const apiUrl = normalizeDataverseUrl(options.envUrl);
+  if (!isTrustedEnvironment(req, apiUrl)) return res.status(403).json({ error: `Your token is not sent to ${apiUrl}; add its host to DATAVERSE_ALLOWED_HOSTS` });
+  
+  try {
+    let model = await buildErdModel(apiUrl, req.session.token, options);
+    if (req.query.tables) model = filterErdModel(model, String(req.query.tables).split(','));
+    if (req.query.format === 'mermaid') return res.type('text/plain').send(formatErdMermaid(model));
+    if (req.query.format === 'plantuml') return res.type('text/plain').send(formatErdPlantUml(model));
+    res.json(model);
+  } catch (error) {
+    console.error('ERD error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    if (error.validationErrors) {
+      return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// DATA BROWSER
+// =============================================================================
+// Visual OData query builder over the entity sets of a generated spec. Queries run
+// through the server with the session token, so no token is exposed to the page.
+
+const DATA_BROWSER_PAGE_SIZES = [10, 25, 50, 100, 250];
+
+/**
+ * Classify a property schema for the query builder (drives the filter operators and value input)
+ */
+function browserPropertyKind(schema) {
+  if (schema['x-enum-labels'] || schema.enum) return schema.type === 'string' ? 'multichoice' : 'choice';
+  if (schema.type === 'boolean') return 'boolean';
+  if (schema.type === 'integer' || schema.type === 'number') return 'number';
+  if (schema.format === 'date-time') return 'datetime';
+  if (schema.format === 'date') return 'date';
+  if (schema.format === 'uuid') return 'guid';
+  return 'string';
+}
+
+/**
+ * Describe the entity sets of a spec for the data browser
+ * @returns {Array<{ name, entitySet, properties: Array<{ name, kind, options }>, navigation: string[] }>}
+ */
+function describeBrowsableEntitySets(spec) {
+  const schemas = spec.components?.schemas || {};
+  const schemaRef = schema => schema?.$ref || (schema?.allOf?.length === 1 ? schema.allOf[0].$ref : null);
+  const isEntityReference = schema => {
+    const ref = schemaRef(schema);
+    return Boolean(schema?.oneOf) || Boolean(ref && schemas[ref.split('/').pop()]?.properties);
+  };
+  // listSpecEntitySets reports SDK-safe type names; map them back to the component schemas
+  const readSchemas = Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [sdkTypeName(name), schema]));
+  
+  return listSpecEntitySets(spec).map(e => {
+    const properties = [];
+    const navigation = [];
+    Object.entries(readSchemas[e.read]?.properties || {}).forEach(([name, schema]) => {
+      if (name.includes('@')) return;
+      if (isEntityReference(schema) || (schema.type === 'array' && isEntityReference(schema.items))) {
+        navigation.push(name);
+        return;
+      }
+      const ref = schemaRef(schema);
+      const resolved = ref ? schemas[ref.split('/').pop()] || schema : schema;
+      properties.push({
+        name,
+        kind: browserPropertyKind(resolved),
+        options: resolved['x-enum-labels'] || (resolved.enum || []).map(value => ({ value, label: String(value) }))
+      });
+    });
+    return {
+      name: e.name,
+      entitySet: e.entitySet,
+      properties: properties.sort((a, b) => a.name.localeCompare(b.name)),
+      navigation: navigation.sort()
+    };
+  });
+}
+
+// Data browser page
+app.get('/data-browser', (req, res) => {
+  const entry = getRequestedSpec(req);
+  if (!entry) {
+    return res.send(renderAgencyPage({
+      title: 'Data Browser',
+      body: '<div class="container-report"><h1 class="h3 mb-3 page-title">Data Browser</h1><div class="alert alert-info">Generate API documentation first; the data browser lists the entity sets of the current spec.</div></div>'
+    }));
+  }
+  
+  const entitySets = describeBrowsableEntitySets(entry.spec);
+  res.send(renderAgencyPage({
+    title: 'Data Browser',
+    styles: `.container-report { max-width: 1400px; margin: 0 auto; }
+      .filter-row { display: flex; gap: 0.5rem; margin-bottom: 0.5rem; }
+      .filter-row select, .filter-row input { font-size: 0.85rem; }
+      #results td { max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: 0.85rem; }
+      #results th { font-size: 0.8rem; white-space: nowrap; }`,
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Data Browser</h1>
+      <p class="text-muted">Environment: <code>${escapeHtml(entry.environment)}</code> — ${entitySets.length} entity sets${entry.version ? ` — spec v${entry.version}` : ''}</p>
+      <div class="row">
+        <div class="col-lg-4">
+          <div class="card mb-3"><div class="card-body">
+            <label for="entitySet" class="form-label"><strong>Entity set</strong></label>
+            <select class="form-select mb-3" id="entitySet" onchange="selectEntitySet()">
+              ${entitySets.map(e => `<option value="${escapeHtml(e.entitySet)}" ${e.entitySet === req.query.entitySet ? 'selected' : ''}>${escapeHtml(e.name)} (${escapeHtml(e.entitySet)})</option>`).join('')}
+            </select>
+            <label for="select" class="form-label"><strong>$select</strong> <small class="text-muted">(none = all columns)</small></label>
+            <select class="form-select form-select-sm mb-3" id="select" multiple size="8" onchange="updatePreview()"></select>
+            <label class="form-label"><strong>$filter</strong></label>
+            <div class="mb-1">
+              <select class="form-select form-select-sm d-inline-block w-auto" id="filterJoin" onchange="updatePreview()">
+                <option value="and">Match all</option>
+                <option value="or">Match any</option>
+              </select>
+              <button type="button" class="btn btn-sm btn-outline-secondary" onclick="addFilter()">+ Condition</button>
+            </div>
+            <div id="filters" class="mb-3"></div>
+            <label class="form-label"><strong>$orderby</strong></label>
+            <div class="filter-row mb-3">
+              <select class="form-select form-select-sm" id="orderby" onchange="updatePreview()"></select>
+              <select class="form-select form-select-sm w-auto" id="orderDir" onchange="updatePreview()"><option value="asc">asc</option><option value="desc">desc</option></select>
+            </div>
+            <label for="expand" class="form-label"><strong>$expand</strong></label>
+            <select class="form-select form-select-sm mb-3" id="expand" multiple size="4" onchange="updatePreview()"></select>
+            <div class="row g-2 mb-3">
+              <div class="col"><label for="top" class="form-label"><strong>$top</strong></label><input type="number" min="1" class="form-control form-control-sm" id="top" oninput="updatePreview()"></div>
+              <div class="col"><label for="pageSize" class="form-label"><strong>Page size</strong></label>
+                <select class="form-select form-select-sm" id="pageSize">${DATA_BROWSER_PAGE_SIZES.map(size => `<option value="${size}" ${size === 50 ? 'selected' : ''}>${size}</option>`).join('')}</select></div>
+            </div>
+            <div class="form-check mb-3"><input class="form-check-input" type="checkbox" id="count" onchange="updatePreview()"><label class="form-check-label" for="count">$count</label></div>
+            <button class="w-100 btn btn-agency-primary" onclick="runQuery()">Run Query</button>
+          </div></div>
+        </div>
+        <div class="col-lg-8">
+          <div class="card mb-3"><div class="card-body py-2"><code id="queryPreview" style="word-break: break-all;"></code></div></div>
+          <div id="status" class="mb-2 text-muted small"></div>
+          <div class="table-responsive"><table class="table table-sm table-striped table-bordered bg-white" id="results"></table></div>
+          <div class="d-flex gap-2">
+            <button class="btn btn-sm btn-outline-secondary" id="prevPage" onclick="goToPage(pageIndex - 1)" disabled>‹ Previous</button>
+            <button class="btn btn-sm btn-outline-secondary" id="nextPage" onclick="goToPage(pageIndex + 1)" disabled>Next ›</button>
+          </div>
+        </div>
+      </div>
+    </div>`,
+    scripts: `<script>
+    const specId = ${JSON.stringify(entry.id)};
+    const entitySets = ${JSON.stringify(entitySets).replace(/</g, '\\u003c')};
+    const OPERATORS = {
+      string: [['eq', 'equals'], ['ne', 'not equal'], ['contains', 'contains'], ['startswith', 'starts with'], ['endswith', 'ends with'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      number: [['eq', '='], ['ne', '≠'], ['gt', '>'], ['ge', '≥'], ['lt', '<'], ['le', '≤'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      datetime: [['gt', 'after'], ['ge', 'on or after'], ['lt', 'before'], ['le', 'on or before'], ['eq', 'equals'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      date: [['gt', 'after'], ['ge', 'on or after'], ['lt', 'before'], ['le', 'on or before'], ['eq', 'equals'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      choice: [['eq', 'is'], ['ne', 'is not'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      multichoice: [['containvalues', 'contains'], ['null', 'is empty'], ['notnull', 'is not empty']],
+      boolean: [['eq', 'is']],
+      guid: [['eq', 'equals'], ['ne', 'not equal'], ['null', 'is empty'], ['notnull', 'is not empty']]
+    };
+    let current = null;
+    let pages = [];
+    let pageIndex = -1;
+    
+    function esc(value) { const d = document.createElement('div'); d.textContent = value == null ? '' : String(value); return d.innerHTML; }
+    function property(name) { return current.properties.find(p => p.name === name); }
+    
+    function selectEntitySet() {
+      current = entitySets.find(e => e.entitySet === document.getElementById('entitySet').value);
+      const options = current.properties.map(p => '<option value="' + esc(p.name) + '">' + esc(p.name) + '</option>').join('');
+      document.getElementById('select').innerHTML = options;
+      document.getElementById('orderby').innerHTML = '<option value="">(none)</option>' + options;
+      document.getElementById('expand').innerHTML = current.navigation.map(n => '<option value="' + esc(n) + '">' + esc(n) + '</option>').join('');
+      document.getElementById('filters').innerHTML = '';
+      updatePreview();
+    }
+    
+    function addFilter() {
+      const row = document.createElement('div');
+      row.className = 'filter-row';
+      row.innerHTML = '<select class="form-select form-select-sm f-prop">' + current.properties.map(p => '<option value="' + esc(p.name) + '">' + esc(p.name) + '</option>').join('') + '</select>' +
+        '<select class="form-select form-select-sm w-auto f-op"></select><span class="f-value-wrap"></span>' +
+        '<button type="button" class="btn btn-sm btn-outline-danger" onclick="this.parentNode.remove(); updatePreview();">×</button>';
+      document.getElementById('filters').appendChild(row);
+      row.querySelector('.f-prop').onchange = () => { configureFilter(row); updatePreview(); };
+      row.querySelector('.f-op').onchange = () => { configureValue(row); updatePreview(); };
+      configureFilter(row);
+      updatePreview();
+    }
+    
+    function configureFilter(row) {
+      const p = property(row.querySelector('.f-prop').value);
+      row.querySelector('.f-op').innerHTML = OPERATORS[p.kind].map(([op, label]) => '<option value="' + op + '">' + esc(label) + '</option>').join('');
+      configureValue(row);
+    }
+    
+    function configureValue(row) {
+      const p = property(row.querySelector('.f-prop').value);
+      const op = row.querySelector('.f-op').value;
+      const wrap = row.querySelector('.f-value-wrap');
+      if (op === 'null' || op === 'notnull') { wrap.innerHTML = ''; return; }
+      let input;
+      if (p.kind === 'choice' || p.kind === 'multichoice') {
+        input = '<select class="form-select form-select-sm f-value">' + p.options.map(o => '<option value="' + esc(o.value) + '">' + esc(o.label) + ' (' + esc(o.value) + ')</option>').join('') + '</select>';
+      } else if (p.kind === 'boolean') {
+        input = '<select class="form-select form-select-sm f-value"><option value="true">true</option><option value="false">false</option></select>';
+      } else {
+        const type = { number: 'number', datetime: 'datetime-local', date: 'date' }[p.kind] || 'text';
+        input = '<input type="' + type + '" class="form-control form-control-sm f-value">';
+      }
+      wrap.innerHTML = input;
+      wrap.querySelector('.f-value').oninput = updatePreview;
+      wrap.querySelector('.f-value').onchange = updatePreview;
+    }
+    
+    function filterExpression(row) {
+      const name = row.querySelector('.f-prop').value;
+      const p = property(name);
+      const op = row.querySelector('.f-op').value;
+      if (op === 'null') return name + ' eq null';
+      if (op === 'notnull') return name + ' ne null';
+      const raw = row.querySelector('.f-value').value;
+      if (raw === '') return null;
+      if (op === 'containvalues') return 'Microsoft.Dynamics.CRM.ContainValues(PropertyName=' + "'" + name + "'" + ",PropertyValues=['" + raw + "'])";
+      let value;
+      if (p.kind === 'string') value = "'" + raw.replace(/'/g, "''") + "'";
+      else if (p.kind === 'datetime') value = new Date(raw).toISOString();
+      else value = raw;
+      return ['contains', 'startswith', 'endswith'].includes(op) ? op + '(' + name + ',' + value + ')' : name + ' ' + op + ' ' + value;
+    }
+    
+    function buildQuery() {
+      const parts = [];
+      const selected = [...document.getElementById('select').selectedOptions].map(o => o.value);
+      if (selected.length) parts.push('$select=' + selected.join(','));
+      const filters = [...document.querySelectorAll('#filters .filter-row')].map(filterExpression).filter(Boolean);
+      if (filters.length) parts.push('$filter=' + filters.map(f => filters.length > 1 ? '(' + f + ')' : f).join(' ' + document.getElementById('filterJoin').value + ' '));
+      const orderby = document.getElementById('orderby').value;
+      if (orderby) parts.push('$orderby=' + orderby + ' ' + document.getElementById('orderDir').value);
+      const expand = [...document.getElementById('expand').selectedOptions].map(o => o.value);
+      if (expand.length) parts.push('$expand=' + expand.join(','));
+      const top = document.getElementById('top').value;
+      if (top) parts.push('$top=' + top);
+      if (document.getElementById('count').checked) parts.push('$count=true');
+      return parts;
+    }
+    
+    function updatePreview() {
+      const parts = buildQuery();
+      document.getElementById('queryPreview').textContent = '/' + current.entitySet + (parts.length ? '?' + parts.join('&') : '');
+    }
+    
+    async function fetchPage(request) {
+      const status = document.getElementById('status');
+      status.textContent = 'Loading…';
+      const response = await fetch('/api/data-browser/query', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ spec: specId, pageSize: document.getElementById('pageSize').value, ...request })
+      });
+      const data = await response.json();
+      if (response.status === 401 && data.redirect) { window.location.href = data.redirect; return null; }
+      if (!response.ok) { status.innerHTML = '<span class="text-danger">' + esc(data.error) + '</span>'; return null; }
+      return data;
+    }
+    
+    async function runQuery() {
+      const parts = buildQuery();
+      pages = [{ entitySet: current.entitySet, query: parts.map(p => { const i = p.indexOf('='); return p.slice(0, i + 1) + encodeURIComponent(p.slice(i + 1)); }).join('&') }];
+      await goToPage(0);
+    }
+    
+    async function goToPage(index) {
+      const data = await fetchPage(pages[index]);
+      if (!data) return;
+      pageIndex = index;
+      if (data.nextLink && pages.length === index + 1) pages.push({ nextLink: data.nextLink });
+      renderResults(data);
+    }
+    
+    function renderResults(data) {
+      const rows = data.value || [];
+      const suffix = '@OData.Community.Display.V1.FormattedValue';
+      const columns = [...new Set(rows.flatMap(r => Object.keys(r)))].filter(k => !k.includes('@'));
+      const cell = (row, key) => {
+        const raw = row[key];
+        const formatted = row[key + suffix];
+        const text = raw !== null && typeof raw === 'object' ? JSON.stringify(raw) : raw;
+        return '<td title="' + esc(text) + '">' + esc(formatted !== undefined ? formatted : text) + '</td>';
+      };
+      document.getElementById('results').innerHTML = rows.length
+        ? '<thead><tr>' + columns.map(c => '<th>' + esc(c) + '</th>').join('') + '</tr></thead><tbody>' +
+          rows.map(r => '<tr>' + columns.map(c => cell(r, c)).join('') + '</tr>').join('') + '</tbody>'
+        : '<tbody><tr><td class="text-muted">No records</td></tr></tbody>';
+      document.getElementById('status').textContent = 'Page ' + (pageIndex + 1) + ' — ' + rows.length + ' record(s)' +
+        (data.count !== undefined && data.count !== null ? ' of ' + data.count : '') + (data.nextLink ? ' — more available' : '');
+      document.getElementById('prevPage').disabled = pageIndex <= 0;
+      document.getElementById('nextPage').disabled = pageIndex + 1 >= pages.length;
+    }
+    
+    if (entitySets.length) selectEntitySet();
+  </script>`
+  }));
+});
+
+// Data browser query proxy: runs a query (or follows an @odata.nextLink) against the spec's environment with the session token
+app.post('/api/data-browser/query', async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  const apiUrl = trustedSpecEnvironment(req, entry);
+  if (!apiUrl) return res.status(403).json({ error: `Your token is not sent to ${entry.environment}; generate a spec for this environment yourself` });
+  
+  let url;
+  if (req.body.nextLink) {
+    // Only follow links back into the same environment
+    if (!String(req.body.nextLink).startsWith(apiUrl)) return res.status(400).json({ error: 'nextLink does not belong to this environment' });
+    url = req.body.nextLink;
+  } else {
+    if (!listSpecEntitySets(entry.spec).some(e => e.entitySet === req.body.entitySet)) {
+      return res.status(400).json({ error: `Unknown entity set: ${req.body.entitySet}` });
+    }
+    const query = String(req.body.query || '').replace(/^\?/, '');
+    url = `${apiUrl}${req.body.entitySet}${query ? `?${query}` : ''}`;
+  }
+  const pageSize = DATA_BROWSER_PAGE_SIZES.includes(parseInt(req.body.pageSize, 10)) ? parseInt(req.body.pageSize, 10) : 50;
+  
+  try {
+    console.log(`Data browser query: ${url}`);
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${req.session.token}`,
+        'Accept': 'application/json',
+        'OData-MaxVersion': '4.0',
+        'OData-Version': '4.0',
+        'Prefer': `odata.maxpagesize=${pageSize},odata.include-annotations="OData.Community.Display.V1.FormattedValue"`
+      }
+    });
+    res.json({
+      url,
+      value: response.data?.value || [],
+      count: response.data?.['@odata.count'],
+      nextLink: response.data?.['@odata.nextLink'] || null
+    });
+  } catch (error) {
+    console.error('Data browser query error:', error.message);
+    if (error.response?.status === 401) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    // Surface Dataverse's own message (bad $filter syntax, missing privilege, ...)
+    res.status(error.response?.status || 500).json({ error: error.response?.data?.error?.message || error.message });
+  }
+});
+
+// =============================================================================
+// DATAVERSE PROXY
+// =============================================================================
+// Forwards Swagger UI "Try it out" requests to the spec's environment with the session
+// token, so calls work without pasting a token into Authorize and without CORS.
+
+// Client request headers passed through to Dataverse (plus any MSCRM.* header)
+const PROXY_FORWARDED_HEADERS = ['content-type', 'prefer', 'if-match', 'if-none-match', 'consistency'];
+// Dataverse response headers passed back to the client
+const PROXY_RETURNED_HEADERS = ['content-type', 'odata-version', 'odata-entityid', 'location', 'etag', 'preference-applied'];
+
+/**
+ * Base URL of the proxy for a spec, used as the first server of the spec served to Swagger UI
+ */
+function proxyBaseUrl(entry) {
+  return `/proxy/${entry.id}`;
+}
+
+/**
+ * Copy of a spec whose first server is the explorer proxy; the environment stays available as a second server
+ */
+function withProxyServer(entry) {
+  return {
+    ...entry.spec,
+    servers: [
+      { url: proxyBaseUrl(entry), description: 'API Explorer proxy (uses your session)' },
+      ...(entry.spec.servers || []).map(server => ({ ...server, description: server.description || 'Dataverse environment (bearer token required)' }))
+    ]
+  };
+}
+
+// Proxy: /proxy/<specId>/<path> → <environment of the spec>/<path>
+app.all('/proxy/:specId/*', express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+  const entry = findSpec(req.params.specId);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  const apiUrl = trustedSpecEnvironment(req, entry);
+  if (!apiUrl) return res.status(403).json({ error: `The proxy does not send your token to ${entry.environment}; generate a spec for this environment yourself` });
+  
+  const queryIndex = req.originalUrl.indexOf('?');
+  const url = `${apiUrl}${req.params[0]}${queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : ''}`;
+  
+  const headers = {
+    'Authorization': `Bearer ${req.session.token}`,
+    'Accept': 'application/json',
+    'OData-MaxVersion': '4.0',
+    'OData-Version': '4.0'
+  };
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (PROXY_FORWARDED_HEADERS.includes(name) || name.startsWith('mscrm.')) headers[name] = value;
+  });
+  
+  // bodyParser.json has already parsed JSON bodies; anything else (e.g. multipart $batch) arrives raw
+  let data;
+  if (!['GET', 'HEAD', 'DELETE'].includes(req.method)) {
+    data = Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body);
+  }
+  // Swagger UI sends $batch bodies as plain "multipart/mixed"; take the boundary from the body
+  if (/^multipart\/mixed/i.test(headers['content-type'] || '') && !multipartBoundary(headers['content-type']) && data) {
+    const boundary = String(data).match(/^\s*--(\S+)/);
+    if (boundary) headers['content-type'] = `multipart/mixed; boundary=${boundary[1]}`;
+  }
+  
+  const started = Date.now();
+  try {
+    const response = await axios.request({
+      method: req.method,
+      url,
+      headers,
+      data,
+      responseType: 'arraybuffer',
+      validateStatus: () => true
+    });
+    console.log(`Proxy ${req.method} ${url} → ${response.status} (${Date.now() - started} ms)`);
+    
+    // A 401 comes back as-is: the token may be valid for the session's own environment
+    PROXY_RETURNED_HEADERS.forEach(name => {
+      if (response.headers[name] !== undefined) res.set(name, response.headers[name]);
+    });
+    res.status(response.status).send(Buffer.from(response.data));
+  } catch (error) {
+    console.error(`Proxy ${req.method} ${url} failed:`, error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// FETCHXML WORKBENCH
+// =============================================================================
+// Validate and run FetchXML against an entity set of a spec (?fetchXml= with paging
+// cookies), and convert simple FetchXML into the equivalent OData query string.
+
+const FETCHXML_PAGE_SIZES = [10, 25, 50, 100, 250];
+const FETCHXML_LINK_TYPES = ['inner', 'outer', 'any', 'not any', 'all', 'not all', 'exists', 'in', 'matchfirstrowusingcrossapply'];
+const FETCHXML_COMPARISON_OPERATORS = { eq: 'eq', ne: 'ne', neq: 'ne', gt: 'gt', ge: 'ge', lt: 'lt', le: 'le' };
+// Operators that take no value
+const FETCHXML_VALUELESS_OPERATORS = [
+  'null', 'not-null', 'today', 'yesterday', 'tomorrow', 'this-week', 'this-month', 'this-year',
+  'last-week', 'last-month', 'last-year', 'next-week', 'next-month', 'next-year', 'last-seven-days', 'next-seven-days',
+  'eq-userid', 'ne-userid', 'eq-businessid', 'ne-businessid', 'eq-userteams', 'eq-useroruserteams',
+  'eq-useroruserhierarchy', 'eq-useroruserhierarchyandteams', 'eq-userlanguage'
+];
+// FetchXML operators with a Web API query function (Microsoft.Dynamics.CRM.<name>)
+const FETCHXML_QUERY_FUNCTIONS = {
+  'today': 'Today', 'yesterday': 'Yesterday', 'tomorrow': 'Tomorrow',
+  'this-week': 'ThisWeek', 'this-month': 'ThisMonth', 'this-year': 'ThisYear',
+  'last-week': 'LastWeek', 'last-month': 'LastMonth', 'last-year': 'LastYear',
+  'next-week': 'NextWeek', 'next-month': 'NextMonth', 'next-year': 'NextYear',
+  'last-seven-days': 'Last7Days', 'next-seven-days': 'Next7Days',
+  'on': 'On', 'on-or-after': 'OnOrAfter', 'on-or-before': 'OnOrBefore',
+  'eq-userid': 'EqualUserId', 'ne-userid': 'NotEqualUserId',
+  'eq-businessid': 'EqualBusinessId', 'ne-businessid': 'NotEqualBusinessId',
+  'eq-userteams': 'EqualUserTeams', 'eq-useroruserteams': 'EqualUserOrUserTeams',
+  'eq-useroruserhierarchy': 'EqualUserOrUserHierarchy', 'eq-useroruserhierarchyandteams': 'EqualUserOrUserHierarchyAndTeams',
+  'eq-userlanguage': 'EqualUserLanguage',
+  'under': 'Under', 'eq-or-under': 'UnderOrEqual', 'not-under': 'NotUnder', 'above': 'Above', 'eq-or-above': 'AboveOrEqual'
+};
+// last-x-days, next-x-weeks, olderthan-x-months, ... → LastXDays, NextXWeeks, OlderThanXMonths
+const FETCHXML_X_OPERATOR = /^(last|next|olderthan)-x-(minutes|hours|days|weeks|months|years|fiscal-years|fiscal-periods)$/;
+
+const SAMPLE_FETCHXML = `<fetch>
+  <entity name="account">
+    <attribute name="name" />
+    <attribute name="createdon" />
+    <order attribute="name" />
+    <filter>
+      <condition attribute="statecode" operator="eq" value="0" />
+    </filter>
+  </entity>
+</fetch>`;
+
+/**
+ * Read a <filter> element (conditions and nested filters)
+ */
+function readFetchXmlFilter(node, nodePath, errors) {
+  const type = node.$?.type || 'and';
+  if (!['and', 'or'].includes(type)) errors.push({ path: nodePath, message: `Filter type must be "and" or "or", not "${type}"` });
+  return {
+    type,
+    conditions: (node.condition || []).map((condition, i) => readFetchXmlCondition(condition, `${nodePath}/condition[${i}]`, errors)),
+    filters: (node.filter || []).map((filter, i) => readFetchXmlFilter(filter, `${nodePath}/filter[${i}]`, errors))
+  };
+}
+
+/**
+ * Read a <condition> element, checking it has the values its operator needs
+ */
+function readFetchXmlCondition(node, nodePath, errors) {
+  const attrs = node.$ || {};
+  const values = (node.value || []).map(v => typeof v === 'string' ? v : v._ || '');
+  const operator = attrs.operator;
+  if (!attrs.attribute) errors.push({ path: nodePath, message: 'Condition requires an attribute' });
+  if (!operator) {
+    errors.push({ path: nodePath, message: 'Condition requires an operator' });
+  } else if (['in', 'not-in'].includes(operator)) {
+    if (!values.length) errors.push({ path: nodePath, message: `Operator "${operator}" requires <value> elements` });
+  } else if (['between', 'not-between'].includes(operator)) {
+    if (values.length !== 2) errors.push({ path: nodePath, message: `Operator "${operator}" requires two <value> elements` });
+  } else if (!FETCHXML_VALUELESS_OPERATORS.includes(operator) && attrs.value === undefined && !values.length && !attrs.valueof) {
+    errors.push({ path: nodePath, message: `Operator "${operator}" requires a value` });
+  }
+  return { attribute: attrs.attribute, operator, value: attrs.value !== undefined ? attrs.value : values[0], values, entityName: attrs.entityname };
+}
+
+/**
+ * Read an <entity> or <link-entity> element
+ */
+function readFetchXmlEntity(node, nodePath, errors, isLink = false) {
+  const attrs = node.$ || {};
+  if (!attrs.name) errors.push({ path: nodePath, message: `<${isLink ? 'link-entity' : 'entity'}> requires a name` });
+  if (isLink) {
+    if (!attrs.from || !attrs.to) errors.push({ path: nodePath, message: '<link-entity> requires from and to attributes' });
+    if (attrs['link-type'] && !FETCHXML_LINK_TYPES.includes(attrs['link-type'])) {
+      errors.push({ path: nodePath, message: `Unknown link-type "${attrs['link-type']}"` });
+    }
+  }
+  
+  const attributes = (node.attribute || []).map((attribute, i) => {
+    if (!attribute.$?.name) errors.push({ path: `${nodePath}/attribute[${i}]`, message: '<attribute> requires a name' });
+    return { name: attribute.$?.name, alias: attribute.$?.alias, aggregate: attribute.$?.aggregate };
+  });
+  const orders = (node.order || []).map((order, i) => {
+    if (!order.$?.attribute && !order.$?.alias) errors.push({ path: `${nodePath}/order[${i}]`, message: '<order> requires an attribute or alias' });
+    return { attribute: order.$?.attribute, alias: order.$?.alias, descending: order.$?.descending === 'true' };
+  });
+  
+  return {
+    name: attrs.name,
+    from: attrs.from,
+    to: attrs.to,
+    alias: attrs.alias,
+    linkType: attrs['link-type'] || 'inner',
+    allAttributes: Boolean(node['all-attributes']),
+    attributes,
+    orders,
+    filters: (node.filter || []).map((filter, i) => readFetchXmlFilter(filter, `${nodePath}/filter[${i}]`, errors)),
+    links: (node['link-entity'] || []).map((link, i) => readFetchXmlEntity(link, `${nodePath}/link-entity[${i}]`, errors, true))
+  };
+}
+
+/**
+ * Parse and validate a FetchXML document
+ * @returns {Promise<{ document: Object, query: Object }>} The xml2js document and a simplified query model
+ * @throws {Error} When the document is not valid FetchXML; `validationErrors` lists each problem
+ */
+async function parseFetchXml(fetchXml) {
+  const invalid = (message, validationErrors) => Object.assign(new Error(message), { validationErrors });
+  
+  let document;
+  try {
+    document = await xml2js.parseStringPromise(String(fetchXml || ''));
+  } catch (error) {
+    throw invalid('FetchXML is not well-formed XML', [{ path: '/', message: error.message.split('\n')[0] }]);
+  }
+  if (!document?.fetch) throw invalid('FetchXML is invalid', [{ path: '/', message: 'The root element must be <fetch>' }]);
+  
+  const fetch = document.fetch;
+  const attrs = fetch.$ || {};
+  const errors = [];
+  if ((fetch.entity || []).length !== 1) errors.push({ path: '/fetch', message: '<fetch> must contain exactly one <entity>' });
+  ['top', 'count', 'page'].forEach(name => {
+    if (attrs[name] !== undefined && !/^\d+$/.test(attrs[name])) errors.push({ path: '/fetch', message: `${name} must be a whole number` });
+  });
+  if (attrs.top !== undefined && (attrs.count !== undefined || attrs.page !== undefined)) {
+    errors.push({ path: '/fetch', message: 'top cannot be combined with count or page' });
+  }
+  const entity = fetch.entity?.length === 1 ? readFetchXmlEntity(fetch.entity[0], '/fetch/entity', errors) : null;
+  if (errors.length) throw invalid('FetchXML is invalid', errors);
+  
+  return {
+    document,
+    query: {
+      ...entity,
+      top: attrs.top !== undefined ? parseInt(attrs.top, 10) : null,
+      count: attrs.count !== undefined ? parseInt(attrs.count, 10) : null,
+      distinct: attrs.distinct === 'true',
+      aggregate: attrs.aggregate === 'true',
+      returnTotalRecordCount: attrs.returntotalrecordcount === 'true'
+    }
+  };
+}
+
+/**
+ * Entity set of a spec for a table logical name: the explicit choice, otherwise a guess from the usual plural forms
+ */
+function resolveFetchXmlEntitySet(spec, logicalName, entitySet) {
+  const entitySets = describeBrowsableEntitySets(spec);
+  if (entitySet) return entitySets.find(e => e.entitySet === entitySet) || null;
+  const candidates = [`${logicalName}s`, `${logicalName}es`, String(logicalName).replace(/y$/, 'ies'), logicalName];
+  return entitySets.find(e => candidates.includes(e.entitySet)) || null;
+}
+
+/**
+ * Convert a parsed FetchXML query into an OData query string
+ * Column types and navigation properties come from the spec's entity set when it is known.
+ * 
+ * @param {Object} query - Query model from parseFetchXml
+ * @param {Object|null} target - Entity set from describeBrowsableEntitySets
+ * @returns {{ query: string, warnings: string[] }}
+ */
+function fetchXmlToODataQuery(query, target) {
+  const warnings = [];
+  const columns = new Map((target?.properties || []).map(p => [p.name, p]));
+  const navigation = target?.navigation || [];
+  
+  // Lookup columns are exposed as _<name>_value
+  const columnName = (attribute, known) => known.has(attribute) || !known.has(`_${attribute}_value`) ? attribute : `_${attribute}_value`;
+  const literal = (value, kind) => {
+    const text = String(value ?? '');
+    if (['number', 'choice', 'boolean', 'guid', 'datetime', 'date'].includes(kind)) return text;
+    if (!kind && (/^-?\d+(\.\d+)?$/.test(text) || /^(true|false)$/.test(text) || /^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(text))) return text;
+    return `'${text.replace(/'/g, "''")}'`;
+  };
+  
+  const conditionExpression = (condition, known, prefix = '') => {
+    if (condition.entityName) {
+      warnings.push(`Condition on ${condition.entityName}.${condition.attribute} references a link-entity and was skipped`);
+      return null;
+    }
+    const name = prefix + columnName(condition.attribute, known);
+    const kind = known.get(columnName(condition.attribute, known))?.kind;
+    const op = condition.operator;
+    const value = literal(condition.value, kind);
+    const not = expression => `not ${expression}`;
+    
+    if (FETCHXML_COMPARISON_OPERATORS[op]) return `${name} ${FETCHXML_COMPARISON_OPERATORS[op]} ${value}`;
+    if (op === 'null') return `${name} eq null`;
+    if (op === 'not-null') return `${name} ne null`;
+    if (op === 'like' || op === 'not-like') {
+      const pattern = String(condition.value ?? '');
+      const text = pattern.replace(/^%|%$/g, '');
+      if (/[%_[]/.test(text)) warnings.push(`Wildcards inside "${pattern}" are not supported by OData string functions`);
+      const quoted = `'${text.replace(/'/g, "''")}'`;
+      const expression = pattern.startsWith('%') && pattern.endsWith('%') && pattern.length > 1 ? `contains(${name},${quoted})`
+        : pattern.endsWith('%') ? `startswith(${name},${quoted})`
+        : pattern.startsWith('%') ? `endswith(${name},${quoted})`
+        : `${name} eq ${quoted}`;
+      return op === 'like' ? expression : not(expression);
+    }
+    if (op === 'begins-with') return `startswith(${name},${value})`;
+    if (op === 'not-begin-with') return not(`startswith(${name},${value})`);
+    if (op === 'ends-with') return `endswith(${name},${value})`;
+    if (op === 'not-end-with') return not(`endswith(${name},${value})`);
+    if (op === 'in' || op === 'not-in') {
+      const expression = `(${condition.values.map(v => `${name} eq ${literal(v, kind)}`).join(' or ')})`;
+      return op === 'in' ? expression : not(expression);
+    }
+    if (op === 'between' || op === 'not-between') {
+      const expression = `(${name} ge ${literal(condition.values[0], kind)} and ${name} le ${literal(condition.values[1], kind)})`;
+      return op === 'between' ? expression : not(expression);
+    }
+    
+    const xMatch = op.match(FETCHXML_X_OPERATOR);
+    const functionName = FETCHXML_QUERY_FUNCTIONS[op] || (xMatch
+      ? `${xMatch[1] === 'olderthan' ? 'OlderThan' : xMatch[1][0].toUpperCase() + xMatch[1].slice(1)}X${xMatch[2].split('-').map(w => w[0].toUpperCase() + w.slice(1)).join('')}`
+      : null);
+    if (functionName && !prefix) {
+      const propertyValue = FETCHXML_VALUELESS_OPERATORS.includes(op) ? ''
+        : `,PropertyValue=${xMatch ? String(condition.value) : `'${String(condition.value ?? '').replace(/'/g, "''")}'`}`;
+      return `Microsoft.Dynamics.CRM.${functionName}(PropertyName='${condition.attribute}'${propertyValue})`;
+    }
+    warnings.push(`Operator "${op}" on ${condition.attribute} has no OData equivalent here and was skipped`);
+    return null;
+  };
+  
+  const filterExpression = (filter, known, prefix = '') => {
+    const parts = [
+      ...filter.conditions.map(condition => conditionExpression(condition, known, prefix)),
+      ...filter.filters.map(nested => {
+        const expression = filterExpression(nested, known, prefix);
+        return expression && nested.conditions.length + nested.filters.length > 1 ? `(${expression})` : expression;
+      })
+    ].filter(Boolean);
+    return parts.join(` ${filter.type} `);
+  };
+  const entityFilter = (filters, known, prefix = '') => {
+    const parts = filters.map(filter => filterExpression(filter, known, prefix)).filter(Boolean);
+    return parts.length > 1 ? parts.map(p => `(${p})`).join(' and ') : parts[0] || '';
+  };
+  
+  const filters = [];
+  const expand = [];
+  const mainFilter = entityFilter(query.filters, columns);
+  if (mainFilter) filters.push(mainFilter);
+  
+  query.links.forEach(link => {
+    // Many-to-one when the link joins on the related table's primary key
+    const manyToOne = link.from === `${link.name}id`;
+    const nav = manyToOne
+      ? navigation.find(n => n.toLowerCase() === String(link.to).toLowerCase())
+      : navigation.find(n => n.toLowerCase().includes(String(link.name).toLowerCase()));
+    const navName = nav || (manyToOne ? link.to : link.alias || link.name);
+    if (!nav) warnings.push(`Navigation property for <link-entity name="${link.name}"> is not in the spec; check "${navName}" in the query`);
+    if (link.links.length) warnings.push(`Nested link-entities under ${link.name} were skipped`);
+    if (!['inner', 'outer'].includes(link.linkType)) warnings.push(`link-type "${link.linkType}" on ${link.name} is treated as an inner join`);
+    
+    const linkFilter = entityFilter(link.filters, new Map());
+    const select = link.allAttributes ? [] : link.attributes.map(a => a.name);
+    if (manyToOne) {
+      if (linkFilter) {
+        if (link.linkType === 'outer') warnings.push(`Filter on outer link-entity ${link.name} was skipped`);
+        else filters.push(entityFilter(link.filters, new Map(), `${navName}/`));
+      } else if (link.linkType !== 'outer') {
+        filters.push(`${columnName(link.to, columns)} ne null`);
+      }
+      if (link.allAttributes || select.length) expand.push(select.length ? `${navName}($select=${select.join(',')})` : navName);
+    } else {
+      if (link.linkType !== 'outer') {
+        filters.push(linkFilter ? `${navName}/any(o:${entityFilter(link.filters, new Map(), 'o/')})` : `${navName}/any()`);
+      }
+      const options = [select.length ? `$select=${select.join(',')}` : null, linkFilter ? `$filter=${linkFilter}` : null].filter(Boolean);
+      if (link.allAttributes || select.length) expand.push(options.length ? `${navName}(${options.join(';')})` : navName);
+    }
+  });
+  
+  if (query.aggregate) warnings.push('Aggregate queries need $apply and were not converted; aggregate attributes were skipped');
+  if (query.distinct) warnings.push('distinct has no OData equivalent and was ignored');
+  if (query.count) warnings.push(`count="${query.count}" sets the page size; send Prefer: odata.maxpagesize=${query.count} instead`);
+  
+  const parts = [];
+  const select = query.allAttributes ? [] : query.attributes.filter(a => !a.aggregate).map(a => columnName(a.name, columns));
+  if (select.length) parts.push(`$select=${select.join(',')}`);
+  if (filters.length) parts.push(`$filter=${filters.length > 1 ? filters.map(f => /\s(and|or)\s/.test(f) ? `(${f})` : f).join(' and ') : filters[0]}`);
+  const orderby = query.orders.filter(order => {
+    if (order.alias) warnings.push(`Order by alias "${order.alias}" was skipped`);
+    return order.attribute;
+  }).map(order => `${columnName(order.attribute, columns)} ${order.descending ? 'desc' : 'asc'}`);
+  if (orderby.length) parts.push(`$orderby=${orderby.join(',')}`);
+  if (expand.length) parts.push(`$expand=${expand.join(',')}`);
+  if (query.top) parts.push(`$top=${query.top}`);
+  if (query.returnTotalRecordCount) parts.push('$count=true');
+  
+  return { query: parts.join('&'), warnings: [...new Set(warnings)] };
+}
+
+/**
+ * Serialize a FetchXML document for one page of results
+ */
+function buildPagedFetchXml(document, page, count, pagingCookie) {
+  const attrs = { ...(document.fetch.$ || {}), page: String(page), count: String(count) };
+  if (pagingCookie) attrs['paging-cookie'] = pagingCookie;
+  else delete attrs['paging-cookie'];
+  return new xml2js.Builder({ headless: true, renderOpts: { pretty: false } }).buildObject({ fetch: { ...document.fetch, $: attrs } });
+}
+
+/**
+ * Paging cookie to send with the next page, from the @Microsoft.Dynamics.CRM.fetchxmlpagingcookie annotation
+ */
+function extractFetchXmlPagingCookie(annotation) {
+  const match = String(annotation || '').match(/pagingcookie="([^"]*)"/);
+  if (!match) return null;
+  // The cookie is URL-encoded twice inside the annotation
+  return decodeURIComponent(decodeURIComponent(match[1]));
+}
+
+// FetchXML workbench page
+app.get('/fetchxml', (req, res) => {
+  const entry = getRequestedSpec(req);
+  if (!entry) {
+    return res.send(renderAgencyPage({
+      title: 'FetchXML',
+      body: '<div class="container-report"><h1 class="h3 mb-3 page-title">FetchXML Workbench</h1><div class="alert alert-info">Generate API documentation first; FetchXML runs against the entity sets of the current spec.</div></div>'
+    }));
+  }
+  
+  const entitySets = listSpecEntitySets(entry.spec);
+  res.send(renderAgencyPage({
+    title: 'FetchXML',
+    styles: `.container-report { max-width: 1400px; margin: 0 auto; }
+      #fetchXml { font-family: monospace; font-size: 0.85rem; }
+      #results td { max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: 0.85rem; }
+      #results th { font-size: 0.8rem; white-space: nowrap; }`,
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">FetchXML Workbench</h1>
+      <p class="text-muted">Environment: <code>${escapeHtml(entry.environment)}</code>${entry.version ? ` — spec v${entry.version}` : ''}</p>
+      <div class="row">
+        <div class="col-lg-5">
+          <div class="card mb-3"><div class="card-body">
+            <label for="entitySet" class="form-label"><strong>Entity set</strong></label>
+            <select class="form-select mb-3" id="entitySet">
+              <option value="">Detect from &lt;entity name&gt;</option>
+              ${entitySets.map(e => `<option value="${escapeHtml(e.entitySet)}">${escapeHtml(e.name)} (${escapeHtml(e.entitySet)})</option>`).join('')}
+            </select>
+            <label for="fetchXml" class="form-label"><strong>FetchXML</strong></label>
+            <textarea class="form-control mb-3" id="fetchXml" rows="16" spellcheck="false">${escapeHtml(SAMPLE_FETCHXML)}</textarea>
+            <div class="row g-2 mb-3">
+              <div class="col-auto"><label for="pageSize" class="col-form-label">Page size</label></div>
+              <div class="col-auto"><select class="form-select" id="pageSize">${FETCHXML_PAGE_SIZES.map(size => `<option value="${size}" ${size === 50 ? 'selected' : ''}>${size}</option>`).join('')}</select></div>
+            </div>
+            <div class="d-flex gap-2">
+              <button class="btn btn-agency-secondary" onclick="validateFetchXml()">Validate</button>
+              <button class="btn btn-agency-secondary" onclick="convertFetchXml()">Convert to OData</button>
+              <button class="btn btn-agency-primary" onclick="executeFetchXml()">Execute</button>
+            </div>
+          </div></div>
+        </div>
+        <div class="col-lg-7">
+          <div id="message"></div>
+          <div id="conversion"></div>
+          <div id="status" class="mb-2 text-muted small"></div>
+          <div class="table-responsive"><table class="table table-sm table-striped table-bordered bg-white" id="results"></table></div>
+          <div class="d-flex gap-2">
+            <button class="btn btn-sm btn-outline-secondary" id="prevPage" onclick="goToPage(pageIndex - 1)" disabled>‹ Previous</button>
+            <button class="btn btn-sm btn-outline-secondary" id="nextPage" onclick="goToPage(pageIndex + 1)" disabled>Next ›</button>
+          </div>
+        </div>
+      </div>
+    </div>`,
+    scripts: `<script>
+    const specId = ${JSON.stringify(entry.id)};
+    let pages = [];
+    let pageIndex = -1;
+    
+    function esc(value) { const d = document.createElement('div'); d.textContent = value == null ? '' : String(value); return d.innerHTML; }
+    
+    async function post(url, body) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ spec: specId, entitySet: document.getElementById('entitySet').value, fetchXml: document.getElementById('fetchXml').value, ...body })
+      });
+      const data = await response.json();
+      if (response.status === 401 && data.redirect) { window.location.href = data.redirect; return null; }
+      if (!response.ok) {
+        document.getElementById('message').innerHTML = '<div class="alert alert-danger"><strong>' + esc(data.error) + '</strong>' +
+          (data.validationErrors ? '<ul class="mb-0 mt-2 small">' + data.validationErrors.map(e => '<li><code>' + esc(e.path) + '</code> ' + esc(e.message) + '</li>').join('') + '</ul>' : '') + '</div>';
+        return null;
+      }
+      document.getElementById('message').innerHTML = '';
+      return data;
+    }
+    
+    async function validateFetchXml() {
+      const data = await post('/api/fetchxml/validate');
+      if (data) document.getElementById('message').innerHTML = '<div class="alert alert-success">Valid FetchXML for <code>' + esc(data.entity) + '</code>' +
+        (data.entitySet ? ' (entity set <code>' + esc(data.entitySet) + '</code>)' : ' — select the entity set to execute it') + '</div>';
+    }
+    
+    async function convertFetchXml() {
+      const data = await post('/api/fetchxml/convert');
+      if (!data) return;
+      document.getElementById('conversion').innerHTML = '<div class="card mb-3"><div class="card-body py-2"><strong>OData</strong> ' +
+        '<button class="btn btn-sm btn-outline-secondary float-end" onclick="navigator.clipboard.writeText(document.getElementById(\\'odataUrl\\').textContent)">Copy</button>' +
+        '<div><code id="odataUrl" style="word-break: break-all;">' + esc(data.url) + '</code></div>' +
+        (data.warnings.length ? '<ul class="mb-0 mt-2 small text-warning-emphasis">' + data.warnings.map(w => '<li>' + esc(w) + '</li>').join('') + '</ul>' : '') +
+        '</div></div>';
+    }
+    
+    async function executeFetchXml() {
+      pages = [{ page: 1, pagingCookie: null }];
+      await goToPage(0);
+    }
+    
+    async function goToPage(index) {
+      document.getElementById('status').textContent = 'Loading…';
+      const data = await post('/api/fetchxml/execute', { ...pages[index], pageSize: document.getElementById('pageSize').value });
+      if (!data) { document.getElementById('status').textContent = ''; return; }
+      pageIndex = index;
+      if (data.moreRecords && pages.length === index + 1) pages.push({ page: data.page + 1, pagingCookie: data.pagingCookie });
+      renderResults(data);
+    }
+    
+    function renderResults(data) {
+      const rows = data.value || [];
+      const suffix = '@OData.Community.Display.V1.FormattedValue';
+      const columns = [...new Set(rows.flatMap(r => Object.keys(r)))].filter(k => !k.includes('@'));
+      const cell = (row, key) => {
+        const raw = row[key];
+        const formatted = row[key + suffix];
+        const text = raw !== null && typeof raw === 'object' ? JSON.stringify(raw) : raw;
+        return '<td title="' + esc(text) + '">' + esc(formatted !== undefined ? formatted : text) + '</td>';
+      };
+      document.getElementById('results').innerHTML = rows.length
+        ? '<thead><tr>' + columns.map(c => '<th>' + esc(c) + '</th>').join('') + '</tr></thead><tbody>' +
+          rows.map(r => '<tr>' + columns.map(c => cell(r, c)).join('') + '</tr>').join('') + '</tbody>'
+        : '<tbody><tr><td class="text-muted">No records</td></tr></tbody>';
+      document.getElementById('status').textContent = data.entitySet + ' — page ' + data.page + ' — ' + rows.length + ' record(s)' + (data.moreRecords ? ' — more available' : '');
+      document.getElementById('prevPage').disabled = pageIndex <= 0;
+      document.getElementById('nextPage').disabled = pageIndex + 1 >= pages.length;
+    }
+  </script>`
+  }));
+});
+
+// Validate FetchXML
+app.post('/api/fetchxml/validate', async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  try {
+    const { query } = await parseFetchXml(req.body.fetchXml);
+    const target = resolveFetchXmlEntitySet(entry.spec, query.name, req.body.entitySet);
+    res.json({ valid: true, entity: query.name, entitySet: target ? target.entitySet : null });
+  } catch (error) {
+    res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+  }
+});
+
+// Convert FetchXML to an OData query string
+app.post('/api/fetchxml/convert', async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  try {
+    const { query } = await parseFetchXml(req.body.fetchXml);
+    const target = resolveFetchXmlEntitySet(entry.spec, query.name, req.body.entitySet);
+    const converted = fetchXmlToODataQuery(query, target);
+    if (!target) converted.warnings.unshift(`No entity set in the spec matches "${query.name}"; column types and navigation properties are guessed`);
+    const entitySet = target ? target.entitySet : query.name;
+    res.json({ entitySet, ...converted, url: `/${entitySet}${converted.query ? `?${converted.query}` : ''}` });
+  } catch (error) {
+    res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+  }
+});
+
+// Execute FetchXML (one page) against the spec's environment with the session token
+app.post('/api/fetchxml/execute', async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  const apiUrl = trustedSpecEnvironment(req, entry);
+  if (!apiUrl) return res.status(403).json({ error: `Your token is not sent to ${entry.environment}; generate a spec for this environment yourself` });
+  
+  let parsed;
+  try {
+    parsed = await parseFetchXml(req.body.fetchXml);
+  } catch (error) {
+    return res.status(422).json({ error: error.message, validationErrors: error.validationErrors });
+  }
+  const target = resolveFetchXmlEntitySet(entry.spec, parsed.query.name, req.body.entitySet);
+  if (!target) return res.status(400).json({ error: `Select the entity set for <entity name="${parsed.query.name}">` });
+  
+  // top and paging are mutually exclusive; a query with top is sent as written
+  const page = Math.max(parseInt(req.body.page, 10) || 1, 1);
+  const pageSize = FETCHXML_PAGE_SIZES.includes(parseInt(req.body.pageSize, 10)) ? parseInt(req.body.pageSize, 10) : 50;
+  const fetchXml = parsed.query.top
+    ? String(req.body.fetchXml)
+    : buildPagedFetchXml(parsed.document, page, pageSize, page > 1 ? req.body.pagingCookie : null);
+  const url = `${apiUrl}${target.entitySet}?fetchXml=${encodeURIComponent(fetchXml)}`;
+  
+  try {
+    console.log(`FetchXML query: ${target.entitySet} page ${page}`);
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${req.session.token}`,
+        'Accept': 'application/json',
+        'OData-MaxVersion': '4.0',
+        'OData-Version': '4.0',
+        'Prefer': 'odata.include-annotations="*"'
+      }
+    });
+    const data = response.data || {};
+    res.json({
+      entitySet: target.entitySet,
+      page,
+      value: data.value || [],
+      moreRecords: !parsed.query.top && data['@Microsoft.Dynamics.CRM.morerecords'] === true,
+      pagingCookie: extractFetchXmlPagingCookie(data['@Microsoft.Dynamics.CRM.fetchxmlpagingcookie'])
+    });
+  } catch (error) {
+    console.error('FetchXML query error:', error.message);
+    if (error.response?.status === 401) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    res.status(error.response?.status || 500).json({ error: error.response?.data?.error?.message || error.message });
+  }
+});
+
+// =============================================================================
+// BATCH REQUESTS
+// =============================================================================
+// OData $batch: the /$batch path added to generated specs, a multipart/mixed builder
+// and parser, and a composer page that submits batches with the session token.
+
+const BATCH_METHODS = ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'];
+const BATCH_MAX_OPERATIONS = 1000;
+const BATCH_EXAMPLE_BOUNDARY = 'batch_example';
+
+const BATCH_REQUEST_DESCRIPTION = [
+  'A `multipart/mixed` body. Send `Content-Type: multipart/mixed; boundary=<batch boundary>`.',
+  '',
+  'Each part is one of:',
+  '',
+  '* **A request**: part headers `Content-Type: application/http` and `Content-Transfer-Encoding: binary`, a blank line, then the HTTP request. The request is the request line (`GET <absolute URL> HTTP/1.1`), its headers, a blank line and an optional JSON body.',
+  '* **A change set**: part header `Content-Type: multipart/mixed; boundary=<change set boundary>`, a blank line, then request parts separated by the change set boundary. Change sets may not contain GET requests. Each request in a change set needs a `Content-ID`; later requests in the same change set can refer to a created record as `$<Content-ID>`.',
+  '',
+  'Every line ends with CRLF. Each part starts with `--<boundary>` and the body ends with `--<boundary>--`. A batch holds at most 1000 requests.'
+].join('\n');
+
+const BATCH_RESPONSE_DESCRIPTION = [
+  'A `multipart/mixed` body with one part per request part, in order. Each part is an `application/http` HTTP response (`HTTP/1.1 <status>`, headers, blank line, body).',
+  'A change set is answered by a nested `multipart/mixed` part with one response per request, identified by `Content-ID`. If any request in it fails, the whole change set is rolled back and a single error response is returned.',
+  'Without `Prefer: odata.continue-on-error`, processing stops at the first failed request outside a change set.'
+].join('\n');
+
+/**
+ * Boundary parameter of a multipart Content-Type header
+ */
+function multipartBoundary(contentType) {
+  const match = String(contentType || '').match(/boundary=("?)([^";]+)\1/i);
+  return match ? match[2] : null;
+}
+
+/**
+ * Group queued operations into batch parts, in queue order: one per standalone request, one per change set
+ * @param {Array<{ changeSet }>} operations
+ * @returns {Array<{ changeSet: string|null, operations: number[] }>} Indexes into operations
+ */
+function groupBatchOperations(operations) {
+  const groups = [];
+  operations.forEach((operation, index) => {
+    const changeSet = operation.changeSet ? String(operation.changeSet) : null;
+    const group = changeSet && groups.find(g => g.changeSet === changeSet);
+    if (group) group.operations.push(index);
+    else groups.push({ changeSet, operations: [index] });
+  });
+  return groups;
+}
+
+/**
+ * One application/http part: part headers, the request line, request headers and the body
+ * Paths are relative to the service root; `$<Content-ID>` references are sent as written.
+ */
+function formatBatchRequestPart(operation, apiUrl, contentId) {
+  const url = operation.path.startsWith('$') ? operation.path : `${apiUrl}${operation.path}`;
+  return [
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    ...(contentId ? [`Content-ID: ${contentId}`] : []),
+    '',
+    `${operation.method} ${url} HTTP/1.1`,
+    'Accept: application/json',
+    ...(operation.body ? ['Content-Type: application/json; type=entry', '', operation.body] : ['', ''])
+  ].join('\r\n');
+}
+
+/**
+ * Build a multipart/mixed batch body
+ * Requests in a change set get their queue number (1-based) as Content-ID.
+ * 
+ * @param {Array<{ method, path, body, changeSet }>} operations - Queued operations
+ * @param {string} apiUrl - Service root, ending with a slash
+ * @param {string} boundary - Batch boundary
+ * @returns {string}
+ */
+function buildBatchRequestBody(operations, apiUrl, boundary) {
+  const parts = groupBatchOperations(operations).map(group => {
+    if (!group.changeSet) return `--${boundary}\r\n${formatBatchRequestPart(operations[group.operations[0]], apiUrl)}`;
+    const changeSetBoundary = `changeset_${crypto.randomUUID()}`;
+    return [
+      `--${boundary}`,
+      `Content-Type: multipart/mixed; boundary=${changeSetBoundary}`,
+      '',
+      ...group.operations.map(index => `--${changeSetBoundary}\r\n${formatBatchRequestPart(operations[index], apiUrl, index + 1)}`),
+      `--${changeSetBoundary}--`
+    ].join('\r\n');
+  });
+  return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Split MIME text into lower-cased headers and the body (after the first blank line)
+ */
+function splitMimeHeaders(text) {
+  const separator = text.match(/\r?\n\r?\n/);
+  const head = separator ? text.slice(0, separator.index) : text;
+  const headers = {};
+  head.split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return { headers, body: separator ? text.slice(separator.index + separator[0].length) : '' };
+}
+
+/**
+ * Parse a multipart/mixed batch response into its parts
+ * Change sets become `{ changeSet: true, responses: [...] }`; other parts are HTTP responses.
+ * @returns {Array<Object>}
+ */
+function parseBatchResponseBody(text, boundary) {
+  const parts = String(text).split(`--${boundary}`).slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''));
+  
+  return parts.map(part => {
+    const { headers, body } = splitMimeHeaders(part);
+    const nested = /^multipart\/mixed/i.test(headers['content-type'] || '') && multipartBoundary(headers['content-type']);
+    if (nested) return { changeSet: true, responses: parseBatchResponseBody(body, nested) };
+    
+    const statusLine = body.split(/\r?\n/, 1)[0];
+    const status = statusLine.match(/^HTTP\/\d\.\d\s+(\d{3})\s*(.*)$/);
+    const response = splitMimeHeaders(body.slice(statusLine.length).replace(/^\r?\n/, ''));
+    let responseBody = response.body.trim();
+    try { responseBody = responseBody ? JSON.parse(responseBody) : null; } catch (e) { /* keep text */ }
+    return {
+      contentId: headers['content-id'] || null,
+      status: status ? parseInt(status[1], 10) : null,
+      statusText: status ? status[2] : statusLine,
+      headers: response.headers,
+      body: responseBody
+    };
+  });
+}
+
+/**
+ * Match the parts of a batch response to the queued operations
+ * A failed change set answers with a single response, which is reported for each of its requests.
+ * @returns {Array<Object|null>} One response per operation; null when the request was not executed
+ */
+function matchBatchResponses(operations, parts) {
+  const results = operations.map(() => null);
+  groupBatchOperations(operations).forEach((group, i) => {
+    const part = parts[i];
+    if (!part) return;
+    if (part.changeSet) {
+      part.responses.forEach((response, j) => {
+        const index = response.contentId ? parseInt(response.contentId, 10) - 1 : group.operations[j];
+        if (group.operations.includes(index)) results[index] = response;
+      });
+    } else {
+      group.operations.forEach(index => { results[index] = part; });
+    }
+  });
+  return results;
+}
+
+/**
+ * Add the OData $batch endpoint to a generated spec
+ */
+function addBatchPath(openApiSpec) {
+  const apiUrl = openApiSpec.servers?.[0]?.url || '';
+  const entitySet = listSpecEntitySets(openApiSpec)[0]?.entitySet || 'accounts';
+  const example = buildBatchRequestBody([
+    { method: 'POST', path: entitySet, body: '{}', changeSet: '1' },
+    { method: 'PATCH', path: '$1', body: '{}', changeSet: '1' },
+    { method: 'GET', path: `${entitySet}?$top=1` }
+  ], apiUrl, BATCH_EXAMPLE_BOUNDARY).replace(/changeset_[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}/g, 'changeset_example');
+  
+  openApiSpec.components.schemas.BatchRequest = { type: 'string', description: BATCH_REQUEST_DESCRIPTION };
+  openApiSpec.components.schemas.BatchResponse = { type: 'string', description: BATCH_RESPONSE_DESCRIPTION };
+  openApiSpec.paths['/$batch'] = {
+    post: {
+      tags: ['Batch'],
+      summary: 'Execute a batch of requests',
+      description: `Send several requests in one call. Requests in a change set run in a single transaction.\n\n${BATCH_REQUEST_DESCRIPTION}\n\n` +
+        `Set \`Content-Type: multipart/mixed; boundary=${BATCH_EXAMPLE_BOUNDARY}\` to send the example as written.`,
+      operationId: 'executeBatch',
+      parameters: [
+        { name: 'Prefer', in: 'header', description: '`odata.continue-on-error` to keep processing after a failed request', schema: { type: 'string' } }
+      ],
+      requestBody: {
+        required: true,
+        content: { 'multipart/mixed': { schema: { $ref: '#/components/schemas/BatchRequest' }, example } }
+      },
+      responses: {
+        '200': { description: 'Batch processed; check the status of each part', content: { 'multipart/mixed': { schema: { $ref: '#/components/schemas/BatchResponse' } } } },
+        '400': { description: 'Malformed batch' },
+        '401': { description: 'Unauthorized' }
+      }
+    }
+  };
+  return openApiSpec;
+}
+
+/**
+ * Check queued batch operations against the spec
+ * @returns {string|null} The first problem found
+ */
+function validateBatchOperations(operations, spec) {
+  if (!Array.isArray(operations) || !operations.length) return 'Add at least one operation';
+  if (operations.length > BATCH_MAX_OPERATIONS) return `A batch holds at most ${BATCH_MAX_OPERATIONS} operations`;
+  const entitySets = listSpecEntitySets(spec).map(e => e.entitySet);
+  for (const [i, operation] of operations.entries()) {
+    const label = `Operation #${i + 1}`;
+    if (!BATCH_METHODS.includes(operation.method)) return `${label}: method must be one of ${BATCH_METHODS.join(', ')}`;
+    const pathName = String(operation.path || '');
+    const root = pathName.split(/[(/?]/)[0];
+    if (!/^\$\d+$/.test(root) && !entitySets.includes(root)) return `${label}: "${root}" is not an entity set of this spec`;
+    if (operation.method === 'GET' && operation.changeSet) return `${label}: GET requests cannot be part of a change set`;
+    if (operation.body) {
+      try { JSON.parse(operation.body); } catch (e) { return `${label}: body is not valid JSON`; }
+    }
+  }
+  return null;
+}
+
+// Batch composer page
+app.get('/batch', (req, res) => {
+  const entry = getRequestedSpec(req);
+  if (!entry) {
+    return res.send(renderAgencyPage({
+      title: 'Batch',
+      body: '<div class="container-report"><h1 class="h3 mb-3 page-title">Batch Composer</h1><div class="alert alert-info">Generate API documentation first; the composer uses the entity sets of the current spec.</div></div>'
+    }));
+  }
+  
+  const entitySets = listSpecEntitySets(entry.spec);
+  res.send(renderAgencyPage({
+    title: 'Batch',
+    styles: `.container-report { max-width: 1400px; margin: 0 auto; }
+      #body, #rawRequest { font-family: monospace; font-size: 0.85rem; }
+      #rawRequest { max-height: 300px; overflow: auto; background: #f8f9fa; padding: 0.5rem; }
+      .result-body { max-height: 200px; overflow: auto; font-size: 0.8rem; margin: 0; }`,
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Batch Composer</h1>
+      <p class="text-muted">Environment: <code>${escapeHtml(entry.environment)}</code>${entry.version ? ` — spec v${entry.version}` : ''}</p>
+      <div class="row">
+        <div class="col-lg-4">
+          <div class="card mb-3"><div class="card-body">
+            <h2 class="h6">Add operation</h2>
+            <div class="row g-2 mb-2">
+              <div class="col-4"><select class="form-select form-select-sm" id="method" onchange="updatePath()">${BATCH_METHODS.map(m => `<option>${m}</option>`).join('')}</select></div>
+              <div class="col-8"><select class="form-select form-select-sm" id="entitySet" onchange="updatePath()">
+                ${entitySets.map(e => `<option value="${escapeHtml(e.entitySet)}">${escapeHtml(e.name)} (${escapeHtml(e.entitySet)})</option>`).join('')}
+              </select></div>
+            </div>
+            <input type="text" class="form-control form-control-sm mb-2" id="recordId" placeholder="Record id (GET one, PATCH, PUT, DELETE)" oninput="updatePath()">
+            <input type="text" class="form-control form-control-sm mb-2" id="suffix" placeholder="Query or path suffix, e.g. ?$select=name" oninput="updatePath()">
+            <label for="path" class="form-label small mb-0">Path (relative to the service root, or <code>$&lt;n&gt;</code> for a record created earlier in the change set)</label>
+            <input type="text" class="form-control form-control-sm mb-2" id="path">
+            <label for="body" class="form-label small mb-0">JSON body (POST, PATCH, PUT)</label>
+            <textarea class="form-control mb-2" id="body" rows="6" spellcheck="false" placeholder='{ "name": "Contoso" }'></textarea>
+            <label for="changeSet" class="form-label small mb-0">Change set</label>
+            <select class="form-select form-select-sm mb-3" id="changeSet"></select>
+            <button class="w-100 btn btn-agency-primary" onclick="addOperation()">Add to Batch</button>
+          </div></div>
+        </div>
+        <div class="col-lg-8">
+          <div id="message"></div>
+          <div class="card mb-3"><div class="card-body">
+            <table class="table table-sm mb-2">
+              <thead><tr><th>#</th><th>Change set</th><th>Method</th><th>Path</th><th>Response</th><th></th></tr></thead>
+              <tbody id="queue"><tr><td colspan="6" class="text-muted">No operations queued</td></tr></tbody>
+            </table>
+            <div class="form-check mb-2"><input class="form-check-input" type="checkbox" id="continueOnError"><label class="form-check-label" for="continueOnError">Continue on error (<code>Prefer: odata.continue-on-error</code>)</label></div>
+            <div class="d-flex gap-2">
+              <button class="btn btn-agency-secondary" onclick="submitBatch(true)">Preview Request</button>
+              <button class="btn btn-agency-primary" onclick="submitBatch(false)">Submit Batch</button>
+              <button class="btn btn-outline-secondary" onclick="operations = []; results = []; renderQueue();">Clear</button>
+            </div>
+          </div></div>
+          <details class="mb-3"><summary>Raw request</summary><pre id="rawRequest">Preview or submit the batch to see the multipart body.</pre></details>
+          <div id="results"></div>
+        </div>
+      </div>
+    </div>`,
+    scripts: `<script>
+    const specId = ${JSON.stringify(entry.id)};
+    let operations = [];
+    let results = [];
+    let changeSetCount = 0;
+    
+    function esc(value) { const d = document.createElement('div'); d.textContent = value == null ? '' : String(value); return d.innerHTML; }
+    
+    function updatePath() {
+      const id = document.getElementById('recordId').value.trim();
+      document.getElementById('path').value = document.getElementById('entitySet').value + (id ? '(' + id + ')' : '') + document.getElementById('suffix').value.trim();
+      const method = document.getElementById('method').value;
+      document.getElementById('changeSet').disabled = method === 'GET';
+      if (method === 'GET') document.getElementById('changeSet').value = '';
+    }
+    
+    function renderChangeSets() {
+      const select = document.getElementById('changeSet');
+      const current = select.value;
+      select.innerHTML = '<option value="">None (standalone request)</option>' +
+        Array.from({ length: changeSetCount }, (_, i) => '<option value="' + (i + 1) + '">Change set ' + (i + 1) + '</option>').join('') +
+        '<option value="new">New change set</option>';
+      select.value = current;
+    }
+    
+    function addOperation() {
+      const method = document.getElementById('method').value;
+      const body = document.getElementById('body').value.trim();
+      let changeSet = document.getElementById('changeSet').value;
+      if (changeSet === 'new') changeSet = String(++changeSetCount);
+      operations.push({ method, path: document.getElementById('path').value.trim(), body: ['POST', 'PATCH', 'PUT'].includes(method) && body ? body : null, changeSet: method === 'GET' ? null : changeSet || null });
+      results = [];
+      renderChangeSets();
+      document.getElementById('changeSet').value = changeSet || '';
+      renderQueue();
+    }
+    
+    function removeOperation(index) {
+      operations.splice(index, 1);
+      results = [];
+      renderQueue();
+    }
+    
+    function statusBadge(result) {
+      if (!result) return '<span class="badge bg-secondary">' + (results.length ? 'not run' : '') + '</span>';
+      return '<span class="badge ' + (result.status >= 200 && result.status < 300 ? 'bg-success' : 'bg-danger') + '">' + esc(result.status) + '</span>';
+    }
+    
+    function renderQueue() {
+      document.getElementById('queue').innerHTML = operations.length
+        ? operations.map((op, i) => '<tr><td>' + (i + 1) + '</td><td>' + (op.changeSet ? 'Change set ' + esc(op.changeSet) : '—') + '</td><td>' + esc(op.method) + '</td><td><code>' + esc(op.path) + '</code></td><td>' + statusBadge(results[i]) + '</td>' +
+          '<td><button class="btn btn-sm btn-outline-danger" onclick="removeOperation(' + i + ')">×</button></td></tr>').join('')
+        : '<tr><td colspan="6" class="text-muted">No operations queued</td></tr>';
+      document.getElementById('results').innerHTML = results.map((result, i) => result ? '<div class="card mb-2"><div class="card-body py-2">' +
+        '<strong>#' + (i + 1) + '</strong> ' + esc(operations[i].method) + ' <code>' + esc(operations[i].path) + '</code> → ' + statusBadge(result) + ' ' + esc(result.statusText) +
+        (result.headers && result.headers['odata-entityid'] ? '<div class="small">OData-EntityId: <code>' + esc(result.headers['odata-entityid']) + '</code></div>' : '') +
+        (result.body !== null && result.body !== undefined ? '<pre class="result-body">' + esc(typeof result.body === 'string' ? result.body : JSON.stringify(result.body, null, 2)) + '</pre>' : '') +
+        '</div></div>' : '').join('');
+    }
+    
+    async function submitBatch(preview) {
+      const message = document.getElementById('message');
+      message.innerHTML = preview ? '' : '<div class="alert alert-info">Submitting…</div>';
+      const response = await fetch('/api/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ spec: specId, operations, continueOnError: document.getElementById('continueOnError').checked, preview })
+      });
+      const data = await response.json();
+      if (response.status === 401 && data.redirect) { window.location.href = data.redirect; return; }
+      if (data.request) document.getElementById('rawRequest').textContent = data.request;
+      if (!response.ok) { message.innerHTML = '<div class="alert alert-danger">' + esc(data.error) + '</div>'; return; }
+      if (preview) { document.querySelector('details').open = true; return; }
+      results = data.results;
+      const failed = results.filter(r => !r || r.status >= 400).length;
+      message.innerHTML = '<div class="alert ' + (failed ? 'alert-warning' : 'alert-success') + '">Batch returned ' + esc(data.status) + ' — ' + (results.length - failed) + ' of ' + results.length + ' operation(s) succeeded</div>';
+      renderQueue();
+    }
+    
+    renderChangeSets();
+    updatePath();
+  </script>`
+  }));
+});
+
+/**
+ * Submit operations as one $batch request to an environment
+ * @param {string} apiUrl - Service root, ending with a slash
+ * @param {string} token - Bearer token
+ * @param {Array<Object>} operations - Operations accepted by buildBatchRequestBody
+ * @param {Object} [options] - { continueOnError }
+ * @returns {Promise<{ request: string, status: number, results: Array<Object|null> }>} One response per operation
+ */
+async function submitBatchOperations(apiUrl, token, operations, options = {}) {
+  const boundary = `batch_${crypto.randomUUID()}`;
+  const body = buildBatchRequestBody(operations, apiUrl, boundary);
+  console.log(`Submitting $batch with ${operations.length} operation(s) to ${apiUrl}`);
+  const response = await axios.post(`${apiUrl}$batch`, body, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/json',
+      'OData-MaxVersion': '4.0',
+      'OData-Version': '4.0',
+      'Content-Type': `multipart/mixed; boundary=${boundary}`,
+      ...(options.continueOnError ? { 'Prefer': 'odata.continue-on-error' } : {})
+    },
+    responseType: 'text'
+  });
+  const responseBoundary = multipartBoundary(response.headers['content-type']);
+  const parts = responseBoundary ? parseBatchResponseBody(response.data, responseBoundary) : [];
+  return { request: body, status: response.status, results: matchBatchResponses(operations, parts) };
+}
+
+/**
+ * Dataverse error message of a failed $batch call (the body is text, not parsed JSON)
+ */
+function batchErrorMessage(error) {
+  try {
+    return JSON.parse(error.response.data).error.message;
+  } catch (e) {
+    return error.message;
+  }
+}
+
+// Build and submit a batch (preview=true returns the multipart body without sending it)
+app.post('/api/batch', async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  const operations = req.body.operations;
+  const problem = validateBatchOperations(operations, entry.spec);
+  if (problem) return res.status(400).json({ error: problem });
+  
+  // A preview sends nothing, so it works for any spec
+  if (req.body.preview) {
+    return res.json({ request: buildBatchRequestBody(operations, entry.environment || entry.spec.servers?.[0]?.url, `batch_${crypto.randomUUID()}`) });
+  }
+  const apiUrl = trustedSpecEnvironment(req, entry);
+  if (!apiUrl) return res.status(403).json({ error: `Your token is not sent to ${entry.environment}; generate a spec for this environment yourself` });
+  
+  try {
+    res.json(await submitBatchOperations(apiUrl, req.session.token, operations, { continueOnError: req.body.continueOnError }));
+  } catch (error) {
+    console.error('Batch error:', error.message);
+    if (error.response?.status === 401) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    res.status(error.response?.status || 500).json({ error: batchErrorMessage(error) });
+  }
+});
+
+// =============================================================================
+// BULK IMPORT
+// =============================================================================
+// CSV/XLSX import into an entity set of a spec: column mapping against the Create schema,
+// type validation, choice label and lookup resolution, then writes through $batch.
+// Uploads are kept in memory between the upload, validate and write steps.
+
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 100;
+const IMPORT_STORE_TTL_MS = 60 * 60 * 1000;
+const IMPORT_LOOKUP_CHUNK = 25;
+const GUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const importStore = new Map();
+
+/**
+ * Delimiter of CSV text: semicolon when the first line has more semicolons than commas outside quotes
+ */
+function detectCsvDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma or semicolon delimited, detected from the first line)
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectCsvDelimiter(source);
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook (shared, inline and plain cell values)
+ * Dates are returned as Excel serial numbers; convertImportValue turns them into dates for date columns.
+ * @returns {Promise<Array<Array<string>>>} Rows of cell values
+ */
+async function readXlsxRows(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const readXml = async name => zip.file(name) ? xml2js.parseStringPromise(await zip.file(name).async('string')) : null;
+  const text = node => typeof node === 'string' ? node : node?._ || '';
+  const richText = node => node.t ? text(node.t[0]) : (node.r || []).map(run => text(run.t?.[0])).join('');
+  
+  const workbook = await readXml('xl/workbook.xml');
+  const relationships = await readXml('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook?.workbook?.sheets?.[0]?.sheet?.[0]?.$;
+  if (!firstSheet) throw new Error('The workbook has no worksheets');
+  const target = relationships.Relationships.Relationship.find(r => r.$.Id === firstSheet['r:id']).$.Target;
+  const sheet = await readXml(target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  const sharedStrings = ((await readXml('xl/sharedStrings.xml'))?.sst?.si || []).map(richText);
+  
+  const columnIndex = reference => reference.replace(/\d+$/, '').split('').reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+  return (sheet.worksheet.sheetData?.[0]?.row || []).map(row => {
+    const cells = [];
+    (row.c || []).forEach((cell, i) => {
+      const type = cell.$?.t;
+      let value = text(cell.v?.[0]);
+      if (type === 's') value = sharedStrings[parseInt(value, 10)] || '';
+      else if (type === 'inlineStr') value = cell.is ? richText(cell.is[0]) : '';
+      else if (type === 'b') value = value === '1' ? 'true' : 'false';
+      cells[cell.$?.r ? columnIndex(cell.$.r) : i] = value;
+    });
+    return Array.from(cells, value => value ?? '');
+  });
+}
+
+/**
+ * Read an uploaded CSV or XLSX file
+ * Semicolon-delimited CSV files are written by locales that use a decimal comma, so their numbers are read that way.
+ * @returns {Promise<{ headers: string[], rows: Array<{ number: number, values: string[] }>, decimalSeparator: string }>} number is the row in the file (header = 1)
+ */
+async function readImportFile(file) {
+  const isXlsx = path.extname(file.originalname).toLowerCase() === '.xlsx';
+  const text = isXlsx ? null : file.buffer.toString('utf8');
+  const rows = isXlsx ? await readXlsxRows(file.buffer) : parseCsv(text);
+  const [headerRow = [], ...dataRows] = rows;
+  return {
+    decimalSeparator: !isXlsx && detectCsvDelimiter(text) === ';' ? ',' : '.',
+    headers: headerRow.map(h => String(h).trim()),
+    rows: dataRows
+      .map((values, i) => ({ number: i + 2, values: values.map(v => String(v)) }))
+      .filter(row => row.values.some(v => v.trim() !== ''))
+  };
+}
+
+/**
+ * Lookup relationships of a table from live metadata, keyed by lookup attribute
+ * Each target has the entity set, primary id, primary name and single-column alternate keys used to resolve values.
+ * @returns {Promise<Object<string, Array<{ navigationProperty, logicalName, entitySet, primaryId, primaryName, keys }>>>}
+ */
+async function fetchImportLookups(apiUrl, token, entitySet) {
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const definitions = await axios.get(`${apiUrl}EntityDefinitions?$select=LogicalName&$filter=EntitySetName eq '${entitySet.replace(/'/g, "''")}'`, { headers });
+  const logicalName = definitions.data.value[0]?.LogicalName;
+  if (!logicalName) return {};
+  
+  const relationships = await axios.get(`${apiUrl}EntityDefinitions(LogicalName='${logicalName}')/ManyToOneRelationships?$select=ReferencingAttribute,ReferencedEntity,ReferencingEntityNavigationPropertyName`, { headers });
+  const targets = {};
+  for (const referenced of [...new Set(relationships.data.value.map(r => r.ReferencedEntity))]) {
+    try {
+      const response = await axios.get(`${apiUrl}EntityDefinitions(LogicalName='${referenced}')?$select=EntitySetName,PrimaryIdAttribute,PrimaryNameAttribute&$expand=Keys($select=KeyAttributes)`, { headers });
+      targets[referenced] = {
+        logicalName: referenced,
+        entitySet: response.data.EntitySetName,
+        primaryId: response.data.PrimaryIdAttribute,
+        primaryName: response.data.PrimaryNameAttribute,
+        keys: (response.data.Keys || []).filter(k => k.KeyAttributes?.length === 1).map(k => k.KeyAttributes[0])
+      };
+    } catch (error) {
+      if (error.response?.status === 401) throw error;
+      console.warn(`Skipping lookup target ${referenced}: ${error.message}`);
+    }
+  }
+  
+  const lookups = {};
+  relationships.data.value.forEach(r => {
+    if (!targets[r.ReferencedEntity]?.entitySet) return;
+    (lookups[r.ReferencingAttribute] = lookups[r.ReferencingAttribute] || []).push({ navigationProperty: r.ReferencingEntityNavigationPropertyName, ...targets[r.ReferencedEntity] });
+  });
+  return lookups;
+}
+
+/**
+ * Columns an import can write, from the Create schema of the entity set
+ * `{nav}@odata.bind` properties, and uuid columns that are lookups in the environment, become lookup columns.
+ * @returns {Array<{ name, kind, required, maxLength, minimum, maximum, options, targets, description }>}
+ */
+function describeImportColumns(spec, entitySet, lookups) {
+  const target = listSpecEntitySets(spec).find(e => e.entitySet === entitySet);
+  const schemas = Object.fromEntries(Object.entries(spec.components?.schemas || {}).map(([name, schema]) => [sdkTypeName(name), schema]));
+  const create = target?.create ? schemas[target.create] : null;
+  if (!create) return [];
+  const required = create.required || [];
+  const lookupByNavigation = {};
+  Object.values(lookups).flat().forEach(l => { lookupByNavigation[l.navigationProperty] = l; });
+  
+  return Object.entries(create.properties || {}).filter(([, schema]) => !schema.readOnly).map(([name, property]) => {
+    const ref = property.$ref || (property.allOf?.length === 1 ? property.allOf[0].$ref : null);
+    const schema = ref ? spec.components.schemas[ref.split('/').pop()] || property : property;
+    const column = { name, required: required.includes(name), description: property.description || schema.description || '' };
+    if (name.endsWith('@odata.bind')) {
+      const lookup = lookupByNavigation[name.replace(/@odata\.bind$/, '')];
+      return { ...column, kind: 'lookup', targets: lookup ? [lookup] : [] };
+    }
+    if (schema.format === 'uuid' && lookups[name]) return { ...column, kind: 'lookup', targets: lookups[name] };
+    return {
+      ...column,
+      kind: browserPropertyKind(schema),
+      maxLength: schema.maxLength,
+      minimum: schema.minimum,
+      maximum: schema.maximum,
+      integer: schema.type === 'integer',
+      options: schema['x-enum-labels'] || []
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Suggest a target column for each file header (name, name without publisher prefix, or lookup navigation property)
+ * @returns {Object<string, string>} Header → column name
+ */
+function suggestImportMapping(headers, columns) {
+  const normalize = value => String(value).toLowerCase().replace(/@odata\.bind$/, '').replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+  headers.forEach(header => {
+    const key = normalize(header);
+    const column = columns.find(c => normalize(c.name) === key)
+      || columns.find(c => normalize(c.name.replace(/^[a-z0-9]+_/i, '')) === key);
+    if (key && column && !Object.values(mapping).includes(column.name)) mapping[header] = column.name;
+  });
+  return mapping;
+}
+
+/**
+ * Convert a cell to the value written for a column
+ * @param {string} raw - Cell value
+ * @param {Object} column - Import column (describeImportColumns)
+ * @param {string} [decimalSeparator] - "," for files that write 1.234,5; the other separator only groups thousands
+ * @returns {{ value: * }|{ error: string }}
+ */
+function convertImportValue(raw, column, decimalSeparator = '.') {
+  const text = String(raw).trim();
+  const excelDate = serial => new Date(Math.round((Number(serial) - 25569) * 86400000));
+  switch (column.kind) {
+    case 'number': {
+      const group = decimalSeparator === ',' ? '.' : ',';
+      const grouped = new RegExp(`^[+-]?\\d{1,3}(\\${group}\\d{3})+(\\${decimalSeparator}\\d+)?$`).test(text);
+      const digits = grouped ? text.split(group).join('') : text;
+      // Anything else that contains the other separator (1,5 in a comma-delimited file) is ambiguous
+      if (digits.includes(group)) return { error: `Ambiguous number: use "${decimalSeparator}" as the decimal separator` };
+      const number = Number(digits.replace(decimalSeparator, '.'));
+      if (text === '' || Number.isNaN(number)) return { error: 'Not a number' };
+      if (column.integer && !Number.isInteger(number)) return { error: 'Not a whole number' };
+      if (column.minimum !== undefined && number < column.minimum) return { error: `Below the minimum of ${column.minimum}` };
+      if (column.maximum !== undefined && number > column.maximum) return { error: `Above the maximum of ${column.maximum}` };
+      return { value: number };
+    }
+    case 'boolean': {
+      const value = text.toLowerCase();
+      if (['true', 'yes', '1', 'y'].includes(value)) return { value: true };
+      if (['false', 'no', '0', 'n'].includes(value)) return { value: false };
+      return { error: 'Not a yes/no value' };
+    }
+    case 'datetime':
+    case 'date': {
+      // Five-digit numbers are Excel date serials (XLSX cells keep dates as numbers)
+      const date = /^\d{5}(\.\d+)?$/.test(text) ? excelDate(text) : new Date(text);
+      if (Number.isNaN(date.getTime())) return { error: 'Not a date' };
+      return { value: column.kind === 'date' ? date.toISOString().slice(0, 10) : date.toISOString() };
+    }
+    case 'guid':
+      return GUID_PATTERN.test(text) ? { value: text.replace(/[{}]/g, '') } : { error: 'Not a GUID' };
+    case 'choice':
+    case 'multichoice': {
+      const match = item => column.options.find(o => String(o.value) === item
+        || String(o.label).toLowerCase() === item.toLowerCase()
+        || Object.values(o.localizedLabels || {}).some(label => String(label).toLowerCase() === item.toLowerCase()));
+      const items = column.kind === 'multichoice' ? text.split(/[;,]/).map(i => i.trim()).filter(Boolean) : [text];
+      const unknown = items.filter(item => !match(item));
+      if (unknown.length) {
+        return { error: `Unknown choice "${unknown[0]}" (expected ${column.options.slice(0, 5).map(o => o.label).join(', ')}${column.options.length > 5 ? ', …' : ''})` };
+      }
+      const values = items.map(item => match(item).value);
+      return { value: column.kind === 'multichoice' ? values.join(',') : values[0] };
+    }
+    default:
+      if (column.maxLength && text.length > column.maxLength) return { error: `Longer than ${column.maxLength} characters` };
+      return { value: text };
+  }
+}
+
+/**
+ * Resolve lookup values to records: GUIDs by primary id, other values by alternate key, then by primary name
+ * @returns {Promise<Map<string, { bind: string }|{ error: string }>>} Keyed by the lower-cased value
+ */
+async function resolveImportLookupValues(apiUrl, token, column, values) {
+  const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json', 'OData-MaxVersion': '4.0', 'OData-Version': '4.0' };
+  const matches = new Map(values.map(v => [v.toLowerCase(), []]));
+  
+  for (const target of column.targets) {
+    const attributes = [target.primaryId, ...target.keys, target.primaryName].filter(Boolean);
+    for (const attribute of [...new Set(attributes)]) {
+      const isId = attribute === target.primaryId;
+      const isCandidate = v => isId ? GUID_PATTERN.test(v) : !(attribute === target.primaryName && GUID_PATTERN.test(v));
+      // Values already matched by an earlier attribute (or target) are not looked up again
+      const pending = values.filter(v => !matches.get(v.toLowerCase()).length && isCandidate(v));
+      for (let i = 0; i < pending.length; i += IMPORT_LOOKUP_CHUNK) {
+        const chunk = pending.slice(i, i + IMPORT_LOOKUP_CHUNK);
+        const filter = chunk.map(v => `${attribute} eq ${isId ? v.replace(/[{}]/g, '') : `'${v.replace(/'/g, "''")}'`}`).join(' or ');
+        try {
+          const response = await axios.get(`${apiUrl}${target.entitySet}?$select=${[...new Set([target.primaryId, attribute])].join(',')}&$filter=${encodeURIComponent(filter)}`, { headers });
+          response.data.value.forEach(record => {
+            const key = String(record[attribute]).toLowerCase();
+            const found = matches.get(key) || matches.get(`{${key}}`);
+            if (found) found.push(`/${target.entitySet}(${record[target.primaryId]})`);
+          });
+        } catch (error) {
+          if (error.response?.status === 401) throw error;
+          console.warn(`Lookup query on ${target.entitySet}.${attribute} failed: ${error.message}`);
+        }
+      }
+    }
+  }
+  
+  const targetNames = column.targets.map(t => t.logicalName).join(' or ');
+  return new Map([...matches].map(([value, binds]) => [value, binds.length === 1
+    ? { bind: binds[0], navigationProperty: column.targets.find(t => binds[0].startsWith(`/${t.entitySet}(`)).navigationProperty }
+    : { error: binds.length ? `Matches ${binds.length} ${targetNames} records` : `No ${targetNames} record matches` }]));
+}
+
+/**
+ * Convert every row of an import with its column mapping
+ * @returns {Promise<{ records: Array<{ row: number, record: Object }>, errors: Array<{ row, column, value, message, stage }> }>}
+ */
+async function buildImportRecords(item, mapping, apiUrl, token) {
+  const columns = Object.fromEntries(item.columns.map(c => [c.name, c]));
+  const mapped = Object.entries(mapping).filter(([header, name]) => name && columns[name] && item.headers.includes(header))
+    .map(([header, name]) => ({ header, index: item.headers.indexOf(header), column: columns[name] }));
+  const errors = [];
+  
+  // Resolve each distinct lookup value once
+  const lookupResults = {};
+  for (const { index, column } of mapped.filter(m => m.column.kind === 'lookup')) {
+    const values = [...new Set(item.rows.map(r => String(r.values[index] ?? '').trim()).filter(Boolean))];
+    lookupResults[column.name] = column.targets.length
+      ? await resolveImportLookupValues(apiUrl, token, column, values)
+      : new Map(values.map(v => [v.toLowerCase(), { error: 'The lookup target is not known in this environment' }]));
+  }
+  
+  const records = [];
+  item.rows.forEach(row => {
+    const record = {};
+    let valid = true;
+    const fail = (column, value, message) => {
+      valid = false;
+      errors.push({ row: row.number, column, value, message, stage: 'validation' });
+    };
+    mapped.forEach(({ header, index, column }) => {
+      const raw = String(row.values[index] ?? '').trim();
+      if (raw === '') return;
+      if (column.kind === 'lookup') {
+        const result = lookupResults[column.name].get(raw.toLowerCase());
+        if (result.error) return fail(header, raw, result.error);
+        record[`${result.navigationProperty}@odata.bind`] = result.bind;
+        return;
+      }
+      const converted = convertImportValue(raw, column, item.decimalSeparator);
+      if (converted.error) return fail(header, raw, converted.error);
+      record[column.name] = converted.value;
+    });
+    item.columns.filter(c => c.required && !mapped.some(m => m.column.name === c.name && String(row.values[m.index] ?? '').trim() !== ''))
+      .forEach(c => fail(c.name, '', 'Required column is empty or not mapped'));
+    if (valid) records.push({ row: row.number, record });
+  });
+  return { records, errors };
+}
+
+/**
+ * Error report of an import as CSV
+ */
+function formatImportErrorsCsv(errors) {
+  return [['Row', 'Column', 'Value', 'Error', 'Stage'], ...errors.map(e => [e.row, e.column, e.value, e.message, e.stage])]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Import state for the session, or null when it expired or belongs to another session
+ */
+function findImport(req, id) {
+  const item = importStore.get(id);
+  return item && item.sessionId === req.sessionID ? item : null;
+}
+
+// Import page
+app.get('/import', (req, res) => {
+  const entry = getRequestedSpec(req);
+  if (!entry) {
+    return res.send(renderAgencyPage({
+      title: 'Import',
+      body: '<div class="container-report"><h1 class="h3 mb-3 page-title">Bulk Import</h1><div class="alert alert-info">Generate API documentation first; imports write to the entity sets of the current spec.</div></div>'
+    }));
+  }
+  
+  const entitySets = listSpecEntitySets(entry.spec).filter(e => e.create);
+  res.send(renderAgencyPage({
+    title: 'Import',
+    styles: `.container-report { max-width: 1200px; margin: 0 auto; }
+      .step { display: none; }
+      #mappingTable td, #errorTable td { font-size: 0.85rem; vertical-align: middle; }
+      .sample { max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #6c757d; }`,
+    body: `<div class="container-report">
+      <h1 class="h3 mb-3 page-title">Bulk Import</h1>
+      <p class="text-muted">Environment: <code>${escapeHtml(entry.environment)}</code>${entry.version ? ` — spec v${entry.version}` : ''}</p>
+      <div id="message"></div>
+      <div class="card mb-3"><div class="card-body">
+        <h2 class="h5">1. Upload</h2>
+        <form id="uploadForm" class="row g-2 align-items-end">
+          <div class="col-md-5"><label for="entitySet" class="form-label">Table</label>
+            <select class="form-select" id="entitySet" name="entitySet">${entitySets.map(e => `<option value="${escapeHtml(e.entitySet)}">${escapeHtml(e.name)} (${escapeHtml(e.entitySet)})</option>`).join('')}</select></div>
+          <div class="col-md-5"><label for="file" class="form-label">CSV or XLSX file (first row = column headers)</label>
+            <input class="form-control" type="file" id="file" name="file" accept=".csv,.xlsx" required></div>
+          <div class="col-md-2"><button type="submit" class="w-100 btn btn-agency-primary">Upload</button></div>
+        </form>
+      </div></div>
+      <div class="card mb-3 step" id="mappingStep"><div class="card-body">
+        <h2 class="h5">2. Map columns</h2>
+        <p class="text-muted small" id="fileSummary"></p>
+        <table class="table table-sm" id="mappingTable"><thead><tr><th>File column</th><th>Sample</th><th>Table column</th></tr></thead><tbody></tbody></table>
+        <button class="btn btn-agency-primary" onclick="validateImport()">Validate</button>
+      </div></div>
+      <div class="card mb-3 step" id="previewStep"><div class="card-body">
+        <h2 class="h5">3. Review</h2>
+        <div id="summary"></div>
+        <div class="table-responsive" style="max-height: 360px;"><table class="table table-sm table-striped" id="errorTable"></table></div>
+        <details class="mb-3"><summary>Sample records</summary><pre id="sampleRecords" class="small"></pre></details>
+        <div class="d-flex gap-2">
+          <button class="btn btn-agency-primary" id="importButton" onclick="writeImport()">Import</button>
+          <a class="btn btn-agency-secondary" id="errorReport" href="#">Download Error Report</a>
+        </div>
+      </div></div>
+      <div class="card mb-3 step" id="writeStep"><div class="card-body">
+        <h2 class="h5">4. Import</h2>
+        <div class="progress mb-2" style="height: 24px;"><div class="progress-bar" id="progress" style="width: 0%;">0%</div></div>
+        <div id="writeSummary"></div>
+        <div id="unknownRows"></div>
+      </div></div>
+    </div>`,
+    scripts: `<script>
+    const specId = ${JSON.stringify(entry.id)};
+    let importId = null;
+    let columns = [];
+    let lastError = null;
+    
+    function esc(value) { const d = document.createElement('div'); d.textContent = value == null ? '' : String(value); return d.innerHTML; }
+    function show(id) { document.getElementById(id).style.display = 'block'; }
+    function hide(id) { document.getElementById(id).style.display = 'none'; }
+    function showError(message) { document.getElementById('message').innerHTML = '<div class="alert alert-danger">' + esc(message) + '</div>'; }
+    
+    async function call(url, options) {
+      const response = await fetch(url, options);
+      const data = await response.json();
+      if (response.status === 401 && data.redirect) { window.location.href = data.redirect; return null; }
+      if (!response.ok) { showError(data.error); lastError = data; return null; }
+      document.getElementById('message').innerHTML = '';
+      return data;
+    }
+    
+    document.getElementById('uploadForm').addEventListener('submit', async e => {
+      e.preventDefault();
+      ['mappingStep', 'previewStep', 'writeStep'].forEach(hide);
+      const form = new FormData(e.target);
+      form.append('spec', specId);
+      const data = await call('/api/import/upload', { method: 'POST', body: form });
+      if (!data) return;
+      importId = data.importId;
+      columns = data.columns;
+      document.getElementById('fileSummary').textContent = data.fileName + ' — ' + data.rowCount + ' row(s), ' + data.headers.length + ' column(s)';
+      const options = '<option value="">— Ignore —</option>' + columns.map(c => '<option value="' + esc(c.name) + '">' + esc(c.name) + ' (' + esc(c.kind) + (c.required ? ', required' : '') + ')</option>').join('');
+      document.querySelector('#mappingTable tbody').innerHTML = data.headers.map((h, i) => '<tr><td><strong>' + esc(h) + '</strong></td>' +
+        '<td class="sample" title="' + esc(data.sample.map(r => r[i]).join(' | ')) + '">' + esc(data.sample.map(r => r[i]).filter(Boolean).slice(0, 3).join(', ')) + '</td>' +
+        '<td><select class="form-select form-select-sm" data-header="' + esc(h) + '">' + options + '</select></td></tr>').join('');
+      document.querySelectorAll('#mappingTable select').forEach(select => { select.value = data.mapping[select.dataset.header] || ''; });
+      show('mappingStep');
+    });
+    
+    function currentMapping() {
+      const mapping = {};
+      document.querySelectorAll('#mappingTable select').forEach(select => { if (select.value) mapping[select.dataset.header] = select.value; });
+      return mapping;
+    }
+    
+    async function validateImport() {
+      hide('writeStep');
+      document.getElementById('summary').innerHTML = '<div class="text-muted">Validating and resolving lookups…</div>';
+      show('previewStep');
+      const data = await call('/api/import/' + importId + '/validate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ mapping: currentMapping() }) });
+      if (!data) { hide('previewStep'); return; }
+      document.getElementById('summary').innerHTML = '<div class="alert ' + (data.errorCount ? 'alert-warning' : 'alert-success') + '">' +
+        data.validCount + ' of ' + data.rowCount + ' row(s) are ready to import' + (data.errorCount ? '; ' + data.errorCount + ' problem(s) found. Rows with problems are skipped.' : '.') + '</div>';
+      document.getElementById('errorTable').innerHTML = data.errors.length
+        ? '<thead><tr><th>Row</th><th>Column</th><th>Value</th><th>Problem</th></tr></thead><tbody>' +
+          data.errors.map(e => '<tr><td>' + e.row + '</td><td>' + esc(e.column) + '</td><td>' + esc(e.value) + '</td><td>' + esc(e.message) + '</td></tr>').join('') + '</tbody>' +
+          (data.errorCount > data.errors.length ? '<tfoot><tr><td colspan="4" class="text-muted">' + (data.errorCount - data.errors.length) + ' more in the error report</td></tr></tfoot>' : '')
+        : '';
+      document.getElementById('sampleRecords').textContent = JSON.stringify(data.sample, null, 2);
+      document.getElementById('importButton').disabled = !data.validCount;
+      document.getElementById('importButton').textContent = 'Import ' + data.validCount + ' Row(s)';
+      document.getElementById('errorReport').href = '/api/import/' + importId + '/errors.csv';
+    }
+    
+    async function writeImport(decision) {
+      const button = document.getElementById('importButton');
+      button.disabled = true;
+      show('writeStep');
+      document.getElementById('unknownRows').innerHTML = '';
+      let body = JSON.stringify(decision ? { decision } : {});
+      let offset;
+      let data;
+      do {
+        // The server continues after the last written chunk, so a failed import can be resumed
+        data = await call('/api/import/' + importId + '/write', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+        body = '{}';
+        if (!data) {
+          button.disabled = false;
+          button.textContent = 'Resume Import';
+          // Rows of a failed batch request may already exist, so they are only sent again when the user decides to
+          if (lastError && lastError.unknown) {
+            document.getElementById('unknownRows').innerHTML = '<div class="alert alert-warning">Rows ' + esc(lastError.unknown.rows.join(', ')) +
+              ' may or may not have been created. Check them in the environment (see the <a href="/api/import/' + importId + '/errors.csv">error report</a>), then ' +
+              '<button class="btn btn-sm btn-agency-primary" data-decision="retry" onclick="writeImport(this.dataset.decision)">Send Them Again</button> ' +
+              '<button class="btn btn-sm btn-agency-secondary" data-decision="skip" onclick="writeImport(this.dataset.decision)">Skip Them</button></div>';
+          }
+          return;
+        }
+        offset = data.offset;
+        const percent = data.total ? Math.round(offset / data.total * 100) : 100;
+        document.getElementById('progress').style.width = percent + '%';
+        document.getElementById('progress').textContent = percent + '%';
+        const problems = data.failed + data.skipped;
+        document.getElementById('writeSummary').innerHTML = '<div class="alert ' + (problems ? 'alert-warning' : 'alert-success') + '">' +
+          data.created + ' created, ' + data.failed + ' failed, ' + (data.skipped ? data.skipped + ' skipped with an unknown outcome, ' : '') + (data.total - offset) + ' remaining' +
+          (data.done && problems ? ' — see the <a href="/api/import/' + importId + '/errors.csv">error report</a>' : '') + '</div>';
+      } while (!data.done);
+    }
+  </script>`
+  }));
+});
+
+// Upload a file and suggest a column mapping
+app.post('/api/import/upload', importUpload.single('file'), async (req, res) => {
+  const entry = findSpec(req.body.spec);
+  if (!entry) return res.status(404).json({ error: 'Spec not found' });
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  if (!listSpecEntitySets(entry.spec).some(e => e.entitySet === req.body.entitySet && e.create)) {
+    return res.status(400).json({ error: `Entity set "${req.body.entitySet}" cannot be imported into` });
+  }
+  
+  // Drop expired imports
+  importStore.forEach((item, id) => { if (Date.now() - item.createdAt > IMPORT_STORE_TTL_MS) importStore.delete(id); });
+  
+  const apiUrl = trustedSpecEnvironment(req, entry);
+  if (!apiUrl) return res.status(403).json({ error: `Your token is not sent to ${entry.environment}; generate a spec for this environment yourself` });
+  try {
+    const file = await readImportFile(req.file);
+    if (!file.headers.length || !file.rows.length) return res.status(400).json({ error: 'The file has no data rows' });
+    if (file.rows.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `The file has ${file.rows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once` });
+    
+    const lookups = await fetchImportLookups(apiUrl, req.session.token, req.body.entitySet);
+    const columns = describeImportColumns(entry.spec, req.body.entitySet, lookups);
+    const id = crypto.randomUUID();
+    importStore.set(id, {
+      id,
+      sessionId: req.sessionID,
+      createdAt: Date.now(),
+      apiUrl,
+      entitySet: req.body.entitySet,
+      fileName: req.file.originalname,
+      headers: file.headers,
+      rows: file.rows,
+      decimalSeparator: file.decimalSeparator,
+      columns,
+      records: null,
+      errors: [],
+      writtenOffset: 0,
+      unknownChunk: null,
+      writing: false,
+      created: 0,
+      failed: 0,
+      skipped: 0
+    });
+    console.log(`Import ${id}: ${file.rows.length} rows from ${req.file.originalname} for ${req.body.entitySet}`);
+    
+    res.json({
+      importId: id,
+      fileName: req.file.originalname,
+      headers: file.headers,
+      rowCount: file.rows.length,
+      sample: file.rows.slice(0, 5).map(r => r.values),
+      columns: columns.map(({ name, kind, required, description }) => ({ name, kind, required, description })),
+      mapping: suggestImportMapping(file.headers, columns)
+    });
+  } catch (error) {
+    console.error('Import upload error:', error.message);
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate every row with a column mapping (resolves lookups; nothing is written)
+app.post('/api/import/:id/validate', async (req, res) => {
+  const item = findImport(req, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Import not found; upload the file again' });
+  const mapping = req.body.mapping || {};
+  if (!Object.keys(mapping).length) return res.status(400).json({ error: 'Map at least one column' });
+  // Re-validating would renumber the records and write the same rows again
+  if (item.writtenOffset || item.writing || item.unknownChunk) {
+    return res.status(409).json({ error: `Writing has started (${item.writtenOffset} of ${item.records.length} records written); continue the import, or upload the file again for a new import` });
+  }
+  
+  try {
+    const { records, errors } = await buildImportRecords(item, mapping, item.apiUrl, req.session.token);
+    Object.assign(item, { records, errors, created: 0, failed: 0 });
+    res.json({
+      rowCount: item.rows.length,
+      validCount: records.length,
+      errorCount: errors.length,
+      errors: errors.slice(0, 200),
+      sample: records.slice(0, 5).map(r => r.record)
+    });
+  } catch (error) {
+    console.error('Import validation error:', error.message);
+    if (error.response?.status === 401) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Write the next chunk of validated records with one $batch request. The server tracks the
+// written offset, so a retry or a repeated call never sends a chunk twice.
+// When the $batch request itself fails, the chunk may or may not have been written: it is listed in the
+// error report and only sent again ("decision": "retry") or skipped ("decision": "skip") on request.
+app.post('/api/import/:id/write', async (req, res) => {
+  const item = findImport(req, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Import not found; upload the file again' });
+  if (!item.records) return res.status(400).json({ error: 'Validate the import first' });
+  if (item.writing) return res.status(409).json({ error: 'The previous chunk is still being written' });
+  
+  if (item.unknownChunk) {
+    const { decision } = req.body;
+    if (!['retry', 'skip'].includes(decision)) {
+      return res.status(409).json({
+        error: `The outcome of rows ${item.unknownChunk.rows.join(', ')} is unknown; check the environment, then retry or skip them`,
+        unknown: item.unknownChunk
+      });
+    }
+    if (decision === 'retry') {
+      const rows = new Set(item.unknownChunk.rows);
+      item.errors = item.errors.filter(e => !(e.stage === 'unknown' && rows.has(e.row)));
+    } else {
+      item.writtenOffset = item.unknownChunk.offset + item.unknownChunk.rows.length;
+      item.skipped += item.unknownChunk.rows.length;
+    }
+    item.unknownChunk = null;
+  }
+  
+  const offset = item.writtenOffset;
+  const chunk = item.records.slice(offset, offset + IMPORT_BATCH_SIZE);
+  item.writing = true;
+  try {
+    if (chunk.length) {
+      const operations = chunk.map(r => ({ method: 'POST', path: item.entitySet, body: JSON.stringify(r.record) }));
+      const { results } = await submitBatchOperations(item.apiUrl, req.session.token, operations, { continueOnError: true });
+      results.forEach((result, i) => {
+        if (result && result.status < 300) {
+          item.created++;
+          return;
+        }
+        item.failed++;
+        item.errors.push({
+          row: chunk[i].row,
+          column: '',
+          value: '',
+          message: result ? result.body?.error?.message || `${result.status} ${result.statusText}` : 'Not executed',
+          stage: 'write'
+        });
+      });
+    }
+    item.writtenOffset = offset + chunk.length;
+    res.json({ offset: item.writtenOffset, total: item.records.length, created: item.created, failed: item.failed, skipped: item.skipped, done: item.writtenOffset >= item.records.length });
+  } catch (error) {
+    console.error('Import write error:', error.message);
+    if (error.response?.status === 401) {
+      req.session.token = null;
+      return res.status(401).json({ error: 'Auth failed', redirect: '/auth/login' });
+    }
+    const message = batchErrorMessage(error);
+    item.unknownChunk = { offset, rows: chunk.map(r => r.row) };
+    chunk.forEach(r => item.errors.push({ row: r.row, column: '', value: '', message: `Outcome unknown (${message}); check whether the record was created`, stage: 'unknown' }));
+    res.status(error.response?.status || 500).json({ error: message, unknown: item.unknownChunk });
+  } finally {
+    item.writing = false;
+  }
+});
+
+// Download the validation and write errors of an import
+app.get('/api/import/:id/errors.csv', (req, res) => {
+  const item = findImport(req, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Import not found' });
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${path.parse(item.fileName).name}-errors.csv"`);
+  res.send(formatImportErrorsCsv(item.errors));
+});
+
 // =============================================================================
 // PUBLIC FILE TO BASE64 CONVERTER
 // =============================================================================